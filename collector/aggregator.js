@@ -0,0 +1,257 @@
+// Copyright 2017 Google Inc.
+//
+// Licensed under the Apache License, Version 2.0 (the "License");
+// you may not use this file except in compliance with the License.
+// You may obtain a copy of the License at
+//
+//    https://www.apache.org/licenses/LICENSE-2.0
+//
+// Unless required by applicable law or agreed to in writing, software
+// distributed under the License is distributed on an "AS IS" BASIS,
+// WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+// See the License for the specific language governing permissions and
+// limitations under the License.
+
+/**
+ * @fileoverview Implements the reports of the collector. The records are
+ * grouped into the sessions of the scheduler by their sessionId, every
+ * session is summarized, and the summaries are added up per experiment arm,
+ * over all landing pages and per landing page.
+ *
+ * A session is summarized from its records alone:
+ * - The landing page load starts with the first request of the page for its
+ *   landing page and ends when the last request of the page started since
+ *   then completes.
+ * - A prefetch is a hit if the page requested its URL and the request was
+ *   served from the cache.
+ * - The bytes of the prefetches whose URL the page never requested are
+ *   wasted.
+ * - A late prefetch is a hint the page requested before it was prefetched,
+ *   logged as 'late' by the scheduler.
+ */
+
+// The isPrefetch values of the records, see PrefetchStatus and RequestRecord
+// in the scheduler.
+const IsPrefetch = {
+  PREFETCH: 'yes',
+  PAGE_REQUEST: 'no',
+  LATE: 'late'
+};
+
+/**
+ * @typedef {{
+ *   sessionId: string,
+ *   lpUrl: string,
+ *   arm: string,
+ *   lpLoadMs: number,
+ *   prefetches: number,
+ *   hits: number,
+ *   wastedBytes: number,
+ *   latePrefetches: number
+ * }}
+ *
+ * lpUrl: the landing page of the session, the last one its records name.
+ * lpLoadMs: how long the landing page took to load, -1 if the records have
+ *     no request for it.
+ * prefetches: the number of URLs the session prefetched.
+ * hits: the number of prefetched URLs the page got from the cache.
+ */
+let SessionSummary;
+
+/**
+ * @typedef {{
+ *   arm: string,
+ *   sessions: number,
+ *   lpLoadMs: !Object<string, number>,
+ *   prefetches: number,
+ *   hits: number,
+ *   hitRate: number,
+ *   wastedBytes: number,
+ *   latePrefetches: number
+ * }}
+ *
+ * The sums of the sessions of an arm.
+ * arm: the name of the arm, '' for the sessions without one.
+ * lpLoadMs: the sessions whose landing page load is known, as measured, and
+ *     the median and the percentiles of their loads, e.g. p95, -1 if none
+ *     is known. A percentile is the smallest load that at least that percent
+ *     of the loads do not exceed.
+ * hitRate: hits / prefetches, 0 without prefetches.
+ */
+let ArmSummary;
+
+class Aggregator {
+  /**
+   * Constructs an Aggregator object.
+   *
+   * @param {!Array<number>} percentiles the percentiles of the landing page
+   * load to report besides the median, each from 1 to 100.
+   */
+  constructor(percentiles) {
+    /**
+     * @private {!Array<number>}
+     */
+    this.percentiles_ = percentiles;
+  }
+
+  /**
+   * Builds the report of records.
+   *
+   * @param {!Array<!Object>} records the records, see RecordSchema.
+   * @param {?string} lpUrl the only landing page to report on, null for all.
+   *
+   * @return {{
+   *   sessions: number,
+   *   arms: !Array<!ArmSummary>,
+   *   landingPages: !Array<{lpUrl: string, arms: !Array<!ArmSummary>}>
+   * }} the number of sessions and the summaries of the arms over all landing
+   * pages and per landing page, sorted by name.
+   */
+  aggregate(records, lpUrl) {
+    const bySession = new Map();
+    records.forEach((record) => {
+      if (!bySession.has(record.sessionId)) {
+        bySession.set(record.sessionId, []);
+      }
+      bySession.get(record.sessionId).push(record);
+    });
+    const sessions =
+        Array.from(bySession.values())
+            .map((sessionRecords) => this.summarizeSession_(sessionRecords))
+            .filter((session) => lpUrl === null || session.lpUrl === lpUrl);
+
+    const byLandingPage = new Map();
+    sessions.forEach((session) => {
+      if (!byLandingPage.has(session.lpUrl)) {
+        byLandingPage.set(session.lpUrl, []);
+      }
+      byLandingPage.get(session.lpUrl).push(session);
+    });
+    return {
+      sessions: sessions.length,
+      arms: this.summarizeArms_(sessions),
+      landingPages:
+          Array.from(byLandingPage.keys()).sort().map((landingPage) => ({
+            lpUrl: landingPage,
+            arms: this.summarizeArms_(byLandingPage.get(landingPage))
+          }))
+    };
+  }
+
+  /**
+   * Summarizes a session.
+   *
+   * @param {!Array<!Object>} records the records of the session in the order
+   * they were logged.
+   *
+   * @return {!SessionSummary} the summary.
+   * @private
+   */
+  summarizeSession_(records) {
+    const named = records.filter((record) => record.lpUrl !== '');
+    const lpUrl = named.length > 0 ? named[named.length - 1].lpUrl : '';
+    const pageRequests = records.filter(
+        (record) => record.isPrefetch === IsPrefetch.PAGE_REQUEST);
+
+    const lpStarts =
+        pageRequests
+            .filter((record) =>
+                        record.url === lpUrl && record.requestTimestampMs >= 0)
+            .map((record) => record.requestTimestampMs);
+    let lpLoadMs = -1;
+    if (lpStarts.length > 0) {
+      const startMs = Math.min(...lpStarts);
+      const endMs = Math.max(
+          ...pageRequests
+                 .filter((record) => record.requestTimestampMs >= startMs)
+                 .map((record) => record.completeTimestampMs));
+      lpLoadMs = endMs >= startMs ? endMs - startMs : -1;
+    }
+
+    const prefetchedBytes = new Map();
+    records.filter((record) => record.isPrefetch === IsPrefetch.PREFETCH)
+        .forEach((record) => prefetchedBytes.set(record.url, record.bytes));
+    const requested = new Set(pageRequests.map((record) => record.url));
+    const cached = new Set(pageRequests.filter((record) => record.fromCache)
+                               .map((record) => record.url));
+    let hits = 0;
+    let wastedBytes = 0;
+    prefetchedBytes.forEach((bytes, url) => {
+      if (cached.has(url)) {
+        hits++;
+      }
+      if (!requested.has(url)) {
+        wastedBytes += bytes;
+      }
+    });
+    return {
+      sessionId: records[0].sessionId,
+      lpUrl: lpUrl,
+      arm: records[0].arm,
+      lpLoadMs: lpLoadMs,
+      prefetches: prefetchedBytes.size,
+      hits: hits,
+      wastedBytes: wastedBytes,
+      latePrefetches:
+          records.filter((record) => record.isPrefetch === IsPrefetch.LATE)
+              .length
+    };
+  }
+
+  /**
+   * Adds up the summaries of sessions per arm.
+   *
+   * @param {!Array<!SessionSummary>} sessions the summaries.
+   *
+   * @return {!Array<!ArmSummary>} the summary of every arm, sorted by name.
+   * @private
+   */
+  summarizeArms_(sessions) {
+    const byArm = new Map();
+    sessions.forEach((session) => {
+      if (!byArm.has(session.arm)) {
+        byArm.set(session.arm, []);
+      }
+      byArm.get(session.arm).push(session);
+    });
+    const sum = (list, field) =>
+        list.reduce((total, item) => total + item[field], 0);
+    return Array.from(byArm.keys()).sort().map((arm) => {
+      const armSessions = byArm.get(arm);
+      const prefetches = sum(armSessions, 'prefetches');
+      const hits = sum(armSessions, 'hits');
+      return {
+        arm: arm,
+        sessions: armSessions.length,
+        lpLoadMs: this.getLoadPercentiles_(
+            armSessions.map((session) => session.lpLoadMs)
+                .filter((loadMs) => loadMs >= 0)),
+        prefetches: prefetches,
+        hits: hits,
+        hitRate: prefetches > 0 ? hits / prefetches : 0,
+        wastedBytes: sum(armSessions, 'wastedBytes'),
+        latePrefetches: sum(armSessions, 'latePrefetches')
+      };
+    });
+  }
+
+  /**
+   * Returns the median and the percentiles of landing page loads.
+   *
+   * @param {!Array<number>} loadsMs the loads.
+   *
+   * @return {!Object<string, number>} see ArmSummary.
+   * @private
+   */
+  getLoadPercentiles_(loadsMs) {
+    const sorted = loadsMs.slice().sort((a, b) => a - b);
+    const percentile = (p) => sorted.length === 0 ?
+        -1 :
+        sorted[Math.max(0, Math.ceil(p / 100 * sorted.length) - 1)];
+    const result = {measured: sorted.length, median: percentile(50)};
+    this.percentiles_.forEach((p) => result['p' + p] = percentile(p));
+    return result;
+  }
+}
+
+module.exports = {Aggregator};
@@ -0,0 +1,105 @@
+// Copyright 2017 Google Inc.
+//
+// Licensed under the Apache License, Version 2.0 (the "License");
+// you may not use this file except in compliance with the License.
+// You may obtain a copy of the License at
+//
+//    https://www.apache.org/licenses/LICENSE-2.0
+//
+// Unless required by applicable law or agreed to in writing, software
+// distributed under the License is distributed on an "AS IS" BASIS,
+// WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+// See the License for the specific language governing permissions and
+// limitations under the License.
+
+/**
+ * @fileoverview Runs the results collector, the server the scheduler uploads
+ * the records of its sessions to. This is its command line, e.g.
+ *
+ *   node collector/collect.js --data-dir results
+ *
+ * and, to print the report of the stored records without serving,
+ *
+ *   node collector/collect.js --data-dir results --report
+ *
+ * See Collector for what it serves and RecordStore for the files.
+ */
+
+const {parseArgs} = require('util');
+
+const {Aggregator} = require('./aggregator.js');
+const {Collector} = require('./collector.js');
+const {RecordSchema} = require('./recordschema.js');
+const {RecordStore} = require('./recordstore.js');
+
+const USAGE = `usage: node collect.js [options]
+
+  --port <n>              the port to listen on (default 8090)
+  --host <name>           the host name to listen on (default localhost)
+  --data-dir <dir>        the directory of the record files (default results)
+  --percentiles <list>    the percentiles of the landing page load to report
+                          besides the median (default 75,90,95)
+  --report                print the report of the stored records and exit
+`;
+
+/**
+ * Returns the value of the percentiles option.
+ *
+ * @param {string|undefined} value the option, undefined if not set.
+ *
+ * @return {!Array<number>} the percentiles.
+ */
+function getPercentiles(value) {
+  if (value === undefined) {
+    return [75, 90, 95];
+  }
+  return value.split(',').map((item) => {
+    const percentile = Number(item.trim());
+    if (!(percentile >= 1 && percentile <= 100)) {
+      throw new Error('--percentiles must be numbers from 1 to 100');
+    }
+    return percentile;
+  });
+}
+
+function main() {
+  const {values} = parseArgs({
+    options: {
+      'port': {type: 'string'},
+      'host': {type: 'string'},
+      'data-dir': {type: 'string'},
+      'percentiles': {type: 'string'},
+      'report': {type: 'boolean'},
+      'help': {type: 'boolean'}
+    }
+  });
+  if (values.help) {
+    process.stderr.write(USAGE);
+    process.exit(0);
+  }
+  const port = values.port === undefined ? 8090 : Number(values.port);
+  if (!Number.isInteger(port) || port < 0 || port > 65535) {
+    throw new Error('--port must be an integer from 0 to 65535');
+  }
+  const store = new RecordStore(values['data-dir'] || 'results');
+  const aggregator = new Aggregator(getPercentiles(values.percentiles));
+  if (values.report) {
+    process.stdout.write(
+        JSON.stringify(aggregator.aggregate(store.readAll(), null), null, 2) +
+        '\n');
+    return;
+  }
+  const host = values.host || 'localhost';
+  const collector = new Collector(new RecordSchema(), store, aggregator);
+  collector.listen(port, host, (boundPort) => {
+    process.stderr.write(
+        'collecting at http://' + host + ':' + boundPort + '/records\n');
+  });
+}
+
+try {
+  main();
+} catch (e) {
+  process.stderr.write(e.message + '\n');
+  process.exit(1);
+}
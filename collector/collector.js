@@ -0,0 +1,208 @@
+// Copyright 2017 Google Inc.
+//
+// Licensed under the Apache License, Version 2.0 (the "License");
+// you may not use this file except in compliance with the License.
+// You may obtain a copy of the License at
+//
+//    https://www.apache.org/licenses/LICENSE-2.0
+//
+// Unless required by applicable law or agreed to in writing, software
+// distributed under the License is distributed on an "AS IS" BASIS,
+// WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+// See the License for the specific language governing permissions and
+// limitations under the License.
+
+/**
+ * @fileoverview Implements the HTTP server of the collector. It serves
+ *
+ *   POST /records  JSON Lines of records, e.g. the uploads of the scheduler
+ *                  or a file exported with EXPORT_RESULTS. Session records
+ *                  are ignored. A batch with an invalid record is rejected
+ *                  as a whole. Answers {accepted, ignored}.
+ *   GET /report    the report of all stored records, see Aggregator. The
+ *                  lpUrl query parameter limits it to a landing page.
+ *
+ * Errors are answered as {error}.
+ */
+
+const http = require('http');
+
+// The largest request body accepted.
+const MAX_BODY_BYTES = 32 * 1024 * 1024;
+
+class Collector {
+  /**
+   * Constructs a Collector object.
+   *
+   * @param {!RecordSchema} schema checks the received records.
+   * @param {!RecordStore} store keeps the records.
+   * @param {!Aggregator} aggregator builds the reports.
+   */
+  constructor(schema, store, aggregator) {
+    /**
+     * @private {!RecordSchema}
+     */
+    this.schema_ = schema;
+
+    /**
+     * @private {!RecordStore}
+     */
+    this.store_ = store;
+
+    /**
+     * @private {!Aggregator}
+     */
+    this.aggregator_ = aggregator;
+
+    /**
+     * @private {!http.Server}
+     */
+    this.server_ = http.createServer(
+        (request, response) => this.handleRequest_(request, response));
+  }
+
+  /**
+   * Starts listening.
+   *
+   * @param {number} port the port to listen on, 0 for any free port.
+   * @param {string} host the host name to listen on.
+   * @param {function(number)} callback called with the port once listening.
+   */
+  listen(port, host, callback) {
+    this.server_.listen(
+        port, host, () => callback(this.server_.address().port));
+  }
+
+  /**
+   * Handles a request to the collector.
+   *
+   * @param {!http.IncomingMessage} request the request.
+   * @param {!http.ServerResponse} response the response.
+   * @private
+   */
+  handleRequest_(request, response) {
+    // The Host header is not needed and may be anything, so the path is
+    // resolved against a fixed base.
+    let url;
+    try {
+      url = new URL(request.url, 'http://localhost');
+    } catch (e) {
+      this.respond_(response, 400, {error: 'invalid request target'});
+      return;
+    }
+    if (url.pathname === '/records') {
+      if (request.method !== 'POST') {
+        this.respond_(response, 405, {error: 'use POST'});
+        return;
+      }
+      this.readBody_(request, response, (body) => {
+        this.handleRecords_(body, response);
+      });
+    } else if (url.pathname === '/report') {
+      if (request.method !== 'GET') {
+        this.respond_(response, 405, {error: 'use GET'});
+        return;
+      }
+      try {
+        this.respond_(
+            response, 200,
+            this.aggregator_.aggregate(
+                this.store_.readAll(), url.searchParams.get('lpUrl')));
+      } catch (e) {
+        this.respond_(response, 500, {error: e.message});
+      }
+    } else {
+      this.respond_(response, 404, {error: 'unknown path ' + url.pathname});
+    }
+  }
+
+  /**
+   * Reads the body of a request. A body that is too large is read to its end
+   * but not kept.
+   *
+   * @param {!http.IncomingMessage} request the request.
+   * @param {!http.ServerResponse} response the response, answered if the
+   * body is too large.
+   * @param {function(string)} callback called with the body.
+   * @private
+   */
+  readBody_(request, response, callback) {
+    const chunks = [];
+    let bytes = 0;
+    request.on('data', (chunk) => {
+      bytes += chunk.length;
+      if (bytes <= MAX_BODY_BYTES) {
+        chunks.push(chunk);
+      }
+    });
+    request.on('end', () => {
+      if (bytes > MAX_BODY_BYTES) {
+        this.respond_(
+            response, 413,
+            {error: 'the body exceeds ' + MAX_BODY_BYTES + ' bytes'});
+        return;
+      }
+      callback(Buffer.concat(chunks).toString('utf8'));
+    });
+  }
+
+  /**
+   * Stores the records of a POST /records body if all of them are valid.
+   *
+   * @param {string} body the JSON Lines.
+   * @param {!http.ServerResponse} response the response.
+   * @private
+   */
+  handleRecords_(body, response) {
+    const records = [];
+    const errors = [];
+    let ignored = 0;
+    body.split('\n').forEach((line, i) => {
+      if (line.trim() === '') {
+        return;
+      }
+      let value;
+      try {
+        value = JSON.parse(line);
+      } catch (e) {
+        errors.push('line ' + (i + 1) + ': ' + e.message);
+        return;
+      }
+      const result = this.schema_.toRecord(value);
+      result.errors.forEach((error) => {
+        errors.push('line ' + (i + 1) + ': ' + error);
+      });
+      if (result.record !== null) {
+        records.push(result.record);
+      } else if (result.errors.length === 0) {
+        ignored++;
+      }
+    });
+    if (errors.length > 0) {
+      this.respond_(response, 400, {error: errors.join('; ')});
+      return;
+    }
+    try {
+      this.store_.append(records);
+    } catch (e) {
+      this.respond_(response, 500, {error: e.message});
+      return;
+    }
+    this.respond_(response, 200, {accepted: records.length, ignored: ignored});
+  }
+
+  /**
+   * Answers a request with JSON.
+   *
+   * @param {!http.ServerResponse} response the response.
+   * @param {number} statusCode the HTTP status code.
+   * @param {!Object} body the body.
+   * @private
+   */
+  respond_(response, statusCode, body) {
+    response.writeHead(statusCode, {'Content-Type': 'application/json'});
+    response.end(JSON.stringify(body, null, 2) + '\n');
+  }
+}
+
+module.exports = {Collector};
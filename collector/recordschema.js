@@ -0,0 +1,104 @@
+// Copyright 2017 Google Inc.
+//
+// Licensed under the Apache License, Version 2.0 (the "License");
+// you may not use this file except in compliance with the License.
+// You may obtain a copy of the License at
+//
+//    https://www.apache.org/licenses/LICENSE-2.0
+//
+// Unless required by applicable law or agreed to in writing, software
+// distributed under the License is distributed on an "AS IS" BASIS,
+// WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+// See the License for the specific language governing permissions and
+// limitations under the License.
+
+/**
+ * @fileoverview Checks the records the collector receives. A record has the
+ * fields of the LOG_TIMING message of the scheduler, so the scripts of the
+ * scheduler define its schema: message.js is loaded unchanged into a sandbox
+ * and its validateMessage checks every record as if it were a LOG_TIMING
+ * message.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+
+// The script of the extension defining the protocol.
+const MESSAGE_SCRIPT = path.join(__dirname, '..', 'scheduler', 'message.js');
+
+// The value of the kind field of the request records the result log of the
+// scheduler exports. The field is dropped, so exported files can be posted
+// as they are.
+const REQUEST_KIND = 'request';
+
+// The value of the kind field of the session records the result log exports.
+// The collector ignores them.
+const SESSION_KIND = 'session';
+
+class RecordSchema {
+  /**
+   * Constructs a RecordSchema object.
+   */
+  constructor() {
+    /**
+     * The sandbox message.js ran in.
+     *
+     * @private {!Object}
+     */
+    this.context_ = vm.createContext({});
+    vm.runInContext(
+        fs.readFileSync(MESSAGE_SCRIPT, 'utf8'), this.context_,
+        {filename: MESSAGE_SCRIPT});
+
+    /**
+     * The type of the timing log messages.
+     *
+     * @private {string}
+     */
+    this.logType_ = vm.runInContext('MessageType.LOG_TIMING', this.context_);
+
+    /**
+     * The version of the protocol message.js defines.
+     *
+     * @private {number}
+     */
+    this.version_ = vm.runInContext('PROTOCOL_VERSION', this.context_);
+
+    /**
+     * @private {function(*): !Array<string>}
+     */
+    this.validateMessage_ = vm.runInContext('validateMessage', this.context_);
+  }
+
+  /**
+   * Turns a line the collector received into a record.
+   *
+   * @param {*} value the parsed line.
+   *
+   * @return {{record: ?Object, errors: !Array<string>}} the record, null if
+   * the line is a session record or invalid, and the problems of the line.
+   */
+  toRecord(value) {
+    if (value === null || typeof value !== 'object' || Array.isArray(value)) {
+      return {record: null, errors: ['not an object']};
+    }
+    const record = Object.assign({}, value);
+    if (record.kind === SESSION_KIND) {
+      return {record: null, errors: []};
+    }
+    if (record.kind !== undefined && record.kind !== REQUEST_KIND) {
+      return {record: null, errors: ['unknown kind ' + record.kind]};
+    }
+    delete record.kind;
+    // validateMessage does not complain about these.
+    const errors = ['type', 'version']
+                       .filter((name) => record.hasOwnProperty(name))
+                       .map((name) => 'unknown field ' + name);
+    errors.push(...this.validateMessage_(Object.assign(
+        {type: this.logType_, version: this.version_}, record)));
+    return {record: errors.length === 0 ? record : null, errors: errors};
+  }
+}
+
+module.exports = {RecordSchema};
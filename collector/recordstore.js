@@ -0,0 +1,136 @@
+// Copyright 2017 Google Inc.
+//
+// Licensed under the Apache License, Version 2.0 (the "License");
+// you may not use this file except in compliance with the License.
+// You may obtain a copy of the License at
+//
+//    https://www.apache.org/licenses/LICENSE-2.0
+//
+// Unless required by applicable law or agreed to in writing, software
+// distributed under the License is distributed on an "AS IS" BASIS,
+// WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+// See the License for the specific language governing permissions and
+// limitations under the License.
+
+/**
+ * @fileoverview Implements the storage of the collector. Records are appended
+ * to JSON Lines files grouped by landing page and experiment arm:
+ *
+ *   <dir>/lp=<landing page>/arm=<arm>.jsonl
+ *
+ * with both names percent-encoded. A file is only ever appended to, so an
+ * interrupted run loses nothing collected before. A landing page whose
+ * encoded URL does not fit in a file name is cut and followed by a hash of
+ * the full URL. The records carry their landing page and arm, so the names
+ * are only there for people browsing the directory.
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+
+// The longest encoded landing page kept whole in a directory name. File
+// systems commonly allow 255 bytes.
+const MAX_ENCODED_LP_LENGTH = 200;
+
+// The extension of the record files.
+const RECORD_FILE_SUFFIX = '.jsonl';
+
+class RecordStore {
+  /**
+   * Constructs a RecordStore object.
+   *
+   * @param {string} dir the directory of the record files. It is created if
+   * it does not exist.
+   */
+  constructor(dir) {
+    /**
+     * @private {string}
+     */
+    this.dir_ = dir;
+    fs.mkdirSync(dir, {recursive: true});
+  }
+
+  /**
+   * Appends records to the files of their landing page and arm.
+   *
+   * @param {!Array<!Object>} records the records, see RecordSchema.
+   */
+  append(records) {
+    const lines = new Map();
+    records.forEach((record) => {
+      const file = this.getFile_(record.lpUrl, record.arm);
+      lines.set(file, (lines.get(file) || '') + JSON.stringify(record) + '\n');
+    });
+    lines.forEach((text, file) => {
+      fs.mkdirSync(path.dirname(file), {recursive: true});
+      fs.appendFileSync(file, text);
+    });
+  }
+
+  /**
+   * Reads all stored records.
+   *
+   * @return {!Array<!Object>} the records, in the order they were appended
+   * within a landing page and arm.
+   */
+  readAll() {
+    const records = [];
+    this.listFiles_().forEach((file) => {
+      fs.readFileSync(file, 'utf8').split('\n').forEach((line, i) => {
+        if (line === '') {
+          return;
+        }
+        try {
+          records.push(JSON.parse(line));
+        } catch (e) {
+          throw new Error(file + ':' + (i + 1) + ': ' + e.message);
+        }
+      });
+    });
+    return records;
+  }
+
+  /**
+   * Returns the file of the records of a landing page and arm.
+   *
+   * @param {string} lpUrl the landing page.
+   * @param {string} arm the name of the arm, '' for none.
+   *
+   * @return {string} the path of the file.
+   * @private
+   */
+  getFile_(lpUrl, arm) {
+    let lpName = encodeURIComponent(lpUrl);
+    if (lpName.length > MAX_ENCODED_LP_LENGTH) {
+      const hash =
+          crypto.createHash('sha256').update(lpUrl).digest('hex').slice(0, 16);
+      lpName = lpName.slice(0, MAX_ENCODED_LP_LENGTH - hash.length - 1) + '.' +
+          hash;
+    }
+    return path.join(
+        this.dir_, 'lp=' + lpName,
+        'arm=' + encodeURIComponent(arm) + RECORD_FILE_SUFFIX);
+  }
+
+  /**
+   * @return {!Array<string>} the paths of the record files, sorted.
+   * @private
+   */
+  listFiles_() {
+    const files = [];
+    fs.readdirSync(this.dir_, {withFileTypes: true})
+        .filter((entry) => entry.isDirectory() && entry.name.startsWith('lp='))
+        .forEach((entry) => {
+          const lpDir = path.join(this.dir_, entry.name);
+          fs.readdirSync(lpDir)
+              .filter((name) =>
+                          name.startsWith('arm=') &&
+                          name.endsWith(RECORD_FILE_SUFFIX))
+              .forEach((name) => files.push(path.join(lpDir, name)));
+        });
+    return files.sort();
+  }
+}
+
+module.exports = {RecordStore};
@@ -40,7 +40,7 @@ import (
 // Resource defines the information of a prefetch resource in the JSON.
 type Resource struct {
 	URL      string                        `json:"url"`
-	Type     int                           `json:"type"`  // https://w3c.github.io/preload/#as-attribute.
+	Type     int                           `json:"type"`  // Chromium ResourceType code, see scheduler/resourcetype.js.
 	Priority int                           `json:"priority"`
 }
 
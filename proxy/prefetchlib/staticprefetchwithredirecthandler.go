@@ -38,6 +38,12 @@ const (
 	// The delimeter to split the prefetch URLS.
 	// |$de| contains a combination of characters that is unlikely to appear together.
 	delim = "|$de|"
+
+	// The cancelable event a stub page in gating mode dispatches on its document
+	// before it navigates. The scheduler extension cancels it to hold the
+	// navigation and navigates once the critical prefetches finished. Without
+	// the extension nothing cancels it and the page navigates right away.
+	navigationGateEvent = "lpnavigate"
 )
 
 // Handler defines the prefetchproxyhandler.Handler type.
@@ -113,6 +119,10 @@ func (h *redirectHandler) ServeHTTP(rw http.ResponseWriter, req *http.Request) {
 	  glog.Infof("No prefetching requested. Just redirecting to %v", dstURL.String())
   }
 
+	// Gating mode is requested like the prefetch experiment, by header or by
+	// query parameter.
+	gateNavigation := req.Header.Get("x-req-gate-navigation") == "1" || query.Get("gate") == "1"
+
 	rw.Header().Set("Content-Type", "text/html")
 	rw.Header().Set("Referrer-Policy", "no-referrer")
 	rw.Header().Set("Access-Control-Allow-Origin", "*")
@@ -147,7 +157,7 @@ func (h *redirectHandler) ServeHTTP(rw http.ResponseWriter, req *http.Request) {
 		RedirectScript template.JS
 	}{
 		PrefetchURLs: URLs,
-    RedirectScript: template.JS(fmt.Sprintf("var dstURL='%s';\nwindow.location.assign(dstURL);", dstURL.String())),
+		RedirectScript: generateRedirectScript(dstURL.String(), gateNavigation),
 	}
 	targetPageBuf := &bytes.Buffer{}
 	err = h.htmlTemplate.Execute(targetPageBuf, templateData)
@@ -164,6 +174,20 @@ func (h *redirectHandler) ServeHTTP(rw http.ResponseWriter, req *http.Request) {
 	}
 }
 
+// generateRedirectScript generates the script navigating the stub page to
+// the landing page. In gating mode the navigation only happens right away if
+// no content script cancels the navigationGateEvent.
+func generateRedirectScript(dstURL string, gateNavigation bool) template.JS {
+	if !gateNavigation {
+		return template.JS(fmt.Sprintf("var dstURL='%s';\nwindow.location.assign(dstURL);", dstURL))
+	}
+	return template.JS(fmt.Sprintf("var dstURL='%s';\n"+
+		"var navigation = new CustomEvent('%s', {cancelable: true, detail: dstURL});\n"+
+		"if (document.dispatchEvent(navigation)) {\n"+
+		"  window.location.assign(dstURL);\n"+
+		"}", dstURL, navigationGateEvent))
+}
+
 // generatePrefetchHeaderString generates the string representing a resource
 // to be prefetched that will be included with the x-prefetch HTTP header.
 func generatePrefetchHeaderString(resource Resource) string {
@@ -0,0 +1,47 @@
+// Copyright 2017 Google Inc.
+//
+// Licensed under the Apache License, Version 2.0 (the "License");
+// you may not use this file except in compliance with the License.
+// You may obtain a copy of the License at
+//
+//    https://www.apache.org/licenses/LICENSE-2.0
+//
+// Unless required by applicable law or agreed to in writing, software
+// distributed under the License is distributed on an "AS IS" BASIS,
+// WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+// See the License for the specific language governing permissions and
+// limitations under the License.
+
+/**
+ * @fileoverview The service worker of the extension. It loads the scripts of
+ * the scheduler into the worker. runner.js comes last, since it starts the
+ * scheduler.
+ */
+
+importScripts(
+    'numericpriorityscheduler.js',
+    'hintparser.js',
+    'hinttrustpolicy.js',
+    'hintqueue.js',
+    'prefetchresource.js',
+    'prefetchstrategy.js',
+    'prefetchbudget.js',
+    'navigationgate.js',
+    'resourcetype.js',
+    'schedulersession.js',
+    'schedulingpolicy.js',
+    'concurrencycontroller.js',
+    'inflighttracker.js',
+    'failureclassifier.js',
+    'completionreconciler.js',
+    'experimentassigner.js',
+    'schedulerconfig.js',
+    'resultlog.js',
+    'resultuploader.js',
+    'message.js',
+    'timetracker.js',
+    'tracebuffer.js',
+    'sessionstore.js',
+    'headerrules.js',
+    'panelhub.js',
+    'runner.js');
@@ -0,0 +1,211 @@
+// Copyright 2017 Google Inc.
+//
+// Licensed under the Apache License, Version 2.0 (the "License");
+// you may not use this file except in compliance with the License.
+// You may obtain a copy of the License at
+//
+//    https://www.apache.org/licenses/LICENSE-2.0
+//
+// Unless required by applicable law or agreed to in writing, software
+// distributed under the License is distributed on an "AS IS" BASIS,
+// WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+// See the License for the specific language governing permissions and
+// limitations under the License.
+
+/**
+ * @fileoverview Implements the comparison of the two signals telling that a
+ * prefetch finished: the webRequest events seen by the scheduler and the load
+ * or error event of the <link> injected by the content script. They disagree
+ * when e.g. the network request succeeded but the browser refused to use the
+ * response for the link.
+ */
+
+// The outcomes of a prefetch.
+const PrefetchOutcome = {
+  COMPLETED: 'completed',
+  FAILED: 'failed'
+};
+
+/**
+ * @typedef {{
+ *   startTime: number,
+ *   responseStart: number,
+ *   responseEnd: number,
+ *   duration: number,
+ *   transferSize: number,
+ *   encodedBodySize: number,
+ *   decodedBodySize: number,
+ *   nextHopProtocol: string
+ * }}
+ *
+ * The fields of the ResourceTiming entry of a prefetch that the content
+ * script reports. See https://www.w3.org/TR/resource-timing-2/. The entry
+ * of a cross-origin resource without Timing-Allow-Origin has a responseStart
+ * and sizes of 0.
+ */
+let LinkTiming;
+
+/**
+ * @typedef {{
+ *   url: string,
+ *   webRequestOutcome: string,
+ *   linkOutcome: string,
+ *   linkTiming: ?LinkTiming
+ * }}
+ *
+ * url: the hinted URL of the prefetch.
+ * webRequestOutcome: one of PrefetchOutcome, as seen by webRequest.
+ * linkOutcome: one of PrefetchOutcome, as seen by the <link> element.
+ * linkTiming: the ResourceTiming entry of the prefetch, null if the page had
+ *     none.
+ */
+let OutcomeDisagreement;
+
+class CompletionReconciler {
+  constructor() {
+    /**
+     * Maps from the request id of a prefetch to its hinted URL.
+     *
+     * @private {!Map<string, string>}
+     */
+    this.requestUrls_ = new Map();
+
+    /**
+     * Maps from the normalized hinted URL of a prefetch to the signals
+     * received so far for its latest attempt.
+     *
+     * @private {!Map<string, {webRequest: string, link: string,
+     *     linkTiming: ?LinkTiming}>}
+     */
+    this.signals_ = new Map();
+
+    /**
+     * The disagreements found so far, in the order they were found.
+     *
+     * @private {!Array<!OutcomeDisagreement>}
+     */
+    this.disagreements_ = [];
+  }
+
+  /**
+   * Registers the request of a prefetch attempt. The signals of the previous
+   * attempt of the same URL are forgotten.
+   *
+   * @param {!string} requestId the request id of the prefetch.
+   * @param {!string} hintedUrl the URL the prefetch was hinted with.
+   */
+  registerRequest(requestId, hintedUrl) {
+    if (this.requestUrls_.has(requestId)) {
+      // A redirect hop of a registered request.
+      return;
+    }
+    const normalizedUrl = PrefetchResource.normalizeUrl(hintedUrl);
+    this.requestUrls_.set(requestId, normalizedUrl);
+    this.signals_.set(
+        normalizedUrl, {webRequest: '', link: '', linkTiming: null});
+  }
+
+  /**
+   * Records the outcome of a request as seen by webRequest.
+   *
+   * @param {!string} requestId the request id.
+   * @param {!string} outcome one of PrefetchOutcome.
+   *
+   * @return {?OutcomeDisagreement} the disagreement with the <link> signal,
+   * if any.
+   */
+  onWebRequestOutcome(requestId, outcome) {
+    const url = this.requestUrls_.get(requestId);
+    if (url === undefined) {
+      return null;
+    }
+    this.requestUrls_.delete(requestId);
+    const signals = this.signals_.get(url);
+    signals.webRequest = outcome;
+    return this.compare_(url, signals);
+  }
+
+  /**
+   * Records the outcome of a prefetch as seen by its <link> element.
+   *
+   * @param {!string} url the URL of the link.
+   * @param {!string} outcome one of PrefetchOutcome.
+   * @param {?LinkTiming} timing the ResourceTiming entry of the prefetch.
+   *
+   * @return {?OutcomeDisagreement} the disagreement with the webRequest
+   * signal, if any.
+   */
+  onLinkOutcome(url, outcome, timing) {
+    const normalizedUrl = PrefetchResource.normalizeUrl(url);
+    if (!this.signals_.has(normalizedUrl)) {
+      // The request never reached webRequest, so there is nothing to compare.
+      return null;
+    }
+    const signals = this.signals_.get(normalizedUrl);
+    signals.link = outcome;
+    signals.linkTiming = timing;
+    return this.compare_(normalizedUrl, signals);
+  }
+
+  /**
+   * Returns the disagreements found so far.
+   *
+   * @return {!Array<!OutcomeDisagreement>} the disagreements in the order
+   * they were found.
+   */
+  getDisagreements() {
+    return this.disagreements_;
+  }
+
+  /**
+   * Returns the signals received so far in a form chrome.storage can save.
+   *
+   * @return {!Object} the state, see setState.
+   */
+  getState() {
+    return {
+      requestUrls: Array.from(this.requestUrls_.entries()),
+      signals: Array.from(this.signals_.entries()),
+      disagreements: this.disagreements_
+    };
+  }
+
+  /**
+   * Replaces the signals received so far by saved ones.
+   *
+   * @param {!Object} state the state returned by getState.
+   */
+  setState(state) {
+    this.requestUrls_ = new Map(state.requestUrls);
+    this.signals_ = new Map(state.signals);
+    this.disagreements_ = state.disagreements;
+  }
+
+  /**
+   * Compares the signals of a prefetch once both arrived.
+   *
+   * @param {!string} url the normalized hinted URL.
+   * @param {{webRequest: string, link: string, linkTiming: ?LinkTiming}}
+   *     signals the signals of the prefetch.
+   *
+   * @return {?OutcomeDisagreement} the disagreement, if any.
+   * @private
+   */
+  compare_(url, signals) {
+    if (signals.webRequest === '' || signals.link === '') {
+      return null;
+    }
+    this.signals_.delete(url);
+    if (signals.webRequest === signals.link) {
+      return null;
+    }
+    const disagreement = {
+      url: url,
+      webRequestOutcome: signals.webRequest,
+      linkOutcome: signals.link,
+      linkTiming: signals.linkTiming
+    };
+    this.disagreements_.push(disagreement);
+    return disagreement;
+  }
+}
@@ -0,0 +1,261 @@
+// Copyright 2017 Google Inc.
+//
+// Licensed under the Apache License, Version 2.0 (the "License");
+// you may not use this file except in compliance with the License.
+// You may obtain a copy of the License at
+//
+//    https://www.apache.org/licenses/LICENSE-2.0
+//
+// Unless required by applicable law or agreed to in writing, software
+// distributed under the License is distributed on an "AS IS" BASIS,
+// WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+// See the License for the specific language governing permissions and
+// limitations under the License.
+
+/**
+ * @fileoverview Implements the logic deciding how many prefetches may be
+ * outstanding at a time, both in total and per origin. The global window is
+ * sized from the observed fetch times: it grows by one request per window of
+ * completed prefetches and halves when the fetch times rise well above the
+ * fastest fetch seen, which indicates that the link is congested. The fetch
+ * times are normalized by the size of the response, so a large response is
+ * not mistaken for congestion, and responses served from the cache say
+ * nothing about the link, so they are left out.
+ */
+
+// The smallest and the largest global window.
+const MIN_GLOBAL_WINDOW = 1;
+const MAX_GLOBAL_WINDOW = 16;
+
+// The number of connections Chrome opens to a HTTP/1.x origin. Prefetches to
+// such an origin cannot run faster than that.
+const HTTP1_MAX_CONNECTIONS_PER_ORIGIN = 6;
+
+// The global window while the browser is fetching the landing page, so the
+// prefetches do not compete with the navigation.
+const NAVIGATION_MAX_WINDOW = 2;
+
+// The link is considered congested once the smoothed fetch time exceeds the
+// fastest fetch time by this ratio.
+const CONGESTION_RATIO = 2;
+
+// The weight of the latest fetch time in the smoothed fetch time.
+const FETCH_TIME_SMOOTHING = 0.125;
+
+// The size a fetch time is normalized to. A response up to about this size
+// takes a round trip or so whatever its size, a larger one takes longer in
+// proportion.
+const FETCH_TIME_UNIT_BYTES = 16 * 1024;
+
+// The smallest fastest fetch time. A response that took less, e.g. from a
+// nearby cache, would make every later fetch look congested.
+const MIN_BASE_FETCH_TIME_MS = 10;
+
+// The share of the gap to the smoothed fetch time the fastest fetch time
+// moves up by with every fetch, so an outlier is forgotten over time.
+const BASE_FETCH_TIME_DRIFT = 0.05;
+
+class ConcurrencyController {
+  /**
+   * Constructs a ConcurrencyController.
+   *
+   * @param {number} initialWindow the global window to start with.
+   */
+  constructor(initialWindow) {
+    /**
+     * The number of prefetches allowed to be outstanding in total. It is
+     * fractional because it grows by 1 / window per completed prefetch.
+     *
+     * @private {number}
+     */
+    this.window_ = initialWindow;
+
+    /**
+     * The origins that were seen responding over a multiplexed protocol, i.e.
+     * HTTP/2 or HTTP/3.
+     *
+     * @private {!Set<!string>}
+     */
+    this.multiplexedOrigins_ = new Set();
+
+    /**
+     * The fastest normalized fetch time seen in milliseconds, drifting up
+     * towards the smoothed fetch time.
+     *
+     * @private {number}
+     */
+    this.baseFetchTimeMs_ = Infinity;
+
+    /**
+     * The exponentially weighted moving average of the normalized fetch
+     * times in milliseconds. -1 before the first fetch completed.
+     *
+     * @private {number}
+     */
+    this.smoothedFetchTimeMs_ = -1;
+
+    /**
+     * The time the window was last halved at. The window is halved at most
+     * once per smoothed fetch time, so a burst of slow fetches counts once.
+     *
+     * @private {number}
+     */
+    this.lastDecreaseMs_ = -Infinity;
+
+    /**
+     * Whether the browser is fetching the landing page.
+     *
+     * @private {boolean}
+     */
+    this.navigating_ = false;
+  }
+
+  /**
+   * Returns the number of prefetches allowed to be outstanding in total.
+   *
+   * @return {number} the global window.
+   */
+  getGlobalWindow() {
+    const globalWindow = Math.floor(this.window_);
+    return this.navigating_ ? Math.min(globalWindow, NAVIGATION_MAX_WINDOW) :
+                              globalWindow;
+  }
+
+  /**
+   * Returns the number of prefetches allowed to be outstanding to an origin.
+   *
+   * @param {!string} origin the origin.
+   *
+   * @return {number} the window of the origin.
+   */
+  getOriginWindow(origin) {
+    const globalWindow = this.getGlobalWindow();
+    if (this.multiplexedOrigins_.has(origin)) {
+      return globalWindow;
+    }
+    return Math.min(globalWindow, HTTP1_MAX_CONNECTIONS_PER_ORIGIN);
+  }
+
+  /**
+   * Returns whether another prefetch may be started at all.
+   *
+   * @param {number} outstandingCount the number of prefetches in flight.
+   *
+   * @return {boolean} whether the global window has room.
+   */
+  hasCapacity(outstandingCount) {
+    return outstandingCount < this.getGlobalWindow();
+  }
+
+  /**
+   * Returns whether a prefetch of the URL may be started now.
+   *
+   * @param {!string} url the URL to prefetch.
+   * @param {!Array<!string>} outstandingUrls the URLs being prefetched.
+   *
+   * @return {boolean} whether both the global and the origin window have room.
+   */
+  canFetch(url, outstandingUrls) {
+    if (!this.hasCapacity(outstandingUrls.length)) {
+      return false;
+    }
+    const origin = new URL(url).origin;
+    let originCount = 0;
+    outstandingUrls.forEach((outstandingUrl) => {
+      if (new URL(outstandingUrl).origin === origin) {
+        originCount++;
+      }
+    });
+    return originCount < this.getOriginWindow(origin);
+  }
+
+  /**
+   * Updates the windows with a completed prefetch.
+   *
+   * @param {!string} url the URL of the prefetch.
+   * @param {number} fetchTimeMs how long the prefetch took. Negative if
+   * unknown.
+   * @param {number} bytes the size of the response, 0 if unknown.
+   * @param {boolean} fromCache whether the response came from the cache.
+   * @param {number} completeTimestampMs when the prefetch completed.
+   * @param {string|undefined} statusLine the status line of the response,
+   * e.g. "HTTP/2 200".
+   */
+  onPrefetchCompleted(
+      url, fetchTimeMs, bytes, fromCache, completeTimestampMs, statusLine) {
+    if (statusLine && /^HTTP\/[23]/.test(statusLine)) {
+      this.multiplexedOrigins_.add(new URL(url).origin);
+    }
+    if (fetchTimeMs < 0 || fromCache) {
+      return;
+    }
+    const normalizedMs =
+        fetchTimeMs / (1 + Math.max(0, bytes) / FETCH_TIME_UNIT_BYTES);
+    this.smoothedFetchTimeMs_ = this.smoothedFetchTimeMs_ < 0 ?
+        normalizedMs :
+        (1 - FETCH_TIME_SMOOTHING) * this.smoothedFetchTimeMs_ +
+            FETCH_TIME_SMOOTHING * normalizedMs;
+    const driftedBaseMs = isFinite(this.baseFetchTimeMs_) ?
+        this.baseFetchTimeMs_ +
+            BASE_FETCH_TIME_DRIFT *
+                Math.max(0, this.smoothedFetchTimeMs_ - this.baseFetchTimeMs_) :
+        Infinity;
+    this.baseFetchTimeMs_ = Math.max(
+        MIN_BASE_FETCH_TIME_MS, Math.min(driftedBaseMs, normalizedMs));
+
+    const congested =
+        this.smoothedFetchTimeMs_ > CONGESTION_RATIO * this.baseFetchTimeMs_;
+    if (congested) {
+      if (completeTimestampMs - this.lastDecreaseMs_ >
+          this.smoothedFetchTimeMs_) {
+        this.window_ = Math.max(MIN_GLOBAL_WINDOW, this.window_ / 2);
+        this.lastDecreaseMs_ = completeTimestampMs;
+      }
+    } else {
+      this.window_ =
+          Math.min(MAX_GLOBAL_WINDOW, this.window_ + 1 / this.window_);
+    }
+  }
+
+  /**
+   * Shrinks the windows while the browser fetches the landing page.
+   */
+  onNavigationStarted() {
+    this.navigating_ = true;
+  }
+
+  /**
+   * Returns the state of the windows in a form chrome.storage can save. JSON
+   * has no infinity, so the unset times are saved as -1.
+   *
+   * @return {!Object} the state, see setState.
+   */
+  getState() {
+    return {
+      window: this.window_,
+      multiplexedOrigins: Array.from(this.multiplexedOrigins_),
+      baseFetchTimeMs:
+          isFinite(this.baseFetchTimeMs_) ? this.baseFetchTimeMs_ : -1,
+      smoothedFetchTimeMs: this.smoothedFetchTimeMs_,
+      lastDecreaseMs:
+          isFinite(this.lastDecreaseMs_) ? this.lastDecreaseMs_ : -1,
+      navigating: this.navigating_
+    };
+  }
+
+  /**
+   * Replaces the state of the windows by a saved one.
+   *
+   * @param {!Object} state the state returned by getState.
+   */
+  setState(state) {
+    this.window_ = state.window;
+    this.multiplexedOrigins_ = new Set(state.multiplexedOrigins);
+    this.baseFetchTimeMs_ =
+        state.baseFetchTimeMs < 0 ? Infinity : state.baseFetchTimeMs;
+    this.smoothedFetchTimeMs_ = state.smoothedFetchTimeMs;
+    this.lastDecreaseMs_ =
+        state.lastDecreaseMs < 0 ? -Infinity : state.lastDecreaseMs;
+    this.navigating_ = state.navigating;
+  }
+}
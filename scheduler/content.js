@@ -17,40 +17,265 @@
  * content_script is need for the extension to interact with the DOM tree.
  */
 
+// How long a held navigation waits for the scheduler at most, in case the
+// scheduler never releases it, e.g. because the extension was reloaded.
+const NAVIGATION_HOLD_LIMIT_MS = 30 * 1000;
+
 class Content {
   constructor() {
     console.log('constructing content script');
     this.fetchedUrls_ = new Set();
     this.didInit_ = false;
+
+    /**
+     * The landing page whose navigation is held, '' if none is.
+     *
+     * @private {string}
+     */
+    this.heldNavigationUrl_ = '';
+
+    /**
+     * The id of the timer releasing the held navigation, -1 if none runs.
+     *
+     * @private {number}
+     */
+    this.holdTimeoutId_ = -1;
+
+    /**
+     * Resolves resource types of messages that do not carry the preload
+     * attributes.
+     *
+     * @private {!ResourceTypeRegistry}
+     */
+    this.resourceTypes_ = new ResourceTypeRegistry();
   }
 
   /**
-   * Prefetches a resource.
+   * Prefetches a resource with the mechanism the scheduler chose.
    *
    * @param {*} msg the message to handle
    */
   handlePrefetchResource(msg) {
     const prefetchMsg = /** @type {Message.Prefetch} */ (msg);
-    let link = undefined;
+    let element = undefined;
     let url = prefetchMsg.url;
-    if (this.fetchedUrls_.has(url)) {
+    if (this.fetchedUrls_.has(url) && !(prefetchMsg.attempt > 1)) {
       console.log('already prefetched this URL not prefetching it again.');
       return;
     }
-    switch (msg.type) {
-      case MessageType.PREFETCH_RESOURCE:
-        link = this.constructPrefetchElement(prefetchMsg);
+    switch (prefetchMsg.mechanism) {
+      case PrefetchMechanism.LINK_PREFETCH:
+        element = this.constructPrefetchElement(prefetchMsg);
         break;
-      case MessageType.PRELOAD_RESOURCE:
-        link = this.constructPreloadElement(prefetchMsg);
+      case PrefetchMechanism.LINK_PRELOAD:
+      case PrefetchMechanism.MODULEPRELOAD:
+        element = this.constructPreloadElement(prefetchMsg);
+        break;
+      case PrefetchMechanism.FETCH:
+        this.fetchedUrls_.add(url);
+        this.traceLinkInserted_(prefetchMsg);
+        this.fetchResource_(prefetchMsg);
+        return;
+      case PrefetchMechanism.SPECULATION_PREFETCH:
+      case PrefetchMechanism.SPECULATION_PRERENDER:
+        element = this.constructSpeculationRules_(prefetchMsg);
         break;
       default:
         console.warn('unknown prefetch: ' + JSON.stringify(prefetchMsg));
         return;
     }
     this.fetchedUrls_.add(url);
-    console.log('prefetching: ' + link.outerHTML);
-    document.getElementsByTagName('head')[0].appendChild(link);
+    if (element.tagName === 'LINK') {
+      // Speculation rules fire no events, so only webRequest tells their
+      // outcome.
+      element.addEventListener(
+          'load', () => this.reportLinkOutcome_(MessageType.COMPLETED, url));
+      element.addEventListener(
+          'error', () => this.reportLinkOutcome_(MessageType.FAILED, url));
+    }
+    console.log('prefetching: ' + element.outerHTML);
+    document.getElementsByTagName('head')[0].appendChild(element);
+    this.traceLinkInserted_(prefetchMsg);
+  }
+
+  /**
+   * Adds the insertion of a prefetch to the trace of the tab.
+   *
+   * @param {Message.Prefetch} msg the info of the prefetch.
+   * @private
+   */
+  traceLinkInserted_(msg) {
+    const /** @type {Message.TraceEvent} */ traceMsg =
+        createMessage(MessageType.TRACE_EVENT, {
+          name: TraceEventName.LINK_INSERTED,
+          timestampMs: performance.timeOrigin + performance.now(),
+          args: {url: msg.url, mechanism: msg.mechanism, attempt: msg.attempt}
+        });
+    this.sendToScheduler_(traceMsg);
+  }
+
+  /**
+   * Fetches a resource with fetch() and reads its body so that it ends up in
+   * the HTTP cache. The outcome is reported like the one of a link.
+   *
+   * @param {Message.Prefetch} msg the info of the resource.
+   * @private
+   */
+  fetchResource_(msg) {
+    const url = msg.url;
+    const init = {
+      cache: msg.cache,
+      priority: msg.fetchPriority,
+      // The same mode and credentials as a <link> with the same crossorigin
+      // attribute, so that the cached response is reused.
+      mode: msg.crossorigin ? 'cors' : 'no-cors',
+      credentials: msg.crossorigin === 'anonymous' ? 'same-origin' : 'include'
+    };
+    console.log('fetching: ' + url + ' ' + JSON.stringify(init));
+    fetch(url, init)
+        .then((response) => response.arrayBuffer().then(() => {
+          // An opaque no-cors response has no status to check.
+          const succeeded = response.ok || response.type === 'opaque';
+          this.reportLinkOutcome_(
+              succeeded ? MessageType.COMPLETED : MessageType.FAILED, url);
+        }))
+        .catch((e) => {
+          console.log('fetch of ' + url + ' failed: ' + e);
+          this.reportLinkOutcome_(MessageType.FAILED, url);
+        });
+  }
+
+  /**
+   * Constructs a <script type="speculationrules"> asking the browser to
+   * prefetch or prerender a document. Browsers without speculation rules
+   * get a <link rel="prefetch"> instead.
+   *
+   * @param {Message.Prefetch} msg the info of the document.
+   *
+   * @return {!HTMLElement} the element to insert.
+   * @private
+   */
+  constructSpeculationRules_(msg) {
+    if (!HTMLScriptElement.supports ||
+        !HTMLScriptElement.supports('speculationrules')) {
+      console.log('speculation rules are not supported, prefetching');
+      return this.constructPrefetchElement(msg);
+    }
+    const action =
+        msg.mechanism === PrefetchMechanism.SPECULATION_PRERENDER ?
+        'prerender' :
+        'prefetch';
+    const rules = {};
+    rules[action] = [{source: 'list', urls: [msg.url]}];
+    const script =
+        /** @type {!HTMLScriptElement} */ (document.createElement('script'));
+    script.type = 'speculationrules';
+    script.textContent = JSON.stringify(rules);
+    return script;
+  }
+
+  /**
+   * Tells the scheduler that an injected link loaded or failed.
+   *
+   * @param {!string} type MessageType.COMPLETED or MessageType.FAILED.
+   * @param {!string} url the URL of the link.
+   * @private
+   */
+  reportLinkOutcome_(type, url) {
+    const /** @type {Message.LinkOutcome} */ msg = createMessage(type, {
+      url: url,
+      timestamp: performance.now(),
+      timing: this.getLinkTiming_(url)
+    });
+    this.sendToScheduler_(msg);
+  }
+
+  /**
+   * Tells the scheduler about the connection of the page. See
+   * https://wicg.github.io/netinfo/.
+   *
+   * @private
+   */
+  reportNetworkInfo_() {
+    const connection = navigator.connection;
+    const /** @type {Message.NetworkInfo} */ msg =
+        createMessage(MessageType.NETWORK_INFO, {
+          saveData: !!connection.saveData,
+          effectiveType: connection.effectiveType || '',
+          downlinkMbps:
+              connection.downlink === undefined ? -1 : connection.downlink
+        });
+    this.sendToScheduler_(msg);
+  }
+
+  /**
+   * Holds the navigation a stub page served in gating mode is about to start,
+   * and asks the scheduler to release it. The navigation happens right away
+   * if the scheduler cannot be reached or rejects the hold.
+   *
+   * @param {!Event} event the NAVIGATION_GATE_EVENT of the stub page.
+   * @private
+   */
+  onNavigationGateEvent_(event) {
+    const url = /** @type {!CustomEvent} */ (event).detail;
+    if (typeof url !== 'string' || this.heldNavigationUrl_ !== '') {
+      return;
+    }
+    event.preventDefault();
+    console.log('holding the navigation to ' + url);
+    this.heldNavigationUrl_ = url;
+    this.holdTimeoutId_ = setTimeout(
+        () => this.releaseNavigation_('no release in time'),
+        NAVIGATION_HOLD_LIMIT_MS);
+    const /** @type {Message.NavigationHeld} */ msg =
+        createMessage(MessageType.NAVIGATION_HELD, {url: url});
+    this.sendToScheduler_(
+        msg, () => this.releaseNavigation_('the scheduler refused the hold'));
+  }
+
+  /**
+   * Carries out the held navigation.
+   *
+   * @param {!string} reason why the navigation is released.
+   * @private
+   */
+  releaseNavigation_(reason) {
+    if (this.heldNavigationUrl_ === '') {
+      return;
+    }
+    const url = this.heldNavigationUrl_;
+    clearTimeout(this.holdTimeoutId_);
+    this.heldNavigationUrl_ = '';
+    this.holdTimeoutId_ = -1;
+    console.log('navigating to ' + url + ': ' + reason);
+    window.location.assign(url);
+  }
+
+  /**
+   * Returns the ResourceTiming entry of the latest fetch of a URL.
+   *
+   * @param {!string} url the URL.
+   *
+   * @return {?LinkTiming} the entry, or null if the page has none, e.g.
+   * because the resource timing buffer is full.
+   * @private
+   */
+  getLinkTiming_(url) {
+    const entries = performance.getEntriesByName(url, 'resource');
+    if (entries.length === 0) {
+      return null;
+    }
+    const entry = entries[entries.length - 1];
+    return {
+      startTime: entry.startTime,
+      responseStart: entry.responseStart,
+      responseEnd: entry.responseEnd,
+      duration: entry.duration,
+      transferSize: entry.transferSize,
+      encodedBodySize: entry.encodedBodySize,
+      decodedBodySize: entry.decodedBodySize,
+      nextHopProtocol: entry.nextHopProtocol
+    };
   }
 
   /**
@@ -63,30 +288,101 @@ class Content {
   constructPrefetchElement(msg) {
     const link =
         /** @type {!HTMLLinkElement} */ (document.createElement('link'));
-    domSafe.setLinkHrefAndRel(link, msg.url, 'prefetch');
+    link.rel = 'prefetch';
+    link.href = msg.url;
+    if (msg.crossorigin) {
+      // The cached response is only reused by a request with the same mode.
+      link.crossOrigin = msg.crossorigin;
+    }
+    this.setFetchPriority_(link, msg);
     return link;
   }
 
   /**
-   * Constructs a <link rel="preload"> DOM element.
+   * Constructs a <link rel="preload"> DOM element. A resource whose type
+   * cannot be preloaded falls back to <link rel="prefetch">.
    *
    * @param {Message.Prefetch} msg the info of the resource.
    *
    * @return {HTMLLinkElement} the HTML link element with rel set to preload.
    */
   constructPreloadElement(msg) {
+    const resource = this.toPrefetchResource_(msg);
+    if (!resource.canPreload()) {
+      console.log('cannot preload type ' + msg.resourceType + ', prefetching');
+      return this.constructPrefetchElement(msg);
+    }
     const link =
         /** @type {!HTMLLinkElement} */ (document.createElement('link'));
-    domSafe.setLinkHrefAndRel(link, msg.url, 'preload');
-    link.as = this.getPreloadTypeString(msg.resourceType);
+    link.rel = resource.rel;
+    link.href = resource.url;
+    if (resource.rel === HintRel.PRELOAD) {
+      link.as = resource.as;
+    }
+    if (resource.crossorigin) {
+      link.crossOrigin = resource.crossorigin;
+    }
+    if (resource.mimeType) {
+      link.type = resource.mimeType;
+    }
+    this.setFetchPriority_(link, msg);
     return link;
   }
 
-  getPreloadTypeString(type) {
-    if (type.toLowerCase() === 'stylesheet') {
-      return 'style';
+  /**
+   * Sets the fetchpriority attribute of a link, unless it is 'auto'.
+   *
+   * @param {!HTMLLinkElement} link the link.
+   * @param {Message.Prefetch} msg the info of the resource.
+   * @private
+   */
+  setFetchPriority_(link, msg) {
+    if (msg.fetchPriority && msg.fetchPriority !== 'auto') {
+      link.setAttribute('fetchpriority', msg.fetchPriority);
     }
-    return type.toLowerCase();
+  }
+
+  /**
+   * Builds the PrefetchResource described by a prefetch message. Messages
+   * without preload attributes are resolved from their resource type.
+   *
+   * @param {Message.Prefetch} msg the info of the resource.
+   *
+   * @return {!PrefetchResource} the resource.
+   * @private
+   */
+  toPrefetchResource_(msg) {
+    const resource = new PrefetchResource(msg.url, msg.resourceType);
+    const isModule = msg.rel === HintRel.MODULEPRELOAD ||
+        msg.mechanism === PrefetchMechanism.MODULEPRELOAD;
+    resource.rel = isModule ? HintRel.MODULEPRELOAD : HintRel.PRELOAD;
+    resource.crossorigin = msg.crossorigin || null;
+    if (msg.as) {
+      resource.as = msg.as;
+      resource.mimeType = msg.mimeType || null;
+    } else {
+      this.resourceTypes_.resolve(resource);
+    }
+    return resource;
+  }
+
+  /**
+   * Warms up the connection to an origin with a <link rel="preconnect"> or
+   * <link rel="dns-prefetch">.
+   *
+   * @param {*} msg the message to handle
+   */
+  handlePreconnectOrigin(msg) {
+    const preconnectMsg = /** @type {Message.Preconnect} */ (msg);
+    const link =
+        /** @type {!HTMLLinkElement} */ (document.createElement('link'));
+    link.rel = preconnectMsg.rel;
+    link.href = preconnectMsg.url;
+    if (preconnectMsg.crossorigin) {
+      link.crossOrigin = preconnectMsg.crossorigin;
+    }
+    console.log('connecting: ' + link.outerHTML);
+    document.getElementsByTagName('head')[0].appendChild(link);
   }
 
   /**
@@ -103,50 +399,156 @@ class Content {
       logStr += ',ACTUAL';
     } else if (msg.isPrefetch === 'late') {
       logStr += ',LATE_PREFETCH';
+    } else if (msg.isPrefetch === 'dropped') {
+      logStr += ',DROPPED_PREFETCH';
+    } else if (msg.isPrefetch === 'timed_out') {
+      logStr += ',TIMED_OUT_PREFETCH';
+    } else if (msg.isPrefetch === 'redirect') {
+      logStr += ',REDIRECT';
+    } else if (msg.isPrefetch === 'over_budget') {
+      logStr += ',OVER_BUDGET_PREFETCH';
+    } else if (msg.isPrefetch === 'navigation_hold') {
+      logStr += ',NAVIGATION_HOLD';
     } else {
       logStr += ',UNKNOWN';
     }
+    if (msg.windowSize !== undefined) {
+      logStr += ',' + msg.windowSize;
+    }
+    if (msg.mechanism) {
+      logStr += ',' + msg.mechanism;
+    }
+    if (msg.redirectUrl) {
+      logStr += ',' + msg.redirectUrl;
+    }
+    if (msg.arm) {
+      logStr += ',arm=' + msg.arm;
+    }
     console.log(logStr);
   }
 
+  /**
+   * Logs the per tier summary of a session to the console. There is one line
+   * per tier in the form
+   * SUMMARY,sessionId,tier,prefetched,hits,misses,unused,late,hitRate,
+   * wastedBytes,timeSavedMs.
+   *
+   * @param {*} msg the message to handle
+   */
+  handleSessionSummary(msg) {
+    msg.tiers.forEach((tier) => {
+      console.log([
+        'SUMMARY', msg.sessionId, tier.tier, tier.prefetched, tier.hits,
+        tier.misses, tier.unused, tier.late, tier.hitRate, tier.wastedBytes,
+        tier.timeSavedMs
+      ].join(','));
+    });
+  }
+
+  /**
+   * Handles a message of the scheduler. Every message is validated and
+   * answered with an ACK.
+   *
+   * @param {*} msg the received message.
+   * @param {!Object} sender the sender of the message.
+   * @param {function(*)} sendResponse the callback for the ACK.
+   */
   onMessageHandler(msg, sender, sendResponse) {
     console.log('received message: ' + JSON.stringify(msg));
+    const errors = validateMessage(msg);
+    if (errors.length > 0) {
+      console.warn('rejecting message: ' + errors.join('; '));
+      sendResponse(createAck(errors));
+      return;
+    }
     switch (msg.type) {
       case MessageType.PREFETCH_RESOURCE:
       case MessageType.PRELOAD_RESOURCE:
         this.handlePrefetchResource(msg);
         break;
+      case MessageType.PRECONNECT_ORIGIN:
+        this.handlePreconnectOrigin(msg);
+        break;
       case MessageType.LOG_TIMING:
         this.handleLogTiming(msg);
         break;
+      case MessageType.SESSION_SUMMARY:
+        this.handleSessionSummary(msg);
+        break;
+      case MessageType.SESSION_RESET:
+        console.log('session reset, forgetting prefetched URLs');
+        this.fetchedUrls_.clear();
+        break;
       case MessageType.NAVIGATED_TO_DST:
         console.log('navigated to destination: ' + msg.url);
         break;
-      case MessageType.DEBUG:
-        console.log('[DEBUG] ' + JSON.stringify(msg));
-        break;
-      case MessageType.INFO:
-        console.log('received info message at ' + String(performance.now()));
-        console.log(
-            '[content ' + String(performance.now()) + '] ' + msg.message);
+      case MessageType.RELEASE_NAVIGATION:
+        if (msg.url !== this.heldNavigationUrl_) {
+          sendResponse(createAck(['no navigation to ' + msg.url + ' is held']));
+          return;
+        }
+        this.releaseNavigation_(msg.reason);
         break;
       default:
-        console.warn('undefined message: ' + JSON.stringify(msg));
+        console.warn('unexpected message: ' + JSON.stringify(msg));
+        sendResponse(createAck(['unexpected message type ' + msg.type]));
+        return;
     }
+    sendResponse(createAck([]));
   }
 
+  /**
+   * Sends a message to the scheduler and logs it if it was rejected.
+   *
+   * @param {*} msg the message to send.
+   * @param {function()=} onRejected called if the scheduler could not be
+   * reached or rejected the message.
+   * @private
+   */
+  sendToScheduler_(msg, onRejected = () => {}) {
+    chrome.runtime.sendMessage(msg, (response) => {
+      if (chrome.runtime.lastError) {
+        console.warn(
+            'could not reach the scheduler: ' +
+            chrome.runtime.lastError.message);
+        onRejected();
+        return;
+      }
+      if (response && response.type === MessageType.ACK &&
+          !response.accepted) {
+        console.warn(
+            'the scheduler rejected ' + msg.type + ': ' + response.error);
+        onRejected();
+      }
+    });
+  }
 
   start() {
     if (!this.didInit_) {
       console.log('content script ran');
       chrome.runtime.onMessage.removeListener(this.onMessageHandler.bind(this));
       chrome.runtime.onMessage.addListener(this.onMessageHandler.bind(this));
+      if (window === window.top) {
+        // Registered before the scripts of the page run, so that the
+        // navigation of a stub page can be held.
+        document.addEventListener(
+            NAVIGATION_GATE_EVENT, this.onNavigationGateEvent_.bind(this));
+      }
+
+      if (window === window.top && navigator.connection) {
+        // Sent before the init message so that the first prefetches already
+        // respect it.
+        this.reportNetworkInfo_();
+        navigator.connection.addEventListener(
+            'change', () => this.reportNetworkInfo_());
+      }
 
       console.log('Initializing the content script.');
-      const /** @type {Message.InitClientScript} */ msg = {
-        type: MessageType.CONTENT_SCRIPT_INIT
-      };
-      chrome.runtime.sendMessage(msg);
+      const /** @type {Message.InitClientScript} */ msg =
+          createMessage(MessageType.CONTENT_SCRIPT_INIT, {
+            extensionVersion: chrome.runtime.getManifest().version
+          });
+      this.sendToScheduler_(msg);
       console.log('content_script initialization done.');
     }
     this.didInit_ = true;
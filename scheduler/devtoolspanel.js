@@ -0,0 +1,392 @@
+// Copyright 2017 Google Inc.
+//
+// Licensed under the Apache License, Version 2.0 (the "License");
+// you may not use this file except in compliance with the License.
+// You may obtain a copy of the License at
+//
+//    https://www.apache.org/licenses/LICENSE-2.0
+//
+// Unless required by applicable law or agreed to in writing, software
+// distributed under the License is distributed on an "AS IS" BASIS,
+// WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+// See the License for the specific language governing permissions and
+// limitations under the License.
+
+/**
+ * @fileoverview Implements the Prefetch panel of DevTools. It subscribes to
+ * the session of the inspected tab over a port and shows its queues, its
+ * navigation state and a waterfall of its prefetches and requests. The
+ * buttons pause, flush or re-run the session.
+ */
+
+// How long to wait before connecting again once the port closed, e.g. because
+// the service worker of the scheduler was suspended.
+const PANEL_RECONNECT_DELAY_MS = 1000;
+
+// The status of a row of the waterfall. It names the CSS class of the row.
+const WaterfallStatus = {
+  PREFETCH: 'prefetch',
+  // A request of the page served from the cache the prefetch filled.
+  HIT: 'hit',
+  // A request of the page for a prefetched URL that missed the cache.
+  MISS: 'miss',
+  // A request of the page for a URL that was not prefetched.
+  REQUEST: 'request',
+  // A hint the page requested before it was prefetched.
+  LATE: 'late',
+  // A hint that was dropped by the policy or skipped by the budget.
+  SKIPPED: 'skipped'
+};
+
+class DevToolsPanel {
+  /**
+   * Constructs a DevToolsPanel object.
+   *
+   * @param {number} tabId the id of the inspected tab.
+   */
+  constructor(tabId) {
+    /**
+     * @private {number}
+     */
+    this.tabId_ = tabId;
+
+    /**
+     * The port to the scheduler, null while disconnected.
+     *
+     * @private {?Port}
+     */
+    this.port_ = null;
+
+    /**
+     * The last state received, null if the tab has no session.
+     *
+     * @private {?PanelState}
+     */
+    this.state_ = null;
+  }
+
+  /**
+   * Connects to the scheduler and starts listening to the buttons.
+   */
+  start() {
+    this.onClick_('pause', () => {
+      this.sendCommand_(
+          this.state_ !== null && this.state_.paused ? PanelCommand.RESUME :
+                                                       PanelCommand.PAUSE);
+    });
+    this.onClick_('flush', () => this.sendCommand_(PanelCommand.FLUSH));
+    this.onClick_('rerun', () => this.sendCommand_(PanelCommand.RERUN));
+    this.connect_();
+  }
+
+  /**
+   * Opens the port to the scheduler and subscribes to the inspected tab. The
+   * port is opened again whenever it closes.
+   *
+   * @private
+   */
+  connect_() {
+    try {
+      this.port_ = chrome.runtime.connect({name: PANEL_PORT_NAME});
+    } catch (e) {
+      // The extension was reloaded, so DevTools has to be reopened.
+      this.showStatus_('Disconnected: ' + e.message);
+      return;
+    }
+    this.port_.onMessage.addListener((msg) => this.onMessage_(msg));
+    this.port_.onDisconnect.addListener(() => {
+      this.port_ = null;
+      setTimeout(() => this.connect_(), PANEL_RECONNECT_DELAY_MS);
+    });
+    const /** @type {Message.PanelSubscribe} */ msg =
+        createMessage(MessageType.PANEL_SUBSCRIBE, {tabId: this.tabId_});
+    this.port_.postMessage(msg);
+  }
+
+  /**
+   * Sends a command for the session of the inspected tab.
+   *
+   * @param {!string} command one of PanelCommand.
+   * @private
+   */
+  sendCommand_(command) {
+    if (this.port_ === null) {
+      this.showStatus_('Not connected to the scheduler.');
+      return;
+    }
+    const /** @type {Message.PanelCommand} */ msg = createMessage(
+        MessageType.PANEL_COMMAND, {tabId: this.tabId_, command: command});
+    this.port_.postMessage(msg);
+  }
+
+  /**
+   * Handles a message of the scheduler.
+   *
+   * @param {*} msg the received message.
+   * @private
+   */
+  onMessage_(msg) {
+    const errors = validateMessage(msg);
+    if (errors.length > 0) {
+      this.showStatus_('Invalid message: ' + errors.join('; '));
+      return;
+    }
+    switch (msg.type) {
+      case MessageType.PANEL_STATE:
+        if (msg.tabId === this.tabId_) {
+          this.state_ = /** @type {?PanelState} */ (msg.state);
+          this.render_();
+        }
+        break;
+      case MessageType.ACK:
+        this.showStatus_(msg.accepted ? '' : msg.error);
+        break;
+    }
+  }
+
+  /**
+   * Shows the last state received.
+   *
+   * @private
+   */
+  render_() {
+    const state = this.state_;
+    if (state === null) {
+      this.getElement_('sessionId').textContent = 'no session';
+      ['lpUrl', 'documentUrl', 'arm', 'policyName', 'dispatch',
+       'curFetchPriority', 'windowSize', 'navigation', 'budget']
+          .forEach((id) => this.getElement_(id).textContent = '');
+      this.getElement_('pause').textContent = 'Pause';
+      this.clear_('queueRows');
+      this.clear_('waterfall');
+      return;
+    }
+    this.getElement_('sessionId').textContent = state.sessionId;
+    this.getElement_('lpUrl').textContent = state.lpUrl;
+    this.getElement_('documentUrl').textContent = state.documentUrl;
+    this.getElement_('arm').textContent = state.arm || 'none';
+    this.getElement_('policyName').textContent = state.policyName;
+    this.getElement_('dispatch').textContent =
+        state.paused ? 'paused' : 'running';
+    this.getElement_('curFetchPriority').textContent =
+        String(state.curFetchPriority);
+    this.getElement_('windowSize').textContent = String(state.windowSize);
+    this.getElement_('navigation').textContent =
+        this.describeNavigation_(state);
+    this.getElement_('budget').textContent =
+        state.budget.bytesSpent + ' bytes spent of ' +
+        (state.budget.byteBudget > 0 ? state.budget.byteBudget : 'unlimited') +
+        ', ' + state.budget.estimatedResponses + ' of unknown size, ' +
+        state.budget.skipped.length + ' skipped';
+    this.getElement_('pause').textContent = state.paused ? 'Resume' : 'Pause';
+    this.renderQueues_(state);
+    this.renderWaterfall_(state);
+  }
+
+  /**
+   * Describes where the tab is on its way to the landing page.
+   *
+   * @param {!PanelState} state the state of the session.
+   *
+   * @return {!string} the description.
+   * @private
+   */
+  describeNavigation_(state) {
+    const navigation = state.navigation;
+    const hold = navigation.hold;
+    if (navigation.holding) {
+      return 'holding the navigation to ' + hold.url + ' until tier ' +
+          hold.tier + ' finished';
+    }
+    const parts = [];
+    if (navigation.navigatedToDst) {
+      parts.push(
+          'navigated to the landing page ' +
+          (navigation.navigationStartMs - state.startTimeMs) +
+          'ms into the session');
+    } else {
+      parts.push(
+          'on the stub page, navigation expected ' +
+          (navigation.navigationDeadlineMs - state.startTimeMs) +
+          'ms into the session');
+    }
+    if (hold !== null) {
+      parts.push('held for ' + hold.holdMs + 'ms (' + hold.reason + ')');
+    }
+    return parts.join(', ');
+  }
+
+  /**
+   * Shows every tier of the hint queue and the prefetches the scheduler took
+   * from it.
+   *
+   * @param {!PanelState} state the state of the session.
+   * @private
+   */
+  renderQueues_(state) {
+    const rows = this.clear_('queueRows');
+    const addRow = (name, urls) => {
+      const row = document.createElement('tr');
+      const nameCell = document.createElement('td');
+      nameCell.textContent = name;
+      const sizeCell = document.createElement('td');
+      sizeCell.textContent = String(urls.length);
+      const urlCell = document.createElement('td');
+      urls.forEach((url) => {
+        const line = document.createElement('div');
+        line.className = 'url';
+        line.textContent = url;
+        urlCell.appendChild(line);
+      });
+      row.appendChild(nameCell);
+      row.appendChild(sizeCell);
+      row.appendChild(urlCell);
+      rows.appendChild(row);
+    };
+    state.tiers.forEach((tier) => {
+      addRow(
+          'Tier ' + tier.tier, tier.resources.map((entry) => entry.url));
+    });
+    addRow('Queued', state.queued.map(
+        (entry) => entry.url + ' (tier ' + entry.tier + ')'));
+    addRow('Deferred', state.deferred.map(
+        (entry) => entry.url + ' (tier ' + entry.tier + ')'));
+    addRow('Outstanding', state.inFlight.map(
+        (prefetch) => prefetch.url + ' (tier ' + prefetch.tier + ', ' +
+            prefetch.mechanism + ')'));
+  }
+
+  /**
+   * Draws the requests and hints of the session on a common time axis that
+   * starts with the session.
+   *
+   * @param {!PanelState} state the state of the session.
+   * @private
+   */
+  renderWaterfall_(state) {
+    const waterfall = this.clear_('waterfall');
+    const records = state.requests.filter(
+        (record) => record.url !== '' &&
+            record.isPrefetch !== 'navigation_hold');
+    const prefetchedUrls = new Set(
+        records.filter((record) => record.isPrefetch === PrefetchStatus.YES)
+            .map((record) => record.url));
+    const getEndMs = (record) => record.completeTimestampMs >= 0 ?
+        record.completeTimestampMs :
+        record.requestTimestampMs + Math.max(0, record.fetchTime);
+    const timed = records.filter((record) => record.requestTimestampMs >= 0);
+    const startMs = Math.min(
+        state.startTimeMs,
+        ...timed.map((record) => record.requestTimestampMs));
+    const spanMs = Math.max(startMs + 1, ...timed.map(getEndMs)) - startMs;
+
+    records.forEach((record) => {
+      const status = this.getWaterfallStatus_(record, prefetchedUrls);
+      const row = document.createElement('div');
+      row.className = 'row status-' + status;
+      const url = document.createElement('span');
+      url.className = 'url';
+      url.textContent = url.title = record.url;
+      const label = document.createElement('span');
+      label.className = 'status';
+      label.textContent = status === WaterfallStatus.SKIPPED ?
+          record.isPrefetch :
+          status + (record.error !== '' ? ' ' + record.error : '');
+      const track = document.createElement('span');
+      track.className = 'track';
+      if (record.requestTimestampMs >= 0) {
+        const offsetMs = record.requestTimestampMs - startMs;
+        const durationMs = getEndMs(record) - record.requestTimestampMs;
+        const bar = document.createElement('span');
+        bar.className = 'bar';
+        // The extension pages forbid inline style attributes, the CSSOM
+        // is allowed.
+        bar.style.left = (100 * offsetMs / spanMs) + '%';
+        bar.style.width = (100 * durationMs / spanMs) + '%';
+        bar.title = offsetMs + 'ms + ' + durationMs + 'ms' +
+            (record.tier >= 0 ? ', tier ' + record.tier : '') +
+            (record.mechanism !== '' ? ', ' + record.mechanism : '');
+        track.appendChild(bar);
+      }
+      row.appendChild(url);
+      row.appendChild(label);
+      row.appendChild(track);
+      waterfall.appendChild(row);
+    });
+  }
+
+  /**
+   * Returns how a request or hint shows in the waterfall.
+   *
+   * @param {!RequestRecord} record the record of the request or hint.
+   * @param {!Set<string>} prefetchedUrls the URLs the session prefetched.
+   *
+   * @return {!string} one of WaterfallStatus.
+   * @private
+   */
+  getWaterfallStatus_(record, prefetchedUrls) {
+    switch (record.isPrefetch) {
+      case PrefetchStatus.YES:
+      case 'redirect':
+      case 'timed_out':
+        return WaterfallStatus.PREFETCH;
+      case 'late':
+        return WaterfallStatus.LATE;
+      case PrefetchStatus.NO:
+      case PrefetchStatus.UNKNOWN:
+        if (!prefetchedUrls.has(record.url)) {
+          return WaterfallStatus.REQUEST;
+        }
+        return record.fromCache ? WaterfallStatus.HIT : WaterfallStatus.MISS;
+      default:
+        return WaterfallStatus.SKIPPED;
+    }
+  }
+
+  /**
+   * Shows the outcome of the last command.
+   *
+   * @param {!string} status the status, '' to clear it.
+   * @private
+   */
+  showStatus_(status) {
+    this.getElement_('status').textContent = status;
+  }
+
+  /**
+   * Removes the children of an element.
+   *
+   * @param {!string} id the id of the element.
+   *
+   * @return {!Element} the emptied element.
+   * @private
+   */
+  clear_(id) {
+    const element = this.getElement_(id);
+    while (element.firstChild) {
+      element.removeChild(element.firstChild);
+    }
+    return element;
+  }
+
+  /**
+   * Calls the listener when the button is clicked.
+   *
+   * @param {!string} id the id of the button.
+   * @param {function()} listener the listener to call.
+   * @private
+   */
+  onClick_(id, listener) {
+    this.getElement_(id).addEventListener('click', listener);
+  }
+
+  /**
+   * @param {!string} id the id of the element.
+   *
+   * @return {!Element} the element of the panel.
+   * @private
+   */
+  getElement_(id) {
+    return document.getElementById(id);
+  }
+}
@@ -0,0 +1,179 @@
+// Copyright 2017 Google Inc.
+//
+// Licensed under the Apache License, Version 2.0 (the "License");
+// you may not use this file except in compliance with the License.
+// You may obtain a copy of the License at
+//
+//    https://www.apache.org/licenses/LICENSE-2.0
+//
+// Unless required by applicable law or agreed to in writing, software
+// distributed under the License is distributed on an "AS IS" BASIS,
+// WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+// See the License for the specific language governing permissions and
+// limitations under the License.
+
+/**
+ * @fileoverview Implements the assignment of the experiment arms. The proxy
+ * picks the hints of a stub page by the experiment id in the x-req-prefetch
+ * request header and sends them in the x-prefetch response header instead of
+ * the HTML if x-via-header is 1. The scheduler sets these headers on the stub
+ * requests, so every session runs one of the configured arms. The arm of the
+ * next stub request is drawn ahead of time, since the headers must be in
+ * place before the request is sent, and it is drawn anew once a stub request
+ * used it up.
+ *
+ * The headers are set by a single rule for the stub requests of all tabs.
+ * Stub requests of different tabs sent before the scheduler saw the first of
+ * them, which takes a round trip to the service worker, all run the same arm.
+ * An experiment harness loading stub pages in parallel tabs should start
+ * them one after the other.
+ */
+
+// How the arm of a stub request is chosen.
+const ArmAssignment = {
+  RANDOM: 'random',
+  // The arms in the configured order, starting over after the last one.
+  ROUND_ROBIN: 'round-robin',
+  // Always the arm named by forcedArm.
+  FORCED: 'forced'
+};
+
+// How the proxy delivers the hints of an arm.
+const ArmDelivery = {
+  // In the x-prefetch response header.
+  HEADER: 'header',
+  // As <link> elements in the HTML of the stub page.
+  HTML: 'html'
+};
+
+// The request header naming the arm of a stub request. The proxy ignores it,
+// the scheduler reads it back to learn which arm the request actually ran.
+const EXPERIMENT_ARM_HEADER = 'x-req-experiment-arm';
+
+/**
+ * @typedef {{
+ *   name: string,
+ *   experimentId: string,
+ *   delivery: string,
+ *   preset: string
+ * }}
+ *
+ * name: the name of the arm, stamped on the records of its sessions.
+ * experimentId: the experiment id the proxy picks the hints by, '' for a
+ *     control arm without hints.
+ * delivery: one of ArmDelivery.
+ * preset: the name of the preset the sessions of the arm run with, '' for the
+ *     stored configuration.
+ */
+let ExperimentArm;
+
+class ExperimentAssigner {
+  constructor() {
+    /**
+     * The arm of the next stub request, null if there is none.
+     *
+     * @private {?ExperimentArm}
+     */
+    this.pendingArm_ = null;
+  }
+
+  /**
+   * @return {?ExperimentArm} the arm of the next stub request, null if there
+   * is none.
+   */
+  getPendingArm() {
+    return this.pendingArm_;
+  }
+
+  /**
+   * Draws the arm of the next stub request.
+   *
+   * @param {!SchedulerConfig} config the configuration listing the arms.
+   *
+   * @return {?ExperimentArm} the arm, null if no arm is configured.
+   */
+  draw(config) {
+    const arms = config.experimentArms;
+    if (arms.length === 0) {
+      this.pendingArm_ = null;
+      return null;
+    }
+    switch (config.armAssignment) {
+      case ArmAssignment.FORCED:
+        this.pendingArm_ = this.findArm(config, config.forcedArm);
+        break;
+      case ArmAssignment.ROUND_ROBIN: {
+        const previous = this.pendingArm_ === null ?
+            -1 :
+            arms.findIndex((arm) => arm.name === this.pendingArm_.name);
+        this.pendingArm_ = arms[(previous + 1) % arms.length];
+        break;
+      }
+      default:
+        this.pendingArm_ = arms[Math.floor(Math.random() * arms.length)];
+    }
+    return this.pendingArm_;
+  }
+
+  /**
+   * Makes an arm the arm of the next stub request without drawing, e.g. the
+   * one the installed headers name when the scheduler restarts.
+   *
+   * @param {?ExperimentArm} arm the arm.
+   */
+  setPendingArm(arm) {
+    this.pendingArm_ = arm;
+  }
+
+  /**
+   * Returns a configured arm by its name.
+   *
+   * @param {!SchedulerConfig} config the configuration listing the arms.
+   * @param {string} name the name of the arm.
+   *
+   * @return {?ExperimentArm} the arm, null if no arm has the name.
+   */
+  findArm(config, name) {
+    return config.experimentArms.find((arm) => arm.name === name) || null;
+  }
+
+  /**
+   * Returns the arm a request ran, as named by its headers.
+   *
+   * @param {!SchedulerConfig} config the configuration listing the arms.
+   * @param {Array<!Object>|undefined} requestHeaders the headers of the
+   * request.
+   *
+   * @return {?ExperimentArm} the arm, null if the request names no configured
+   * arm.
+   */
+  getArmOfRequest(config, requestHeaders) {
+    const header = (requestHeaders || []).find(
+        (element) => element.name.toLowerCase() === EXPERIMENT_ARM_HEADER);
+    return header ? this.findArm(config, header.value) : null;
+  }
+
+  /**
+   * Returns the request headers asking the proxy for an arm.
+   *
+   * @param {!ExperimentArm} arm the arm.
+   * @param {!SchedulerConfig} armConfig the configuration the sessions of the
+   * arm run with. A stub page whose navigation the configuration gates is
+   * served in gating mode.
+   *
+   * @return {!Array<!RequestHeader>} the headers.
+   */
+  getRequestHeaders(arm, armConfig) {
+    const headers = [{name: EXPERIMENT_ARM_HEADER, value: arm.name}];
+    if (arm.experimentId !== '') {
+      headers.push({name: 'x-req-prefetch', value: arm.experimentId});
+    }
+    if (arm.delivery === ArmDelivery.HEADER) {
+      headers.push({name: 'x-via-header', value: '1'});
+    }
+    if (armConfig.navigationGateTier >= 0) {
+      headers.push({name: 'x-req-gate-navigation', value: '1'});
+    }
+    return headers;
+  }
+}
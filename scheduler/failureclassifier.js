@@ -0,0 +1,158 @@
+// Copyright 2017 Google Inc.
+//
+// Licensed under the Apache License, Version 2.0 (the "License");
+// you may not use this file except in compliance with the License.
+// You may obtain a copy of the License at
+//
+//    https://www.apache.org/licenses/LICENSE-2.0
+//
+// Unless required by applicable law or agreed to in writing, software
+// distributed under the License is distributed on an "AS IS" BASIS,
+// WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+// See the License for the specific language governing permissions and
+// limitations under the License.
+
+/**
+ * @fileoverview Implements the classification of failed prefetches by the net
+ * error Chrome reports, and the backoff of the retries of the transient ones.
+ * See net/base/net_error_list.h in Chromium for the error names.
+ */
+
+// The categories of failed requests.
+const FailureCategory = {
+  ABORTED: 'aborted',
+  DNS: 'dns',
+  CONNECTION: 'connection',
+  TLS: 'tls',
+  CACHE_POLICY: 'cache_policy',
+  BLOCKED: 'blocked',
+  // No content script received the command of the prefetch, so it was never
+  // requested.
+  UNDELIVERED: 'undelivered',
+  OTHER: 'other'
+};
+
+// The number of times a transient failure is retried.
+const MAX_PREFETCH_RETRIES = 2;
+
+// The delay before the first retry. Every further retry waits twice as long.
+const RETRY_BASE_DELAY_MS = 200;
+
+/**
+ * @typedef {{
+ *   category: string,
+ *   transient: boolean
+ * }}
+ *
+ * category: one of FailureCategory.
+ * transient: whether the same request may succeed if it is retried.
+ */
+let FailureClass;
+
+/**
+ * @typedef {{
+ *   url: string,
+ *   tier: number,
+ *   error: string,
+ *   category: string,
+ *   attempts: number,
+ *   timestampMs: number
+ * }}
+ *
+ * url: the hinted URL of the prefetch.
+ * tier: the priority tier of the prefetch.
+ * error: the net error of the last attempt, e.g. net::ERR_NAME_NOT_RESOLVED,
+ *     or why its command was not delivered.
+ * category: one of FailureCategory.
+ * attempts: the number of times the prefetch was requested.
+ * timestampMs: when the last attempt failed.
+ */
+let PrefetchFailure;
+
+class FailureClassifier {
+  constructor() {
+    /**
+     * Maps from a net error name without the "net::" prefix to its class.
+     *
+     * @private {!Map<string, !FailureClass>}
+     */
+    this.errors_ = new Map();
+    this.register_(FailureCategory.ABORTED, false, ['ERR_ABORTED']);
+    this.register_(FailureCategory.DNS, false, ['ERR_NAME_NOT_RESOLVED']);
+    this.register_(
+        FailureCategory.DNS, true,
+        ['ERR_NAME_RESOLUTION_FAILED', 'ERR_DNS_TIMED_OUT']);
+    this.register_(
+        FailureCategory.CONNECTION, true,
+        [
+          'ERR_CONNECTION_RESET', 'ERR_CONNECTION_CLOSED',
+          'ERR_CONNECTION_ABORTED', 'ERR_CONNECTION_TIMED_OUT',
+          'ERR_CONNECTION_FAILED', 'ERR_TIMED_OUT', 'ERR_EMPTY_RESPONSE',
+          'ERR_NETWORK_CHANGED', 'ERR_INTERNET_DISCONNECTED',
+          'ERR_NETWORK_IO_SUSPENDED', 'ERR_HTTP2_PROTOCOL_ERROR',
+          'ERR_HTTP2_PING_FAILED', 'ERR_QUIC_PROTOCOL_ERROR',
+          'ERR_INCOMPLETE_CHUNKED_ENCODING', 'ERR_CONTENT_LENGTH_MISMATCH'
+        ]);
+    this.register_(
+        FailureCategory.CONNECTION, false,
+        [
+          'ERR_CONNECTION_REFUSED', 'ERR_ADDRESS_UNREACHABLE',
+          'ERR_ADDRESS_INVALID', 'ERR_TOO_MANY_REDIRECTS',
+          'ERR_UNSAFE_REDIRECT', 'ERR_INVALID_RESPONSE'
+        ]);
+  }
+
+  /**
+   * Classifies a net error.
+   *
+   * @param {!string} error the error reported by chrome.webRequest, e.g.
+   * "net::ERR_CONNECTION_RESET".
+   *
+   * @return {!FailureClass} the class of the error.
+   */
+  classify(error) {
+    const name = error.replace(/^net::/, '');
+    if (this.errors_.has(name)) {
+      return this.errors_.get(name);
+    }
+    if (/^ERR_(CERT|SSL)_/.test(name)) {
+      return {category: FailureCategory.TLS, transient: false};
+    }
+    if (/^ERR_CACHE_/.test(name)) {
+      return {category: FailureCategory.CACHE_POLICY, transient: false};
+    }
+    if (/^ERR_BLOCKED_BY_/.test(name)) {
+      return {category: FailureCategory.BLOCKED, transient: false};
+    }
+    return {category: FailureCategory.OTHER, transient: false};
+  }
+
+  /**
+   * Returns how long to wait before retrying a prefetch.
+   *
+   * @param {number} attempt the number of times the prefetch was requested.
+   *
+   * @return {number} the delay in milliseconds, or -1 if the prefetch should
+   * not be retried anymore.
+   */
+  getRetryDelayMs(attempt) {
+    if (attempt > MAX_PREFETCH_RETRIES) {
+      return -1;
+    }
+    return RETRY_BASE_DELAY_MS * Math.pow(2, attempt - 1);
+  }
+
+  /**
+   * Registers the class of a list of net errors.
+   *
+   * @param {!string} category one of FailureCategory.
+   * @param {boolean} transient whether the errors are transient.
+   * @param {!Array<!string>} errors the error names without "net::".
+   * @private
+   */
+  register_(category, transient, errors) {
+    errors.forEach((error) => {
+      this.errors_.set(error, {category: category, transient: transient});
+    });
+  }
+}
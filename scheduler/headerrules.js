@@ -0,0 +1,254 @@
+// Copyright 2017 Google Inc.
+//
+// Licensed under the Apache License, Version 2.0 (the "License");
+// you may not use this file except in compliance with the License.
+// You may obtain a copy of the License at
+//
+//    https://www.apache.org/licenses/LICENSE-2.0
+//
+// Unless required by applicable law or agreed to in writing, software
+// distributed under the License is distributed on an "AS IS" BASIS,
+// WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+// See the License for the specific language governing permissions and
+// limitations under the License.
+
+/**
+ * @fileoverview Implements the request headers the scheduler adds to the
+ * requests of a tab. A service worker cannot change requests through
+ * webRequest, so every header change is a declarativeNetRequest session rule
+ * for one URL of one tab and the resource types of the requests it is meant
+ * for. The headers of the stub requests are the exception:
+ * a single rule sets them for the stub pages of all tabs. Session rules
+ * outlive the suspension of the service worker, so the rules are read back
+ * when it starts again.
+ */
+
+// The header marking the requests of the dispatched prefetches, whatever
+// mechanism the content script uses for them.
+const PREFETCH_PURPOSE_HEADER = {name: 'Purpose', value: 'prefetch'};
+
+/**
+ * @typedef {{
+ *   name: string,
+ *   value: string
+ * }}
+ *
+ * A request header set by a rule.
+ */
+let RequestHeader;
+
+class HeaderRules {
+  constructor() {
+    /**
+     * Maps from a tab id to the ids of the rules of the tab keyed by the URL
+     * they apply to.
+     *
+     * @private {!Map<number, !Map<string, number>>}
+     */
+    this.ruleIds_ = new Map();
+
+    /**
+     * The id of the next rule. Rule ids must be unique among the session
+     * rules of the extension.
+     *
+     * @private {number}
+     */
+    this.nextRuleId_ = 1;
+
+    /**
+     * The rule setting the headers of the stub requests, null if there is
+     * none.
+     *
+     * @private {?Object}
+     */
+    this.stubRule_ = null;
+  }
+
+  /**
+   * Reads back the rules that are already installed.
+   *
+   * @param {function()} callback called once the rules are known.
+   */
+  load(callback) {
+    chrome.declarativeNetRequest.getSessionRules((rules) => {
+      rules.forEach((rule) => {
+        this.nextRuleId_ = Math.max(this.nextRuleId_, rule.id + 1);
+        const condition = rule.condition;
+        if (!condition.tabIds) {
+          // Only the stub rule applies to every tab.
+          this.stubRule_ = rule;
+          return;
+        }
+        // The rules are added with the URL between the '|' anchors.
+        this.getTabRules_(condition.tabIds[0])
+            .set(condition.urlFilter.slice(1, -1), rule.id);
+      });
+      callback();
+    });
+  }
+
+  /**
+   * Sets request headers on the requests of a tab for a URL, replacing the
+   * headers set for it before. Requests of other resource types, e.g. the
+   * page requesting the URL itself, keep their headers.
+   *
+   * @param {number} tabId the id of the tab.
+   * @param {!string} url the URL of the requests.
+   * @param {!Array<string>} resourceTypes the resource types of the
+   * requests. See chrome.declarativeNetRequest.ResourceType.
+   * @param {!Array<!RequestHeader>} headers the headers to set.
+   * @param {function()} callback called once the rule applies, or once it
+   * failed to install.
+   */
+  set(tabId, url, resourceTypes, headers, callback) {
+    const tabRules = this.getTabRules_(tabId);
+    const previousId = tabRules.get(url);
+    const rule = {
+      id: this.nextRuleId_++,
+      priority: 1,
+      action: {
+        type: 'modifyHeaders',
+        requestHeaders: headers.map((header) => {
+          return {
+            header: header.name,
+            operation: 'set',
+            value: header.value
+          };
+        })
+      },
+      condition: {
+        urlFilter: '|' + url + '|',
+        tabIds: [tabId],
+        resourceTypes: resourceTypes
+      }
+    };
+    tabRules.set(url, rule.id);
+    this.update_(
+        previousId === undefined ? [] : [previousId], [rule], callback);
+  }
+
+  /**
+   * Stops setting headers on the requests of a tab for a URL.
+   *
+   * @param {number} tabId the id of the tab.
+   * @param {!string} url the URL of the requests.
+   */
+  remove(tabId, url) {
+    const tabRules = this.getTabRules_(tabId);
+    const ruleId = tabRules.get(url);
+    if (ruleId === undefined) {
+      return;
+    }
+    tabRules.delete(url);
+    this.update_([ruleId], [], () => {});
+  }
+
+  /**
+   * Stops setting headers on the requests of a tab.
+   *
+   * @param {number} tabId the id of the tab.
+   */
+  removeTab(tabId) {
+    const tabRules = this.ruleIds_.get(tabId);
+    if (tabRules === undefined) {
+      return;
+    }
+    this.ruleIds_.delete(tabId);
+    this.update_(Array.from(tabRules.values()), [], () => {});
+  }
+
+  /**
+   * Sets request headers on the top-level requests of all tabs for the stub
+   * pages of a proxy, replacing the headers set for stub pages before. The
+   * proxy serves a stub page for any URL with an lp query parameter.
+   *
+   * @param {!string} proxyOrigin the origin of the proxy.
+   * @param {!Array<!RequestHeader>} headers the headers to set.
+   * @param {function()} callback called once the rule applies, or once it
+   * failed to install.
+   */
+  setStubHeaders(proxyOrigin, headers, callback) {
+    const previousId = this.stubRule_ === null ? -1 : this.stubRule_.id;
+    this.stubRule_ = {
+      id: this.nextRuleId_++,
+      priority: 1,
+      action: {
+        type: 'modifyHeaders',
+        requestHeaders: headers.map((header) => {
+          return {
+            header: header.name,
+            operation: 'set',
+            value: header.value
+          };
+        })
+      },
+      condition: {
+        urlFilter: '|' + proxyOrigin + '/*lp=',
+        resourceTypes: ['main_frame']
+      }
+    };
+    this.update_(
+        previousId < 0 ? [] : [previousId], [this.stubRule_], callback);
+  }
+
+  /**
+   * Stops setting headers on the stub requests.
+   */
+  removeStubHeaders() {
+    if (this.stubRule_ === null) {
+      return;
+    }
+    const ruleId = this.stubRule_.id;
+    this.stubRule_ = null;
+    this.update_([ruleId], [], () => {});
+  }
+
+  /**
+   * @return {?Array<!RequestHeader>} the headers set on the stub requests,
+   * null if none are.
+   */
+  getStubHeaders() {
+    if (this.stubRule_ === null) {
+      return null;
+    }
+    return this.stubRule_.action.requestHeaders.map((header) => {
+      return {name: header.header, value: header.value};
+    });
+  }
+
+  /**
+   * Returns the ids of the rules of a tab keyed by URL.
+   *
+   * @param {number} tabId the id of the tab.
+   *
+   * @return {!Map<string, number>} the rule ids.
+   * @private
+   */
+  getTabRules_(tabId) {
+    if (!this.ruleIds_.has(tabId)) {
+      this.ruleIds_.set(tabId, new Map());
+    }
+    return this.ruleIds_.get(tabId);
+  }
+
+  /**
+   * Removes and adds session rules.
+   *
+   * @param {!Array<number>} removeRuleIds the ids of the rules to remove.
+   * @param {!Array<!Object>} addRules the rules to add.
+   * @param {function()} callback called once the update applies, or once it
+   * failed.
+   * @private
+   */
+  update_(removeRuleIds, addRules, callback) {
+    chrome.declarativeNetRequest.updateSessionRules(
+        {removeRuleIds: removeRuleIds, addRules: addRules}, () => {
+          if (chrome.runtime.lastError) {
+            console.warn(
+                'could not update the header rules: ' +
+                chrome.runtime.lastError.message);
+          }
+          callback();
+        });
+  }
+}
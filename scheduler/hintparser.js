@@ -0,0 +1,330 @@
+// Copyright 2017 Google Inc.
+//
+// Licensed under the Apache License, Version 2.0 (the "License");
+// you may not use this file except in compliance with the License.
+// You may obtain a copy of the License at
+//
+//    https://www.apache.org/licenses/LICENSE-2.0
+//
+// Unless required by applicable law or agreed to in writing, software
+// distributed under the License is distributed on an "AS IS" BASIS,
+// WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+// See the License for the specific language governing permissions and
+// limitations under the License.
+
+/**
+ * @fileoverview Parses resource hints out of HTTP response headers. Both the
+ * standard RFC 8288 "Link" header and the legacy "x-prefetch" header sent by
+ * the prefetch proxy are understood. A malformed entry is skipped with a
+ * logged reason instead of failing the whole header. Besides the standard
+ * parameters, a hint may carry "priority", "size", the latter being the
+ * size of the resource in bytes, and "mechanism", one of PrefetchMechanism.
+ */
+
+// The link relation types that the scheduler acts on.
+const HintRel = {
+  PREFETCH: 'prefetch',
+  PRELOAD: 'preload',
+  MODULEPRELOAD: 'modulepreload',
+  PRECONNECT: 'preconnect',
+  DNS_PREFETCH: 'dns-prefetch'
+};
+
+// The priority given to a hint that does not carry a priority parameter. This
+// matches defaultPrefetchPriority in the proxy.
+const DEFAULT_HINT_PRIORITY = 0;
+
+class HintParser {
+  /**
+   * Constructs a HintParser.
+   *
+   * @param {!string} legacyDelimiter the delimiter separating the entries of
+   * the legacy x-prefetch header.
+   */
+  constructor(legacyDelimiter) {
+    /**
+     * The delimiter separating the entries of the x-prefetch header.
+     *
+     * @private {!string}
+     */
+    this.legacyDelimiter_ = legacyDelimiter;
+  }
+
+  /**
+   * Parses the value of a RFC 8288 Link header. Only the link values whose rel
+   * is one of HintRel are returned.
+   *
+   * @param {!string} headerValue the value of the Link header.
+   * @param {!string} baseUrl the URL of the response carrying the header. It
+   * is used for resolving relative URLs.
+   *
+   * @return {!Array<!PrefetchResource>} the hinted resources.
+   */
+  parseLinkHeader(headerValue, baseUrl) {
+    const resources = [];
+    this.splitOutsideQuotes_(headerValue, ',').forEach((linkValue) => {
+      if (linkValue.trim() === '') {
+        return;
+      }
+      const resource = this.parseLinkValue_(linkValue, baseUrl, false);
+      if (resource !== null) {
+        resources.push(resource);
+      }
+    });
+    return resources;
+  }
+
+  /**
+   * Parses the value of the legacy x-prefetch header. Entries are separated by
+   * the legacy delimiter and each looks like "<url>; priority=N; type=T". The
+   * parameters may come in any order and be quoted. Entries are always treated
+   * as rel=prefetch hints.
+   *
+   * @param {!string} headerValue the value of the x-prefetch header.
+   * @param {!string} baseUrl the URL of the response carrying the header.
+   *
+   * @return {!Array<!PrefetchResource>} the hinted resources.
+   */
+  parseLegacyHeader(headerValue, baseUrl) {
+    const resources = [];
+    headerValue.split(this.legacyDelimiter_).forEach((entry) => {
+      if (entry.trim() === '') {
+        return;
+      }
+      const resource = this.parseLinkValue_(entry, baseUrl, true);
+      if (resource !== null) {
+        resources.push(resource);
+      }
+    });
+    return resources;
+  }
+
+  /**
+   * Parses a single link value of the form "<uri>; param=value; ...".
+   *
+   * @param {!string} linkValue the link value to parse.
+   * @param {!string} baseUrl the URL used for resolving relative URLs.
+   * @param {boolean} isLegacy whether the value came from x-prefetch.
+   *
+   * @return {?PrefetchResource} the hinted resource, or null when the value is
+   * malformed or is not a hint.
+   * @private
+   */
+  parseLinkValue_(linkValue, baseUrl, isLegacy) {
+    const trimmed = linkValue.trim();
+    const urlEnd = trimmed.indexOf('>');
+    if (trimmed[0] !== '<' || urlEnd === -1) {
+      this.skip_(linkValue, 'missing <url>');
+      return null;
+    }
+
+    let url = '';
+    try {
+      url = new URL(trimmed.substring(1, urlEnd).trim(), baseUrl).href;
+    } catch (e) {
+      this.skip_(linkValue, 'invalid url');
+      return null;
+    }
+
+    const params = this.parseParams_(trimmed.substring(urlEnd + 1));
+    if (params === null) {
+      this.skip_(linkValue, 'malformed parameters');
+      return null;
+    }
+
+    let rel = HintRel.PREFETCH;
+    if (!isLegacy) {
+      rel = this.findHintRel_(params.get('rel') || '');
+      if (rel === null) {
+        // Not a hint, e.g. rel=canonical. This is not an error.
+        return null;
+      }
+    }
+
+    let priority = DEFAULT_HINT_PRIORITY;
+    if (params.has('priority')) {
+      const priorityStr = params.get('priority');
+      if (!/^\d+$/.test(priorityStr)) {
+        this.skip_(linkValue, 'invalid priority ' + priorityStr);
+        return null;
+      }
+      priority = parseInt(priorityStr, 10);
+    }
+
+    let declaredBytes = -1;
+    if (params.has('size')) {
+      const sizeStr = params.get('size');
+      if (!/^\d+$/.test(sizeStr)) {
+        this.skip_(linkValue, 'invalid size ' + sizeStr);
+        return null;
+      }
+      declaredBytes = parseInt(sizeStr, 10);
+    }
+
+    const mechanism = params.get('mechanism') || '';
+    if (mechanism !== '' &&
+        !Object.values(PrefetchMechanism).includes(mechanism)) {
+      this.skip_(linkValue, 'invalid mechanism ' + mechanism);
+      return null;
+    }
+
+    const fetchPriority = (params.get('fetchpriority') || '').toLowerCase();
+    if (fetchPriority !== '' && !FETCH_PRIORITIES.includes(fetchPriority)) {
+      this.skip_(linkValue, 'invalid fetchpriority ' + fetchPriority);
+      return null;
+    }
+
+    const type = isLegacy ? params.get('type') : params.get('as');
+    const resource = new PrefetchResource(url, type || '');
+    resource.rel = rel;
+    resource.priority = priority;
+    resource.declaredBytes = declaredBytes;
+    resource.mechanism = mechanism;
+    resource.fetchPriority = fetchPriority;
+    if (params.has('crossorigin')) {
+      // A bare crossorigin attribute means anonymous.
+      resource.crossorigin = params.get('crossorigin') || 'anonymous';
+    }
+    return resource;
+  }
+
+  /**
+   * Parses the parameters following the URL of a link value.
+   *
+   * @param {!string} paramsStr the string following the closing '>'.
+   *
+   * @return {?Map<!string, !string>} the parameters keyed by their lower
+   * cased name, or null when the parameters are malformed. Only the first
+   * occurrence of a parameter is kept as required by RFC 8288.
+   * @private
+   */
+  parseParams_(paramsStr) {
+    const params = new Map();
+    const parts = this.splitOutsideQuotes_(paramsStr, ';');
+    if (parts.length > 0 && parts[0].trim() !== '') {
+      // There is garbage between '>' and the first ';'.
+      return null;
+    }
+    for (let i = 1; i < parts.length; i++) {
+      const part = parts[i].trim();
+      if (part === '') {
+        continue;
+      }
+      const equals = part.indexOf('=');
+      const rawName = equals === -1 ? part : part.substring(0, equals);
+      const name = rawName.trim().toLowerCase();
+      if (name === '' || !/^[!#$%&'*+.^_`|~0-9a-z-]+\*?$/.test(name)) {
+        return null;
+      }
+      let value = equals === -1 ? '' : part.substring(equals + 1).trim();
+      if (value[0] === '"') {
+        value = this.unquote_(value);
+        if (value === null) {
+          return null;
+        }
+      }
+      if (!params.has(name)) {
+        params.set(name, value);
+      }
+    }
+    return params;
+  }
+
+  /**
+   * Returns the first relation in a space separated rel value that the
+   * scheduler acts on.
+   *
+   * @param {!string} relValue the value of the rel parameter.
+   *
+   * @return {?string} one of HintRel, or null when none matches.
+   * @private
+   */
+  findHintRel_(relValue) {
+    const hintRels = Object.values(HintRel);
+    const rels = relValue.toLowerCase().split(/\s+/);
+    for (let i = 0; i < rels.length; i++) {
+      if (hintRels.includes(rels[i])) {
+        return rels[i];
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Removes the surrounding quotes and backslash escapes of a quoted string.
+   *
+   * @param {!string} quoted the quoted string including the quotes.
+   *
+   * @return {?string} the unquoted string, or null if it is not terminated.
+   * @private
+   */
+  unquote_(quoted) {
+    let result = '';
+    for (let i = 1; i < quoted.length; i++) {
+      const c = quoted[i];
+      if (c === '\\' && i + 1 < quoted.length) {
+        result += quoted[++i];
+      } else if (c === '"') {
+        return i === quoted.length - 1 ? result : null;
+      } else {
+        result += c;
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Splits a string on a separator that is neither inside <...> nor inside a
+   * quoted string.
+   *
+   * @param {!string} str the string to split.
+   * @param {!string} separator the single character separator.
+   *
+   * @return {!Array<!string>} the split parts.
+   * @private
+   */
+  splitOutsideQuotes_(str, separator) {
+    const parts = [];
+    let current = '';
+    let inQuotes = false;
+    let inUrl = false;
+    for (let i = 0; i < str.length; i++) {
+      const c = str[i];
+      if (inQuotes) {
+        if (c === '\\' && i + 1 < str.length) {
+          current += c + str[++i];
+          continue;
+        }
+        if (c === '"') {
+          inQuotes = false;
+        }
+      } else if (inUrl) {
+        if (c === '>') {
+          inUrl = false;
+        }
+      } else if (c === '"') {
+        inQuotes = true;
+      } else if (c === '<') {
+        inUrl = true;
+      } else if (c === separator) {
+        parts.push(current);
+        current = '';
+        continue;
+      }
+      current += c;
+    }
+    parts.push(current);
+    return parts;
+  }
+
+  /**
+   * Logs the reason a hint entry was skipped.
+   *
+   * @param {!string} entry the skipped entry.
+   * @param {!string} reason why the entry was skipped.
+   * @private
+   */
+  skip_(entry, reason) {
+    console.warn('skipping hint "' + entry.trim() + '": ' + reason);
+  }
+}
@@ -0,0 +1,313 @@
+// Copyright 2017 Google Inc.
+//
+// Licensed under the Apache License, Version 2.0 (the "License");
+// you may not use this file except in compliance with the License.
+// You may obtain a copy of the License at
+//
+//    https://www.apache.org/licenses/LICENSE-2.0
+//
+// Unless required by applicable law or agreed to in writing, software
+// distributed under the License is distributed on an "AS IS" BASIS,
+// WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+// See the License for the specific language governing permissions and
+// limitations under the License.
+
+/**
+ * @fileoverview Implements the queue of the hinted resources that were not
+ * fetched yet. Every URL is queued once, keyed by its normalized form: a hint
+ * for a URL that is already queued is merged into the queued resource, so a
+ * later response can raise its priority or fill in its type. Resources wait
+ * in one bucket per priority tier, and a resource that waits long enough
+ * moves up one tier at a time so that the low tiers are not starved.
+ */
+
+/**
+ * @typedef {{
+ *   resource: !PrefetchResource,
+ *   tier: number,
+ *   queuedMs: number
+ * }}
+ *
+ * resource: the queued resource. Its priority is the one it was hinted with.
+ * tier: the bucket the resource waits in. It is above the priority of the
+ *     resource once the resource aged.
+ * queuedMs: when the resource was queued or last moved up a tier, in
+ *     milliseconds since epoch.
+ */
+let QueuedHint;
+
+class HintQueue {
+  /**
+   * Constructs a HintQueue.
+   *
+   * @param {number} numTiers the number of priority tiers.
+   * @param {number} agingIntervalMs how long a resource waits before it moves
+   * up a tier. 0 disables aging.
+   */
+  constructor(numTiers, agingIntervalMs) {
+    /**
+     * The normalized URLs of the resources in each bucket, in the order they
+     * are fetched.
+     *
+     * @private {!Array<!Array<string>>}
+     */
+    this.buckets_ = [];
+    for (let i = 0; i < numTiers; i++) {
+      this.buckets_.push([]);
+    }
+
+    /**
+     * Maps from a normalized URL to its queued resource.
+     *
+     * @private {!Map<string, !QueuedHint>}
+     */
+    this.hints_ = new Map();
+
+    /**
+     * @private {number}
+     */
+    this.agingIntervalMs_ = agingIntervalMs;
+  }
+
+  /**
+   * Returns the number of priority tiers.
+   *
+   * @return {number} the number of tiers.
+   */
+  getNumTiers() {
+    return this.buckets_.length;
+  }
+
+  /**
+   * Returns the number of resources waiting in a tier.
+   *
+   * @param {number} tier the tier.
+   *
+   * @return {number} the number of resources.
+   */
+  getSize(tier) {
+    return this.buckets_[tier].length;
+  }
+
+  /**
+   * Returns the number of queued resources.
+   *
+   * @return {number} the number of resources in all tiers.
+   */
+  getTotalSize() {
+    return this.hints_.size;
+  }
+
+  /**
+   * Returns the index of the first non-empty tier.
+   *
+   * @return {number} the tier, or -1 if the queue is empty.
+   */
+  getFirstNonEmptyTier() {
+    for (let i = 0; i < this.buckets_.length; i++) {
+      if (this.buckets_[i].length > 0) {
+        return i;
+      }
+    }
+    return -1;
+  }
+
+  /**
+   * Returns the resources waiting in a tier without removing them.
+   *
+   * @param {number} tier the tier.
+   *
+   * @return {!Array<!PrefetchResource>} the resources in fetch order.
+   */
+  peekTier(tier) {
+    return this.buckets_[tier].map((url) => this.hints_.get(url).resource);
+  }
+
+  /**
+   * Queues a resource at the back of the tier of its priority. If its URL is
+   * already queued, the two are merged instead: the queued resource takes the
+   * higher priority and the attributes it was missing, and moves to the back
+   * of the tier of the new priority if that is higher.
+   *
+   * @param {!PrefetchResource} resource the resolved resource to queue.
+   * @param {number} nowMs the current time in milliseconds since epoch.
+   *
+   * @return {boolean} whether the resource was queued or its priority raised.
+   */
+  add(resource, nowMs) {
+    const url = PrefetchResource.normalizeUrl(resource.url);
+    const hint = this.hints_.get(url);
+    if (hint === undefined) {
+      this.hints_.set(
+          url, {resource: resource, tier: resource.priority, queuedMs: nowMs});
+      this.buckets_[resource.priority].push(url);
+      return true;
+    }
+    const raised = HintQueue.merge(hint.resource, resource);
+    if (hint.resource.priority < hint.tier) {
+      this.move_(url, hint, hint.resource.priority, nowMs);
+    }
+    return raised;
+  }
+
+  /**
+   * Puts resources that were taken from the queue back at the front of their
+   * tiers, in the given order. A resource keeps the tier it aged into and the
+   * time it started waiting there, so taking it does not cost its progress.
+   *
+   * @param {!Array<!QueuedHint>} taken the resources as shift or takeTier
+   * returned them.
+   */
+  requeue(taken) {
+    taken.slice().reverse().forEach((queued) => {
+      const url = PrefetchResource.normalizeUrl(queued.resource.url);
+      let tier = Math.min(queued.tier, queued.resource.priority);
+      let queuedMs = queued.queuedMs;
+      const hint = this.hints_.get(url);
+      if (hint !== undefined) {
+        // Hinted again since it was taken. It keeps the better tier and the
+        // longer wait of the two.
+        HintQueue.merge(hint.resource, queued.resource);
+        tier = Math.min(tier, hint.tier, hint.resource.priority);
+        queuedMs = Math.min(queuedMs, hint.queuedMs);
+        const bucket = this.buckets_[hint.tier];
+        bucket.splice(bucket.indexOf(url), 1);
+      }
+      this.hints_.set(url, {
+        resource: hint !== undefined ? hint.resource : queued.resource,
+        tier: tier,
+        queuedMs: queuedMs
+      });
+      this.buckets_[tier].unshift(url);
+    });
+  }
+
+  /**
+   * Removes the first resource of a tier.
+   *
+   * @param {number} tier the tier.
+   *
+   * @return {?QueuedHint} the resource with its tier and the time it started
+   * waiting there, or null if the tier is empty.
+   */
+  shift(tier) {
+    const url = this.buckets_[tier].shift();
+    if (url === undefined) {
+      return null;
+    }
+    const hint = this.hints_.get(url);
+    this.hints_.delete(url);
+    return hint;
+  }
+
+  /**
+   * Removes all resources of a tier.
+   *
+   * @param {number} tier the tier.
+   *
+   * @return {!Array<!QueuedHint>} the resources in fetch order, see shift.
+   */
+  takeTier(tier) {
+    const taken = [];
+    while (this.buckets_[tier].length > 0) {
+      taken.push(this.shift(tier));
+    }
+    return taken;
+  }
+
+  /**
+   * Moves every resource that waited for the aging interval up a tier.
+   *
+   * @param {number} nowMs the current time in milliseconds since epoch.
+   */
+  age(nowMs) {
+    if (this.agingIntervalMs_ <= 0) {
+      return;
+    }
+    // Tier 0 cannot move up, and a resource moves up one tier per interval.
+    for (let tier = 1; tier < this.buckets_.length; tier++) {
+      this.buckets_[tier].slice().forEach((url) => {
+        const hint = this.hints_.get(url);
+        if (nowMs - hint.queuedMs >= this.agingIntervalMs_) {
+          this.move_(url, hint, tier - 1, nowMs);
+        }
+      });
+    }
+  }
+
+  /**
+   * Returns the queued resources in a form chrome.storage can save.
+   *
+   * @return {!Object} the state, see setState.
+   */
+  getState() {
+    return {buckets: this.buckets_, hints: Array.from(this.hints_.entries())};
+  }
+
+  /**
+   * Replaces the queued resources by saved ones.
+   *
+   * @param {!Object} state the state returned by getState.
+   */
+  setState(state) {
+    this.buckets_ = state.buckets;
+    this.hints_ = new Map();
+    state.hints.forEach(([url, hint]) => {
+      this.hints_.set(url, {
+        resource: PrefetchResource.fromState(hint.resource),
+        tier: hint.tier,
+        queuedMs: hint.queuedMs
+      });
+    });
+  }
+
+  /**
+   * Merges a hint for a URL into the resource of an earlier hint for it.
+   *
+   * @param {!PrefetchResource} target the resource to merge into.
+   * @param {!PrefetchResource} source the resource of the new hint.
+   *
+   * @return {boolean} whether the priority of the target was raised.
+   */
+  static merge(target, source) {
+    const raised = source.priority < target.priority;
+    if (raised) {
+      target.priority = source.priority;
+    }
+    if (target.as === null && source.as !== null) {
+      // The new hint knows the type, so the resource can be preloaded.
+      target.type = source.type;
+      target.as = source.as;
+      target.mimeType = source.mimeType;
+      target.rel = source.rel;
+    }
+    if (target.crossorigin === null) {
+      target.crossorigin = source.crossorigin;
+    }
+    if (target.mechanism === '') {
+      target.mechanism = source.mechanism;
+    }
+    if (target.fetchPriority === '') {
+      target.fetchPriority = source.fetchPriority;
+    }
+    target.declaredBytes = Math.max(target.declaredBytes, source.declaredBytes);
+    return raised;
+  }
+
+  /**
+   * Moves a queued resource to the back of another tier.
+   *
+   * @param {!string} url the normalized URL of the resource.
+   * @param {!QueuedHint} hint the queued resource.
+   * @param {number} tier the tier to move to.
+   * @param {number} nowMs the current time in milliseconds since epoch.
+   * @private
+   */
+  move_(url, hint, tier, nowMs) {
+    const bucket = this.buckets_[hint.tier];
+    bucket.splice(bucket.indexOf(url), 1);
+    hint.tier = tier;
+    hint.queuedMs = nowMs;
+    this.buckets_[tier].push(url);
+  }
+}
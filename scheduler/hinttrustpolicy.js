@@ -0,0 +1,268 @@
+// Copyright 2017 Google Inc.
+//
+// Licensed under the Apache License, Version 2.0 (the "License");
+// you may not use this file except in compliance with the License.
+// You may obtain a copy of the License at
+//
+//    https://www.apache.org/licenses/LICENSE-2.0
+//
+// Unless required by applicable law or agreed to in writing, software
+// distributed under the License is distributed on an "AS IS" BASIS,
+// WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+// See the License for the specific language governing permissions and
+// limitations under the License.
+
+/**
+ * @fileoverview Implements the policy deciding which responses may send hints
+ * and which of their hints are accepted. The scheduler sees every response of
+ * every frame, so without it any third-party iframe could make the extension
+ * fetch arbitrary URLs or redefine the landing page.
+ */
+
+// The IPv4 ranges of loopback, link-local and private networks as
+// [first octet, second octet min, second octet max].
+const PRIVATE_IPV4_RANGES = [
+  [0, 0, 255],
+  [10, 0, 255],
+  [100, 64, 127],
+  [127, 0, 255],
+  [169, 254, 254],
+  [172, 16, 31],
+  [192, 168, 168]
+];
+
+// The prefix of IPv4-mapped IPv6 addresses, ::ffff:0:0/96, as its first six
+// 16-bit groups.
+const IPV4_MAPPED_IPV6_PREFIX = [0, 0, 0, 0, 0, 0xffff];
+
+class HintTrustPolicy {
+  /**
+   * Constructs a HintTrustPolicy.
+   *
+   * @param {!SchedulerConfig} config the configuration holding the hint
+   * origins and the per-response limits.
+   */
+  constructor(config) {
+    /**
+     * @private {!SchedulerConfig}
+     */
+    this.config_ = config;
+  }
+
+  /**
+   * Returns whether a response may send hints at all. The top-level document
+   * of the tab may, as may any response from a configured hint origin or from
+   * the origin of the top-level document. Everything else, e.g. a third-party
+   * iframe or ad, may not. Other origins of the same site are not trusted
+   * since the registrable domain cannot be told without the public suffix
+   * list, e.g. two *.github.io hosts belong to different owners.
+   *
+   * @param {!Object} details the details of the response. See
+   * chrome.webRequest.onHeadersReceived.
+   * @param {!string} documentUrl the URL of the top-level document of the tab,
+   * '' if unknown.
+   *
+   * @return {boolean} whether the hints of the response are accepted.
+   */
+  isSourceTrusted(details, documentUrl) {
+    const url = new URL(details.url);
+    if (this.config_.hintOrigins.includes(url.origin)) {
+      return true;
+    }
+    if (details.type === 'main_frame') {
+      return true;
+    }
+    if (documentUrl !== '' && url.origin === new URL(documentUrl).origin) {
+      return true;
+    }
+    console.warn(
+        'ignoring hints from ' + details.url + ': not the top-level ' +
+        'document, its origin or an allowed hint origin');
+    return false;
+  }
+
+  /**
+   * Returns the hints of a trusted response that may be acted on. A hint is
+   * rejected when its URL is not http(s), when it targets a private network
+   * from a public source, or when it exceeds the hint count or the declared
+   * bytes allowed per response.
+   *
+   * @param {!Array<!PrefetchResource>} hints the hints of the response.
+   * @param {!string} sourceUrl the URL of the response.
+   *
+   * @return {!Array<!PrefetchResource>} the accepted hints in their order.
+   */
+  filterHints(hints, sourceUrl) {
+    const sourceIsPrivate = this.isPrivateNetwork_(new URL(sourceUrl));
+    const accepted = [];
+    let declaredBytes = 0;
+    hints.forEach((hint) => {
+      const reason = this.getTargetRejection_(hint.url, sourceIsPrivate);
+      if (reason !== null) {
+        this.reject_(hint.url, sourceUrl, reason);
+        return;
+      }
+      if (accepted.length >= this.config_.maxHintsPerResponse) {
+        this.reject_(
+            hint.url, sourceUrl,
+            'more than ' + this.config_.maxHintsPerResponse +
+                ' hints in the response');
+        return;
+      }
+      const hintBytes = Math.max(0, hint.declaredBytes);
+      if (declaredBytes + hintBytes > this.config_.maxHintBytesPerResponse) {
+        this.reject_(
+            hint.url, sourceUrl,
+            'more than ' + this.config_.maxHintBytesPerResponse +
+                ' declared bytes in the response');
+        return;
+      }
+      declaredBytes += hintBytes;
+      accepted.push(hint);
+    });
+    return accepted;
+  }
+
+  /**
+   * Returns whether a response may set the landing page URL.
+   *
+   * @param {!string} lpUrl the landing page URL sent in x-lp-url.
+   * @param {!string} sourceUrl the URL of the response.
+   *
+   * @return {boolean} whether the landing page URL is accepted.
+   */
+  isLandingPageAllowed(lpUrl, sourceUrl) {
+    const sourceIsPrivate = this.isPrivateNetwork_(new URL(sourceUrl));
+    const reason = this.getTargetRejection_(lpUrl, sourceIsPrivate);
+    if (reason !== null) {
+      this.reject_(lpUrl, sourceUrl, 'landing page ' + reason);
+      return false;
+    }
+    return true;
+  }
+
+  /**
+   * Returns why a URL may not be the target of a hint.
+   *
+   * @param {!string} targetUrl the URL to check.
+   * @param {boolean} sourceIsPrivate whether the hints came from a private
+   * network. Such sources, e.g. a lab proxy, may target private networks.
+   *
+   * @return {?string} the reason, or null if the URL is acceptable.
+   * @private
+   */
+  getTargetRejection_(targetUrl, sourceIsPrivate) {
+    let url = null;
+    try {
+      url = new URL(targetUrl);
+    } catch (e) {
+      return 'invalid URL';
+    }
+    if (url.protocol !== 'http:' && url.protocol !== 'https:') {
+      return 'scheme ' + url.protocol + ' is not http(s)';
+    }
+    if (!sourceIsPrivate && this.isPrivateNetwork_(url)) {
+      return 'targets a private network';
+    }
+    return null;
+  }
+
+  /**
+   * Returns whether a URL points to a loopback, link-local or private network
+   * address. Only literal addresses and local host names are recognized since
+   * the extension cannot resolve names.
+   *
+   * @param {!URL} url the URL to check.
+   *
+   * @return {boolean} whether the host is on a private network.
+   * @private
+   */
+  isPrivateNetwork_(url) {
+    const host = url.hostname.toLowerCase();
+    if (host === 'localhost' || host.endsWith('.localhost') ||
+        host.endsWith('.local')) {
+      return true;
+    }
+    if (host[0] === '[') {
+      return this.isPrivateIpv6_(
+          this.parseIpv6_(host.substring(1, host.length - 1)));
+    }
+    const octets = host.split('.');
+    if (octets.length !== 4 || !octets.every((octet) => /^\d+$/.test(octet))) {
+      return false;
+    }
+    return this.isPrivateIpv4_(octets.map((octet) => parseInt(octet, 10)));
+  }
+
+  /**
+   * Returns whether an IPv4 address is a loopback, link-local or private
+   * network address.
+   *
+   * @param {!Array<number>} octets the four octets of the address.
+   *
+   * @return {boolean} whether the address is private.
+   * @private
+   */
+  isPrivateIpv4_(octets) {
+    return PRIVATE_IPV4_RANGES.some(
+        (range) => octets[0] === range[0] && octets[1] >= range[1] &&
+            octets[1] <= range[2]);
+  }
+
+  /**
+   * Returns whether an IPv6 address is the unspecified or loopback address,
+   * a unique local (fc00::/7) or link-local (fe80::/10) address, or an
+   * IPv4-mapped address of a private IPv4 address.
+   *
+   * @param {!Array<number>} groups the eight 16-bit groups of the address.
+   *
+   * @return {boolean} whether the address is private.
+   * @private
+   */
+  isPrivateIpv6_(groups) {
+    if (groups.slice(0, 7).every((group) => group === 0)) {
+      return groups[7] <= 1;
+    }
+    if ((groups[0] & 0xfe00) === 0xfc00 || (groups[0] & 0xffc0) === 0xfe80) {
+      return true;
+    }
+    if (IPV4_MAPPED_IPV6_PREFIX.every((group, i) => groups[i] === group)) {
+      return this.isPrivateIpv4_([
+        groups[6] >> 8, groups[6] & 0xff, groups[7] >> 8, groups[7] & 0xff
+      ]);
+    }
+    return false;
+  }
+
+  /**
+   * Returns the 16-bit groups of an IPv6 address as URL serializes it, i.e.
+   * in hexadecimal with the longest run of zero groups compressed to "::".
+   *
+   * @param {!string} address the address without brackets.
+   *
+   * @return {!Array<number>} the eight groups of the address.
+   * @private
+   */
+  parseIpv6_(address) {
+    const halves = address.split('::');
+    const parse = (part) => part === '' ?
+        [] :
+        part.split(':').map((group) => parseInt(group, 16));
+    const head = parse(halves[0]);
+    const tail = halves.length > 1 ? parse(halves[1]) : [];
+    const zeros = new Array(8 - head.length - tail.length).fill(0);
+    return head.concat(zeros, tail);
+  }
+
+  /**
+   * Logs the reason a hint or a response was rejected.
+   *
+   * @param {!string} url the rejected URL.
+   * @param {!string} source the URL of the response that sent it.
+   * @param {!string} reason why it was rejected.
+   * @private
+   */
+  reject_(url, source, reason) {
+    console.warn('rejecting hint ' + url + ' from ' + source + ': ' + reason);
+  }
+}
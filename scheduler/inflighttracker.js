@@ -0,0 +1,363 @@
+// Copyright 2017 Google Inc.
+//
+// Licensed under the Apache License, Version 2.0 (the "License");
+// you may not use this file except in compliance with the License.
+// You may obtain a copy of the License at
+//
+//    https://www.apache.org/licenses/LICENSE-2.0
+//
+// Unless required by applicable law or agreed to in writing, software
+// distributed under the License is distributed on an "AS IS" BASIS,
+// WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+// See the License for the specific language governing permissions and
+// limitations under the License.
+
+/**
+ * @fileoverview Implements the tracking of the prefetches that occupy a slot
+ * of the concurrency window. A prefetch is known by its URL from the moment it
+ * is handed to the content script until the browser sends the request, and by
+ * its request id afterwards, so redirects and failures free its slot. A
+ * prefetch that never completes, e.g. because the browser ignored the link,
+ * frees its slot after a timeout.
+ */
+
+// The time after which a prefetch that did not complete frees its slot.
+const IN_FLIGHT_TIMEOUT_MS = 30 * 1000;
+
+/**
+ * @typedef {{
+ *   resource: !PrefetchResource,
+ *   hintedUrl: string,
+ *   currentUrl: string,
+ *   requestId: string,
+ *   tier: number,
+ *   mechanism: string,
+ *   dispatchTimeMs: number,
+ *   hopStartMs: number,
+ *   contentLength: number,
+ *   timeoutId: number
+ * }}
+ *
+ * resource: the prefetched resource.
+ * hintedUrl: the normalized URL the prefetch was hinted with.
+ * currentUrl: the URL the request is currently at, i.e. the target of the
+ *     last redirect.
+ * requestId: the request id of the prefetch, '' until the browser sends it.
+ * tier: the priority tier the prefetch was dispatched from.
+ * mechanism: the PrefetchMechanism the prefetch was dispatched with.
+ * dispatchTimeMs: when the prefetch was handed to the content script.
+ * hopStartMs: when the current hop of the redirect chain started, -1 until
+ *     the browser sends the request.
+ * contentLength: the Content-Length of the last response of the request, -1
+ *     until its headers arrive or if it has none.
+ * timeoutId: the id of the timer freeing the slot.
+ */
+let InFlightPrefetch;
+
+class InFlightTracker {
+  /**
+   * Constructs an InFlightTracker.
+   *
+   * @param {function(!InFlightPrefetch)} onTimeout called with a prefetch
+   * that was released because it did not complete in time.
+   */
+  constructor(onTimeout) {
+    /**
+     * @private {function(!InFlightPrefetch)}
+     */
+    this.onTimeout_ = onTimeout;
+
+    /**
+     * The dispatched prefetches whose request the browser has not sent yet,
+     * keyed by their normalized URL.
+     *
+     * @private {!Map<string, !InFlightPrefetch>}
+     */
+    this.pending_ = new Map();
+
+    /**
+     * The prefetches whose request the browser has sent, keyed by request id.
+     *
+     * @private {!Map<string, !InFlightPrefetch>}
+     */
+    this.requests_ = new Map();
+  }
+
+  /**
+   * Returns the number of prefetches occupying a slot.
+   *
+   * @return {number} the number of prefetches in flight.
+   */
+  size() {
+    return this.pending_.size + this.requests_.size;
+  }
+
+  /**
+   * Returns the URLs the prefetches in flight are currently at.
+   *
+   * @return {!Array<!string>} one URL per prefetch in flight.
+   */
+  getUrls() {
+    const urls = [];
+    this.pending_.forEach((prefetch) => urls.push(prefetch.currentUrl));
+    this.requests_.forEach((prefetch) => urls.push(prefetch.currentUrl));
+    return urls;
+  }
+
+  /**
+   * Returns the prefetches in flight, the ones whose request the browser has
+   * not sent yet first.
+   *
+   * @return {!Array<!InFlightPrefetch>} the prefetches.
+   */
+  getPrefetches() {
+    return Array.from(this.pending_.values())
+        .concat(Array.from(this.requests_.values()));
+  }
+
+  /**
+   * Returns the highest priority tier of the prefetches in flight.
+   *
+   * @return {number} the lowest tier number, or -1 if no prefetch is in
+   * flight.
+   */
+  getFirstTier() {
+    let firstTier = -1;
+    const visit = (prefetch) => {
+      if (firstTier < 0 || prefetch.tier < firstTier) {
+        firstTier = prefetch.tier;
+      }
+    };
+    this.pending_.forEach(visit);
+    this.requests_.forEach(visit);
+    return firstTier;
+  }
+
+  /**
+   * Returns the prefetch of a request.
+   *
+   * @param {!string} requestId the id of the request.
+   *
+   * @return {?InFlightPrefetch} the prefetch, or null if the request is not a
+   * prefetch in flight.
+   */
+  get(requestId) {
+    return this.requests_.get(requestId) || null;
+  }
+
+  /**
+   * Records the Content-Length of a response of a prefetch request.
+   *
+   * @param {!string} requestId the id of the request.
+   * @param {number} contentLength the Content-Length, -1 if it has none.
+   */
+  setContentLength(requestId, contentLength) {
+    const prefetch = this.requests_.get(requestId);
+    if (prefetch !== undefined) {
+      prefetch.contentLength = contentLength;
+    }
+  }
+
+  /**
+   * Starts tracking a prefetch handed to the content script.
+   *
+   * @param {!PrefetchResource} resource the prefetched resource.
+   * @param {number} tier the priority tier of the prefetch.
+   * @param {!string} mechanism the PrefetchMechanism of the prefetch.
+   * @param {number} nowMs the current time in milliseconds since epoch.
+   */
+  add(resource, tier, mechanism, nowMs) {
+    const normalizedUrl = PrefetchResource.normalizeUrl(resource.url);
+    if (this.pending_.has(normalizedUrl)) {
+      return;
+    }
+    const prefetch = {
+      resource: resource,
+      hintedUrl: normalizedUrl,
+      currentUrl: resource.url,
+      requestId: '',
+      tier: tier,
+      mechanism: mechanism,
+      dispatchTimeMs: nowMs,
+      hopStartMs: -1,
+      contentLength: -1,
+      timeoutId: -1
+    };
+    prefetch.timeoutId =
+        setTimeout(() => this.expire_(prefetch), IN_FLIGHT_TIMEOUT_MS);
+    this.pending_.set(normalizedUrl, prefetch);
+  }
+
+  /**
+   * Links a request sent by the browser to the prefetch of its URL. The first
+   * request for a dispatched URL whose resource type fits the mechanism of
+   * the prefetch is taken to be the prefetch. A request of another type is
+   * the page requesting the URL itself before the prefetch was sent.
+   *
+   * @param {!string} requestId the id of the request.
+   * @param {!string} url the URL of the request.
+   * @param {!string} type the webRequest resource type of the request.
+   * @param {number} timestampMs when the request was sent.
+   *
+   * @return {?InFlightPrefetch} the prefetch of the request, or null if the
+   * request is not a prefetch in flight.
+   */
+  bind(requestId, url, type, timestampMs) {
+    if (this.requests_.has(requestId)) {
+      // A redirect hop of a request that is already bound.
+      return this.requests_.get(requestId);
+    }
+    const normalizedUrl = PrefetchResource.normalizeUrl(url);
+    const prefetch = this.pending_.get(normalizedUrl);
+    if (prefetch === undefined ||
+        !getPrefetchRequestTypes(prefetch.mechanism, prefetch.resource.as)
+             .includes(type)) {
+      return null;
+    }
+    this.pending_.delete(normalizedUrl);
+    prefetch.requestId = requestId;
+    prefetch.hopStartMs = timestampMs;
+    this.requests_.set(requestId, prefetch);
+    return prefetch;
+  }
+
+  /**
+   * Follows a redirect of a prefetch request.
+   *
+   * @param {!string} requestId the id of the redirected request.
+   * @param {!string} redirectUrl the URL the request is redirected to.
+   * @param {number} timestampMs when the redirect happened.
+   *
+   * @return {?InFlightPrefetch} the prefetch before the redirect is applied,
+   * as a copy, or null if the request is not a prefetch in flight.
+   */
+  redirect(requestId, redirectUrl, timestampMs) {
+    const prefetch = this.requests_.get(requestId);
+    if (prefetch === undefined) {
+      return null;
+    }
+    const hop = Object.assign({}, prefetch);
+    prefetch.currentUrl = redirectUrl;
+    prefetch.hopStartMs = timestampMs;
+    return hop;
+  }
+
+  /**
+   * Stops tracking a prefetch request that completed or failed.
+   *
+   * @param {!string} requestId the id of the request.
+   *
+   * @return {?InFlightPrefetch} the released prefetch, or null if the request
+   * is not a prefetch in flight.
+   */
+  release(requestId) {
+    const prefetch = this.requests_.get(requestId);
+    if (prefetch === undefined) {
+      return null;
+    }
+    clearTimeout(prefetch.timeoutId);
+    this.requests_.delete(requestId);
+    return prefetch;
+  }
+
+  /**
+   * Stops tracking a prefetch by its hinted URL. This serves the completion
+   * signals that do not carry a request id.
+   *
+   * @param {!string} url the hinted URL.
+   * @param {boolean} pendingOnly whether to release the prefetch only if the
+   * browser has not sent its request yet.
+   *
+   * @return {?InFlightPrefetch} the released prefetch, or null if there is no
+   * such prefetch in flight.
+   */
+  releaseUrl(url, pendingOnly) {
+    const normalizedUrl = PrefetchResource.normalizeUrl(url);
+    let prefetch = this.pending_.get(normalizedUrl);
+    if (prefetch !== undefined) {
+      this.pending_.delete(normalizedUrl);
+    } else if (!pendingOnly) {
+      for (const [requestId, request] of this.requests_) {
+        if (request.hintedUrl === normalizedUrl) {
+          prefetch = request;
+          this.requests_.delete(requestId);
+          break;
+        }
+      }
+    }
+    if (prefetch === undefined) {
+      return null;
+    }
+    clearTimeout(prefetch.timeoutId);
+    return prefetch;
+  }
+
+  /**
+   * Stops tracking all prefetches without calling the timeout listener.
+   */
+  clear() {
+    this.pending_.forEach((prefetch) => clearTimeout(prefetch.timeoutId));
+    this.requests_.forEach((prefetch) => clearTimeout(prefetch.timeoutId));
+    this.pending_.clear();
+    this.requests_.clear();
+  }
+
+  /**
+   * Returns the prefetches in flight in a form chrome.storage can save.
+   *
+   * @return {!Object} the state, see setState.
+   */
+  getState() {
+    const toState = (prefetch) => {
+      const state = Object.assign({}, prefetch);
+      delete state.timeoutId;
+      return state;
+    };
+    return {
+      pending: Array.from(this.pending_.values(), toState),
+      requests: Array.from(this.requests_.values(), toState)
+    };
+  }
+
+  /**
+   * Replaces the prefetches in flight by saved ones. Their timeouts count
+   * from their original dispatch, so a prefetch whose time ran out while the
+   * scheduler was stopped times out right away.
+   *
+   * @param {!Object} state the state returned by getState.
+   * @param {number} nowMs the current time in milliseconds since epoch.
+   */
+  setState(state, nowMs) {
+    this.clear();
+    const restore = (saved) => {
+      const prefetch = /** @type {!InFlightPrefetch} */ (Object.assign(
+          {}, saved, {resource: PrefetchResource.fromState(saved.resource)}));
+      const remainingMs =
+          Math.max(0, IN_FLIGHT_TIMEOUT_MS - (nowMs - prefetch.dispatchTimeMs));
+      prefetch.timeoutId =
+          setTimeout(() => this.expire_(prefetch), remainingMs);
+      return prefetch;
+    };
+    state.pending.forEach((saved) => {
+      this.pending_.set(saved.hintedUrl, restore(saved));
+    });
+    state.requests.forEach((saved) => {
+      this.requests_.set(saved.requestId, restore(saved));
+    });
+  }
+
+  /**
+   * Releases a prefetch that did not complete in time.
+   *
+   * @param {!InFlightPrefetch} prefetch the prefetch to release.
+   * @private
+   */
+  expire_(prefetch) {
+    if (prefetch.requestId === '') {
+      this.pending_.delete(prefetch.hintedUrl);
+    } else {
+      this.requests_.delete(prefetch.requestId);
+    }
+    this.onTimeout_(prefetch);
+  }
+}
@@ -13,16 +13,451 @@
 // limitations under the License.
 
 /**
- * @fileoverview This file defines the constants for messages.
+ * @fileoverview Defines the protocol between the scheduler and the content
+ * scripts: the message types, the shape of every message and the helpers for
+ * creating and validating messages. Both sides validate what they receive and
+ * answer every message through sendResponse with an ACK, or with the response
+ * of the request, so the sender knows whether the message was accepted. The
+ * DevTools panel speaks the same protocol over a port, see PANEL_PORT_NAME.
  */
 
+// The version of the protocol. Bump it whenever a message shape changes, so
+// content scripts left over from an older version of the extension are
+// detected.
+const PROTOCOL_VERSION = 3;
+
 const MessageType = {
   CONTENT_SCRIPT_INIT: 'content_script_init',
   PREFETCH_RESOURCE: 'prefetch_resource',
   PRELOAD_RESOURCE: 'preload_resource',
+  PRECONNECT_ORIGIN: 'preconnect_origin',
   COMPLETED: 'completed',
+  FAILED: 'failed',
+  NETWORK_INFO: 'network_info',
   LOG_TIMING: 'log_timing',
   NAVIGATED_TO_DST: 'navigated_to_dst',
-  DEBUG: 'debug',
-  INFO: 'info'
+  NAVIGATION_HELD: 'navigation_held',
+  RELEASE_NAVIGATION: 'release_navigation',
+  SESSION_CONTROL: 'session_control',
+  SESSION_RESET: 'session_reset',
+  SESSION_SUMMARY: 'session_summary',
+  EXPORT_RESULTS: 'export_results',
+  EXPORT_RESULTS_RESPONSE: 'export_results_response',
+  TRACE_EVENT: 'trace_event',
+  PANEL_SUBSCRIBE: 'panel_subscribe',
+  PANEL_STATE: 'panel_state',
+  PANEL_COMMAND: 'panel_command',
+  ACK: 'ack'
+};
+
+// The actions of a SESSION_CONTROL message.
+const SessionAction = {
+  START: 'start',
+  END: 'end',
+  RESET: 'reset'
+};
+
+// The commands of a PANEL_COMMAND message.
+const PanelCommand = {
+  // Stops dispatching prefetches until RESUME.
+  PAUSE: 'pause',
+  RESUME: 'resume',
+  // Dispatches every queued prefetch at once, regardless of the policy and
+  // the concurrency window.
+  FLUSH: 'flush',
+  // Ends the session and reloads the tab, which starts a fresh session.
+  RERUN: 'rerun'
 };
+
+// The name of the port the DevTools panel connects to the scheduler with. The
+// panel sends PANEL_SUBSCRIBE and PANEL_COMMAND messages over it, and the
+// scheduler answers with PANEL_STATE messages and ACKs.
+const PANEL_PORT_NAME = 'devtools_panel';
+
+/**
+ * The namespace of the message shapes. Every message also has the fields
+ * type, one of MessageType, and version, the PROTOCOL_VERSION of its sender.
+ */
+const Message = {};
+
+/**
+ * Sent by a content script when it starts. It registers the frame of the
+ * script, whose id the scheduler takes from the sender, as a target of the
+ * prefetch commands.
+ * extensionVersion: the version of the extension the script belongs to.
+ *
+ * @typedef {{type: string, version: number, extensionVersion: string}}
+ */
+Message.InitClientScript;
+
+/**
+ * Asks the content script to prefetch or preload a resource.
+ * attempt: 1 for the first request of the resource, higher for retries.
+ * mechanism: how to fetch the resource, one of PrefetchMechanism.
+ * fetchPriority: the fetch priority, one of FETCH_PRIORITIES.
+ * cache: the cache mode of fetch(), one of FETCH_CACHE_MODES.
+ *
+ * @typedef {{
+ *   type: string,
+ *   version: number,
+ *   url: string,
+ *   resourceType: string,
+ *   rel: string,
+ *   as: ?string,
+ *   crossorigin: ?string,
+ *   mimeType: ?string,
+ *   attempt: number,
+ *   mechanism: string,
+ *   fetchPriority: string,
+ *   cache: string
+ * }}
+ */
+Message.Prefetch;
+
+/**
+ * Asks the content script to warm up the connection to an origin.
+ *
+ * @typedef {{
+ *   type: string,
+ *   version: number,
+ *   url: string,
+ *   rel: string,
+ *   crossorigin: ?string
+ * }}
+ */
+Message.Preconnect;
+
+/**
+ * Sent by the content script of the top-level frame when it starts and
+ * whenever the connection of the page changes. The fields are the ones of
+ * NetworkInfo.
+ *
+ * @typedef {{
+ *   type: string,
+ *   version: number,
+ *   saveData: boolean,
+ *   effectiveType: string,
+ *   downlinkMbps: number
+ * }}
+ */
+Message.NetworkInfo;
+
+/**
+ * Sent by the content script when a link it injected loaded (COMPLETED) or
+ * failed (FAILED).
+ * timestamp: performance.now() of the page when the event fired.
+ * timing: the ResourceTiming entry of the link, see LinkTiming.
+ *
+ * @typedef {{
+ *   type: string,
+ *   version: number,
+ *   url: string,
+ *   timestamp: number,
+ *   timing: ?Object
+ * }}
+ */
+Message.LinkOutcome;
+
+/**
+ * The timing of a request. The fields are the ones of RequestRecord.
+ *
+ * @typedef {{
+ *   type: string,
+ *   version: number,
+ *   sessionId: string,
+ *   tabId: number,
+ *   lpUrl: string,
+ *   url: string,
+ *   requestId: string,
+ *   tier: number,
+ *   fetchTime: number,
+ *   requestTimestampMs: number,
+ *   completeTimestampMs: number,
+ *   isPrefetch: string,
+ *   statusCode: number,
+ *   fromCache: boolean,
+ *   bytes: number,
+ *   windowSize: number,
+ *   error: string,
+ *   redirectUrl: string,
+ *   mechanism: string,
+ *   arm: string
+ * }}
+ */
+Message.Log;
+
+/**
+ * Tells the content script that the tab navigates to the landing page.
+ *
+ * @typedef {{type: string, version: number, url: string}}
+ */
+Message.NavigatedToDst;
+
+/**
+ * Sent by the content script of the top-level frame when it held the
+ * navigation of a stub page to its landing page.
+ *
+ * @typedef {{type: string, version: number, url: string}}
+ */
+Message.NavigationHeld;
+
+/**
+ * Asks the content script of the top-level frame to carry out the navigation
+ * it held.
+ * reason: why the navigation is released, one of NavigationRelease.
+ *
+ * @typedef {{type: string, version: number, url: string, reason: string}}
+ */
+Message.ReleaseNavigation;
+
+/**
+ * Asks the scheduler to start, end or reset the session of a tab. Only
+ * extension pages may send it, e.g. an experiment harness driving the
+ * browser, since a page must not end the measurement of its own tab.
+ * action: one of SessionAction.
+ *
+ * @typedef {{type: string, version: number, tabId: number, action: string}}
+ */
+Message.SessionControl;
+
+/**
+ * Tells the content script that its session was replaced.
+ *
+ * @typedef {{type: string, version: number}}
+ */
+Message.SessionReset;
+
+/**
+ * The per tier summary of an ended session.
+ *
+ * @typedef {{
+ *   type: string,
+ *   version: number,
+ *   sessionId: string,
+ *   tiers: !Array<!TierSummary>
+ * }}
+ */
+Message.SessionSummary;
+
+/**
+ * Asks the scheduler for the recorded results.
+ * format: one of ExportFormat. JSON Lines if undefined.
+ * download: whether to also save the results as a file. False if undefined.
+ * clear: whether to forget the results once exported. False if undefined.
+ *
+ * @typedef {{
+ *   type: string,
+ *   version: number,
+ *   format: (string|undefined),
+ *   download: (boolean|undefined),
+ *   clear: (boolean|undefined)
+ * }}
+ */
+Message.ExportResults;
+
+/**
+ * The response to EXPORT_RESULTS. It has either data or error.
+ *
+ * @typedef {{
+ *   type: string,
+ *   version: number,
+ *   format: (string|undefined),
+ *   data: (string|undefined),
+ *   error: (string|undefined)
+ * }}
+ */
+Message.ExportResultsResponse;
+
+/**
+ * The response to any message that has no response of its own.
+ * accepted: whether the message was valid and handled.
+ * error: why the message was rejected, '' if it was accepted.
+ *
+ * @typedef {{type: string, version: number, accepted: boolean, error: string}}
+ */
+Message.Ack;
+
+/**
+ * Sent by a content script to add an event to the trace of its tab.
+ * name: one of TraceEventName.
+ * timestampMs: when the event happened in milliseconds since epoch.
+ * args: the details of the event.
+ *
+ * @typedef {{
+ *   type: string,
+ *   version: number,
+ *   name: string,
+ *   timestampMs: number,
+ *   args: !Object
+ * }}
+ */
+Message.TraceEvent;
+
+/**
+ * Sent by the DevTools panel to receive the state of the session of a tab
+ * whenever it changes.
+ *
+ * @typedef {{type: string, version: number, tabId: number}}
+ */
+Message.PanelSubscribe;
+
+/**
+ * The state of the session of a tab, sent to the subscribed panels.
+ * state: the PanelState, null if the tab has no session.
+ *
+ * @typedef {{
+ *   type: string,
+ *   version: number,
+ *   tabId: number,
+ *   state: ?PanelState
+ * }}
+ */
+Message.PanelState;
+
+/**
+ * Sent by the DevTools panel to control the session of a tab.
+ * command: one of PanelCommand.
+ *
+ * @typedef {{type: string, version: number, tabId: number, command: string}}
+ */
+Message.PanelCommand;
+
+// The fields of every message type besides type and version. A type ending
+// with '=' marks an optional field and one starting with '?' a nullable one.
+const MESSAGE_FIELDS = {
+  [MessageType.CONTENT_SCRIPT_INIT]: {extensionVersion: 'string'},
+  [MessageType.PREFETCH_RESOURCE]: {
+    url: 'string',
+    resourceType: 'string',
+    rel: 'string',
+    as: '?string',
+    crossorigin: '?string',
+    mimeType: '?string',
+    attempt: 'number',
+    mechanism: 'string',
+    fetchPriority: 'string',
+    cache: 'string'
+  },
+  [MessageType.PRECONNECT_ORIGIN]:
+      {url: 'string', rel: 'string', crossorigin: '?string'},
+  [MessageType.COMPLETED]:
+      {url: 'string', timestamp: 'number', timing: '?object'},
+  [MessageType.NETWORK_INFO]:
+      {saveData: 'boolean', effectiveType: 'string', downlinkMbps: 'number'},
+  [MessageType.LOG_TIMING]: {
+    sessionId: 'string',
+    tabId: 'number',
+    lpUrl: 'string',
+    url: 'string',
+    requestId: 'string',
+    tier: 'number',
+    fetchTime: 'number',
+    requestTimestampMs: 'number',
+    completeTimestampMs: 'number',
+    isPrefetch: 'string',
+    statusCode: 'number',
+    fromCache: 'boolean',
+    bytes: 'number',
+    windowSize: 'number',
+    error: 'string',
+    redirectUrl: 'string',
+    mechanism: 'string',
+    arm: 'string'
+  },
+  [MessageType.NAVIGATED_TO_DST]: {url: 'string'},
+  [MessageType.NAVIGATION_HELD]: {url: 'string'},
+  [MessageType.RELEASE_NAVIGATION]: {url: 'string', reason: 'string'},
+  [MessageType.SESSION_CONTROL]: {tabId: 'number', action: 'string'},
+  [MessageType.SESSION_RESET]: {},
+  [MessageType.SESSION_SUMMARY]: {sessionId: 'string', tiers: 'array'},
+  [MessageType.EXPORT_RESULTS]:
+      {format: 'string=', download: 'boolean=', clear: 'boolean='},
+  [MessageType.EXPORT_RESULTS_RESPONSE]:
+      {format: 'string=', data: 'string=', error: 'string='},
+  [MessageType.TRACE_EVENT]:
+      {name: 'string', timestampMs: 'number', args: 'object'},
+  [MessageType.PANEL_SUBSCRIBE]: {tabId: 'number'},
+  [MessageType.PANEL_STATE]: {tabId: 'number', state: '?object'},
+  [MessageType.PANEL_COMMAND]: {tabId: 'number', command: 'string'},
+  [MessageType.ACK]: {accepted: 'boolean', error: 'string'}
+};
+MESSAGE_FIELDS[MessageType.PRELOAD_RESOURCE] =
+    MESSAGE_FIELDS[MessageType.PREFETCH_RESOURCE];
+MESSAGE_FIELDS[MessageType.FAILED] = MESSAGE_FIELDS[MessageType.COMPLETED];
+
+/**
+ * Creates a message of the current protocol version.
+ *
+ * @param {!string} type one of MessageType.
+ * @param {!Object} fields the fields of the message besides type and version.
+ *
+ * @return {!Object} the message.
+ */
+function createMessage(type, fields) {
+  const msg = Object.assign({type: type, version: PROTOCOL_VERSION}, fields);
+  const errors = validateMessage(msg);
+  if (errors.length > 0) {
+    console.warn(
+        'created an invalid ' + type + ' message: ' + errors.join('; '));
+  }
+  return msg;
+}
+
+/**
+ * Creates the ACK answering a message.
+ *
+ * @param {!Array<!string>} errors why the message was rejected. Empty if it
+ * was accepted.
+ *
+ * @return {!Message.Ack} the ACK.
+ */
+function createAck(errors) {
+  return /** @type {!Message.Ack} */ (createMessage(
+      MessageType.ACK,
+      {accepted: errors.length === 0, error: errors.join('; ')}));
+}
+
+/**
+ * Returns the problems of a received message.
+ *
+ * @param {*} msg the message to validate.
+ *
+ * @return {!Array<!string>} a description of every problem. Empty if the
+ * message is valid.
+ */
+function validateMessage(msg) {
+  if (msg === null || typeof msg !== 'object') {
+    return ['not an object'];
+  }
+  if (!MESSAGE_FIELDS.hasOwnProperty(msg.type)) {
+    return ['unknown type ' + msg.type];
+  }
+  if (msg.version !== PROTOCOL_VERSION) {
+    return [
+      'protocol version ' + msg.version + ' instead of ' + PROTOCOL_VERSION
+    ];
+  }
+  const errors = [];
+  const fields = MESSAGE_FIELDS[msg.type];
+  Object.keys(fields).forEach((name) => {
+    let fieldType = fields[name];
+    const optional = fieldType.endsWith('=');
+    const nullable = fieldType.startsWith('?');
+    fieldType = fieldType.replace(/[?=]/g, '');
+    const value = msg[name];
+    if ((value === undefined && optional) || (value === null && nullable)) {
+      return;
+    }
+    const actualType = Array.isArray(value) ? 'array' :
+        value === null ? 'null' : typeof value;
+    if (actualType !== fieldType) {
+      errors.push(name + ' is ' + actualType + ' instead of ' + fieldType);
+    }
+  });
+  Object.keys(msg).forEach((name) => {
+    if (name !== 'type' && name !== 'version' && !fields.hasOwnProperty(name)) {
+      errors.push('unknown field ' + name);
+    }
+  });
+  return errors;
+}
@@ -0,0 +1,189 @@
+// Copyright 2017 Google Inc.
+//
+// Licensed under the Apache License, Version 2.0 (the "License");
+// you may not use this file except in compliance with the License.
+// You may obtain a copy of the License at
+//
+//    https://www.apache.org/licenses/LICENSE-2.0
+//
+// Unless required by applicable law or agreed to in writing, software
+// distributed under the License is distributed on an "AS IS" BASIS,
+// WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+// See the License for the specific language governing permissions and
+// limitations under the License.
+
+/**
+ * @fileoverview Implements the gate holding the navigation of a stub page to
+ * its landing page. A stub page served in gating mode lets the content script
+ * cancel its navigation. The scheduler then triggers the navigation once the
+ * hints up to the gate tier finished, or once the deadline passed, so that
+ * waiting for the critical resources can be weighed against navigating early.
+ */
+
+// The name of the cancelable event the stub page dispatches on its document
+// before it navigates. Its detail is the URL of the landing page.
+const NAVIGATION_GATE_EVENT = 'lpnavigate';
+
+// Why a held navigation was released.
+const NavigationRelease = {
+  // No hint up to the gate tier is queued or in flight anymore.
+  TIERS_DONE: 'tiers_done',
+  DEADLINE: 'deadline',
+  // The configuration does not gate navigations.
+  DISABLED: 'disabled',
+  SESSION_ENDED: 'session_ended'
+};
+
+/**
+ * @typedef {{
+ *   url: string,
+ *   tier: number,
+ *   startMs: number,
+ *   endMs: number,
+ *   holdMs: number,
+ *   reason: string
+ * }}
+ *
+ * url: the landing page the stub page navigates to.
+ * tier: the lowest priority tier the navigation waited for.
+ * startMs: when the navigation was held in milliseconds since epoch.
+ * endMs: when it was released, -1 while it is held.
+ * holdMs: how long it was held, -1 while it is held.
+ * reason: one of NavigationRelease, '' while it is held.
+ */
+let NavigationHold;
+
+class NavigationGate {
+  /**
+   * Constructs a NavigationGate.
+   *
+   * @param {number} tier the lowest priority tier to wait for. -1 releases
+   * every navigation right away.
+   * @param {number} deadlineMs how long a navigation is held at most.
+   */
+  constructor(tier, deadlineMs) {
+    /**
+     * @private {number}
+     */
+    this.tier_ = tier;
+
+    /**
+     * @private {number}
+     */
+    this.deadlineMs_ = deadlineMs;
+
+    /**
+     * The current or last hold, null if no navigation was held.
+     *
+     * @private {?NavigationHold}
+     */
+    this.hold_ = null;
+
+    /**
+     * The id of the timer of the deadline, -1 if none runs.
+     *
+     * @private {number}
+     */
+    this.timeoutId_ = -1;
+  }
+
+  /**
+   * @return {number} the lowest priority tier a navigation waits for, -1 if
+   * navigations are not gated.
+   */
+  getTier() {
+    return this.tier_;
+  }
+
+  /**
+   * @return {boolean} whether a navigation is held.
+   */
+  isHolding() {
+    return this.hold_ !== null && this.hold_.endMs < 0;
+  }
+
+  /**
+   * Holds the navigation to a landing page. A navigation that is already
+   * held keeps its start and deadline.
+   *
+   * @param {!string} url the landing page.
+   * @param {number} nowMs the current time in milliseconds since epoch.
+   * @param {function()} onDeadline called when the deadline passes before
+   * the navigation is released.
+   */
+  hold(url, nowMs, onDeadline) {
+    if (this.isHolding()) {
+      return;
+    }
+    this.hold_ = {
+      url: url,
+      tier: this.tier_,
+      startMs: nowMs,
+      endMs: -1,
+      holdMs: -1,
+      reason: ''
+    };
+    if (this.tier_ >= 0) {
+      this.timeoutId_ = setTimeout(onDeadline, this.deadlineMs_);
+    }
+  }
+
+  /**
+   * Releases the held navigation.
+   *
+   * @param {!string} reason one of NavigationRelease.
+   * @param {number} nowMs the current time in milliseconds since epoch.
+   *
+   * @return {?NavigationHold} the finished hold, or null if no navigation
+   * was held.
+   */
+  release(reason, nowMs) {
+    if (!this.isHolding()) {
+      return null;
+    }
+    clearTimeout(this.timeoutId_);
+    this.timeoutId_ = -1;
+    this.hold_.endMs = nowMs;
+    this.hold_.holdMs = nowMs - this.hold_.startMs;
+    this.hold_.reason = reason;
+    return this.hold_;
+  }
+
+  /**
+   * @return {?NavigationHold} the current or last hold, null if no
+   * navigation was held.
+   */
+  getSummary() {
+    return this.hold_;
+  }
+
+  /**
+   * Returns the current or last hold in a form chrome.storage can save.
+   *
+   * @return {!Object} the state, see setState.
+   */
+  getState() {
+    return {hold: this.hold_};
+  }
+
+  /**
+   * Replaces the hold by a saved one. The deadline of a navigation that is
+   * still held counts from its original start, so it fires right away if it
+   * passed while the scheduler was stopped.
+   *
+   * @param {!Object} state the state returned by getState.
+   * @param {number} nowMs the current time in milliseconds since epoch.
+   * @param {function()} onDeadline called when the deadline of a held
+   * navigation passes.
+   */
+  setState(state, nowMs, onDeadline) {
+    clearTimeout(this.timeoutId_);
+    this.timeoutId_ = -1;
+    this.hold_ = state.hold;
+    if (this.isHolding() && this.tier_ >= 0) {
+      const remainingMs =
+          Math.max(0, this.deadlineMs_ - (nowMs - this.hold_.startMs));
+      this.timeoutId_ = setTimeout(onDeadline, remainingMs);
+    }
+  }
+}
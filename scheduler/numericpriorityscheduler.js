@@ -15,25 +15,27 @@
 /**
  * @fileoverview Implements a scheduler in the form of Chrome extension
  * leveraging the webRequest API. It take prefetch hints from the server in the
- * form of HTTP response header with "x-prefetch" as the header key. Hints are
- * parsed and populated into the corresponding priority bucket.
+ * form of standard "Link" HTTP response headers or of the legacy "x-prefetch"
+ * header. Hints are parsed and populated into the corresponding priority
+ * bucket. The scheduler runs in a service worker that observes the requests
+ * without blocking them. It saves its sessions after every event, so the
+ * worker can be suspended in the middle of a page load and pick up where it
+ * stopped.
  */
 
-// The number of priorities that can be assigned starting from 0 ...
-// (NUM_PRIORITIES - 1).
-const NUM_PRIORITIES = 100;
+// The number of sessions kept at the same time. When a new session would
+// exceed this number, the least recently active session is ended.
+const MAX_SESSIONS = 20;
 
-// The number of outstanding requests allowed at a given time.
-const OUTSTANDING_REQUESTS_ALLOWED = 7;
+// Sessions without any activity for this long are ended when a new session
+// starts.
+const SESSION_MAX_IDLE_MS = 30 * 60 * 1000;
 
-// The delimeter to split the prefetch URLS. |$de| contains a combination of
-// characters that is unlikely to appear together.
-const DELIMETER = '|$de|';
+// The id of the top-level frame of a tab.
+const TOP_FRAME_ID = 0;
 
-// The max value of the main frame priority. Any resource that has priority
-// greater than this number will use <link rel="prefetch"> for prefetching
-// instead of <link rel="preload">.
-const MAX_MAIN_FRAME_PRIORITY = 2;
+// Sends a message to every frame of a tab instead of a single one.
+const ALL_FRAMES = -1;
 
 /**
  * This scheduler implements a scheduler that takes a numerical priority that
@@ -45,64 +47,152 @@ const MAX_MAIN_FRAME_PRIORITY = 2;
 class NumericPriorityScheduler {
   constructor() {
     /**
-     * A 2-D array of all the dependencies. The queues with lower priority will
-     * be dequeued first.
-     * @private {!Array<!Array<!PrefetchResource>>}
+     * Maps from a tab id to the scheduling session of that tab.
+     *
+     * @private {!Map<number, !SchedulerSession>}
      */
-    this.dependencies_ = new Array(NUM_PRIORITIES);
-    for (let i = 0; i < NUM_PRIORITIES; i++) {
-      this.dependencies_[i] = new Array();
-    }
+    this.sessions_ = new Map();
+
+    this.didInit_ = false;
+
+    /**
+     * The current configuration. Sessions take a snapshot of it when they
+     * start, so a change applies to the sessions started afterwards.
+     *
+     * @private {!SchedulerConfig}
+     */
+    this.config_ = DEFAULT_CONFIG;
 
     /**
-     * A set containing URLs (or request id) of requests that are in-flight.
-     * @private {!Set<!string>}
+     * Loads and watches the stored configuration.
+     *
+     * @private {!ConfigStore}
      */
-    this.outstandingPrefetchUrls_ = new Set();
+    this.configStore_ = new ConfigStore();
 
-    this.timeTracker = new TimeTracker.TimeTracker();
+    /**
+     * The stored presets keyed by their name. The experiment arms run with
+     * them.
+     *
+     * @private {!Object<string, !SchedulerConfig>}
+     */
+    this.presets_ = {};
 
     /**
-     * Tracks the URLs that are already requested to prevent duplicated requests
-     * in the case where prefetch request goes out after the actual request.
-     * @private {!Set<!string>}
+     * Assigns the stub requests to the experiment arms.
+     *
+     * @private {!ExperimentAssigner}
      */
-    this.requestedURLs_ = new Set();
+    this.assigner_ = new ExperimentAssigner();
 
     /**
-     * The landing page URL that this experiment will navigate to. This is used
-     * to detect when the navigation to the landing page has already started.
+     * Parses the hints out of the response headers.
+     *
+     * @private {!HintParser}
      */
-    this.lpUrl = '';
+    this.hintParser_ = new HintParser(DEFAULT_CONFIG.delimiter);
 
     /**
-     * Flag indicating whether the browser has already navigated to the landing
-     * page. The browser has navigated when the request header for lpUrl is
-     * sent.
+     * Decides which responses may send hints and which hints are accepted.
      *
-     * @private {!boolean}
+     * @private {!HintTrustPolicy}
      */
-    this.navigatedToDst_ = false;
+    this.hintTrustPolicy_ = new HintTrustPolicy(DEFAULT_CONFIG);
 
     /**
-     * Array containing URLs that are waiting to be fetched for a particular
-     * priority.
+     * Resolves the hinted types to preload attributes.
      *
-     * @private {!Array<!PrefetchResource>}
+     * @private {!ResourceTypeRegistry}
      */
-    this.queuedPrefetches_ = new Array();
+    this.resourceTypes_ = new ResourceTypeRegistry();
 
     /**
-     * Indicates which priority level that the scheduler is requesting right
-     * now.
+     * Sorts the failed prefetches into transient and permanent failures.
      *
-     * @private {number}
+     * @private {!FailureClassifier}
      */
-    this.curFetchPriority_ = -1;
+    this.failureClassifier_ = new FailureClassifier();
 
-    this.didInit_ = false;
+    /**
+     * The structured record of every request and session for exporting.
+     *
+     * @private {!ResultLog}
+     */
+    this.resultLog_ = new ResultLog();
+
+    /**
+     * Sends the request records of the ended sessions to the collector.
+     *
+     * @private {!ResultUploader}
+     */
+    this.uploader_ = new ResultUploader();
+
+    /**
+     * The trace events of all tabs for exporting.
+     *
+     * @private {!TraceBuffer}
+     */
+    this.trace_ = new TraceBuffer(TRACE_BUFFER_CAPACITY);
+
+    /**
+     * Saves the sessions and the result log across suspensions of the
+     * service worker. The trace is not saved, it starts anew with the
+     * worker.
+     *
+     * @private {!SessionStore}
+     */
+    this.sessionStore_ = new SessionStore();
+
+    /**
+     * Sets the request headers of the prefetches.
+     *
+     * @private {!HeaderRules}
+     */
+    this.headerRules_ = new HeaderRules();
+
+    /**
+     * The DevTools panels following the sessions.
+     *
+     * @private {!PanelHub}
+     */
+    this.panels_ = new PanelHub();
+
+    /**
+     * Whether the saved state was restored. Events arriving before are
+     * handled afterwards.
+     *
+     * @private {boolean}
+     */
+    this.restored_ = false;
+
+    /**
+     * The events that arrived before the saved state was restored, in the
+     * order they arrived.
+     *
+     * @private {!Array<function()>}
+     */
+    this.pendingEvents_ = [];
+
+    /**
+     * The ids of the tabs whose session changed since it was last saved.
+     *
+     * @private {!Set<number>}
+     */
+    this.dirtyTabs_ = new Set();
+
+    /**
+     * Whether the result log changed since it was last saved.
+     *
+     * @private {boolean}
+     */
+    this.resultsDirty_ = false;
 
-    this.initializedContentScript_ = false;
+    /**
+     * The id of the timer saving the changes, -1 if none runs.
+     *
+     * @private {number}
+     */
+    this.flushTimeoutId_ = -1;
   }
 
   /**
@@ -112,34 +202,81 @@ class NumericPriorityScheduler {
    * @private
    */
   onSendHeaders_(details) {
-    console.log('send headers:');
-    console.log(details);
+    if (details.tabId < 0) {
+      // Not a request of a tab, e.g. from the extension itself.
+      return;
+    }
+    let session = this.sessions_.get(details.tabId);
+    // A stub request names the experiment arm it runs, which the session
+    // of the stub page takes on. The navigation to the landing page is part
+    // of the session of its stub page, whatever headers it carries.
+    const arm = details.type === 'main_frame' &&
+            (session === undefined || details.url !== session.lpUrl) ?
+        this.assigner_.getArmOfRequest(this.config_, details.requestHeaders) :
+        null;
+    if (session === undefined) {
+      session = this.startSession_(details.tabId, arm);
+    } else if (
+        details.type === 'main_frame' &&
+        session.mainFrameRequestId !== details.requestId &&
+        (arm !== null ||
+         (session.mainFrameRequestId !== '' &&
+          details.url !== session.lpUrl))) {
+      // The tab is navigating away or loads another stub page. The hints of
+      // the previous page must not be fetched for the new one.
+      session = this.startSession_(details.tabId, arm);
+    } else {
+      session = this.getSession_(details.tabId);
+    }
+    const pendingArm = this.assigner_.getPendingArm();
+    if (arm !== null && session.mainFrameRequestId !== details.requestId &&
+        pendingArm !== null && arm.name === pendingArm.name) {
+      // The arm was used up, the next stub request gets a new one. A request
+      // naming another arm got the headers of an arm used up before, e.g. by
+      // a stub request of another tab started at about the same time.
+      this.assignNextArm_();
+    }
+    if (details.type === 'main_frame') {
+      session.mainFrameRequestId = details.requestId;
+      session.documentUrl = details.url;
+      // The content scripts of the previous document are gone.
+      session.frames.clear();
+    } else if (details.type === 'sub_frame') {
+      // The frame loads a new document whose content script registers anew.
+      session.frames.delete(details.frameId);
+    }
 
     const isPrefetch = this.isPrefetchRequest_(details.requestHeaders);
 
     // TODO(vaspol): track the whether the prefetch request is received before
     // the resource is discovered from the browser.
-    this.timeTracker.registerRequest(
-        details.requestId, details.timeStamp, isPrefetch);
-    console.log(this.timeTracker);
+    session.timeTracker.registerRequest(
+        details.requestId, details.timeStamp, isPrefetch, details.url);
+    const prefetch = session.inFlight.bind(
+        details.requestId, details.url, details.type, details.timeStamp);
+    if (prefetch !== null) {
+      session.completions.registerRequest(
+          details.requestId, prefetch.hintedUrl);
+      // The request carries the header already.
+      this.headerRules_.remove(session.tabId, prefetch.resource.url);
+    }
 
     // Browser is navigating to the landing page.
-    if (details.url === this.lpUrl) {
-      const /** @type {Message.NavigatedToDst} */ msg = {
-        type: MessageType.NAVIGATED_TO_DST,
-        url: this.lpUrl
-      };
-      this.notifyContentScript_(msg);
-
-      // In a re-using a browser for multiple experiments, this has to be switch
-      // back to false. However, for this current setup with WPT, it is okay to
-      // leave it as is.
-      this.navigatedToDst_ = true;
+    if (details.url === session.lpUrl) {
+      this.trace_.instant(
+          TraceEventName.NAVIGATION_START, TraceCategory.SCHEDULER,
+          session.tabId, {url: details.url}, details.timeStamp);
+      const /** @type {Message.NavigatedToDst} */ msg =
+          createMessage(MessageType.NAVIGATED_TO_DST, {url: session.lpUrl});
+      this.notifyContentScript_(session.tabId, msg);
+      session.navigatedToDst = true;
+      session.navigationStartMs = details.timeStamp;
+      session.concurrency.onNavigationStarted();
     }
 
     // Keep track of the URLs that are already requested so that we don't
     // send out a prefetch request for that URL again.
-    this.requestedURLs_.add(details.url);
+    session.requestedURLs.add(details.url);
   }
 
   /**
@@ -171,253 +308,1662 @@ class NumericPriorityScheduler {
    *
    * @param {!Object} details Details about the request. See:
    * https://developer.mozilla.org/en-US/Add-ons/WebExtensions/API/webRequest/onHeadersReceived#details
-   *
-   * @return {!Object} a object containing the request headers
    * @private
    */
   onHeadersReceived_(details) {
-    const /** @type {Message.Info} */ completeMsg = {
-      type: MessageType.INFO,
-      message: performance.now() + ' HeadersReceived: ' + details.url +
-          ' headers: ' + details.responseHeaders
-    };
-    this.notifyContentScript_(completeMsg);
+    if (details.tabId < 0) {
+      return;
+    }
+    let session = this.getSession_(details.tabId);
+    const prefetch = session.inFlight.get(details.requestId);
+    if (prefetch !== null) {
+      const contentLength =
+          this.getContentLength_(details.responseHeaders, -1);
+      session.inFlight.setContentLength(details.requestId, contentLength);
+      session.budget.onResponseStarted(
+          prefetch.hintedUrl, details.statusCode, contentLength);
+    }
+    const documentUrl = session.documentUrl;
+    if (!this.hintTrustPolicy_.isSourceTrusted(details, documentUrl)) {
+      return;
+    }
+    let hints = [];
+    let lpUrl = '';
+    let policyName = '';
+    let deadlineMs = NaN;
     details.responseHeaders.forEach((element) => {
-      if (element.name.toLowerCase() === 'x-prefetch') {
-        // Prefetch URLs are in the same format as Preload HTTP headers.
-        this.parsePrefetchURLs(this.dependencies_, element.value);
-      } else if (element.name.toLowerCase() === 'x-lp-url') {
-        this.lpUrl = element.value;
+      const name = element.name.toLowerCase();
+      if (name === 'x-prefetch') {
+        hints = hints.concat(
+            this.hintParser_.parseLegacyHeader(element.value, details.url));
+      } else if (name === 'link') {
+        hints = hints.concat(
+            this.hintParser_.parseLinkHeader(element.value, details.url));
+      } else if (name === 'x-lp-url') {
+        lpUrl = element.value;
+      } else if (name === 'x-prefetch-policy') {
+        policyName = element.value.trim().toLowerCase();
+      } else if (name === 'x-prefetch-deadline') {
+        deadlineMs = parseInt(element.value, 10);
       }
     });
-    return {requestHeaders: details.responseHeaders};
+    if (lpUrl !== '' &&
+        this.hintTrustPolicy_.isLandingPageAllowed(lpUrl, details.url)) {
+      if (session.lpUrl !== '') {
+        // A new experiment run started in the same tab. Nothing from the
+        // previous run may leak into this one.
+        const previous = session;
+        session = this.startSession_(details.tabId);
+        session.mainFrameRequestId = previous.mainFrameRequestId;
+        session.documentUrl = previous.documentUrl;
+        session.frames = previous.frames;
+      }
+      session.lpUrl = lpUrl;
+    }
+    if (policyName !== '') {
+      this.setPolicy_(session, policyName);
+    }
+    if (!isNaN(deadlineMs)) {
+      session.navigationDeadlineMs = details.timeStamp + deadlineMs;
+    }
+    const accepted = this.hintTrustPolicy_.filterHints(hints, details.url);
+    if (hints.length > 0) {
+      this.trace_.instant(
+          TraceEventName.HINT_RECEIVED, TraceCategory.SCHEDULER,
+          session.tabId, {
+            url: details.url,
+            frameId: details.frameId,
+            hints: hints.length,
+            accepted: accepted.length
+          },
+          details.timeStamp);
+    }
+    accepted.forEach((hint) => hint.frameId = details.frameId);
+    this.addPrefetchHints(session, accepted);
+  }
+
+  /**
+   * Applies a new configuration. Running sessions keep their snapshot of the
+   * previous one.
+   *
+   * @param {!SchedulerConfig} config the new configuration.
+   * @private
+   */
+  applyConfig_(config) {
+    const errors = this.configStore_.validate(config);
+    if (errors.length > 0) {
+      console.warn('ignoring invalid configuration: ' + errors.join('; '));
+      return;
+    }
+    console.log('applying configuration ' + JSON.stringify(config));
+    this.config_ = config;
+    this.hintParser_ = new HintParser(config.delimiter);
+    this.hintTrustPolicy_ = new HintTrustPolicy(config);
+    if (this.restored_) {
+      // The arms may have changed. The pending arm stays if it is still
+      // configured, so a change does not skip an arm of the rotation.
+      this.resumeArm_();
+    }
   }
 
   /**
-   * parsePrefetchURLs parses the hinted x-prefetch string and populate the
-   * dependencies with the appropriate URLs into the correct priority bucket.
+   * Draws the experiment arm of the next stub request and sets its headers.
+   *
+   * @private
    */
-  parsePrefetchURLs(dependencies, prefetchStr) {
-    const prefetchURLs = prefetchStr.split(DELIMETER);
-    prefetchURLs.forEach((element) => {
-      const prefetchInfo = element.split(';');
+  assignNextArm_() {
+    this.assigner_.draw(this.config_);
+    this.setArmHeaders_();
+  }
 
-      // Parse the URL.
-      const trimmedUrl = prefetchInfo[0].trim();
-      const url =
-          trimmedUrl.substring(1, trimmedUrl.length - 1);  // Remove < and >
+  /**
+   * Sets the headers of the pending experiment arm on the stub requests, or
+   * stops setting headers if there is no arm.
+   *
+   * @private
+   */
+  setArmHeaders_() {
+    const arm = this.assigner_.getPendingArm();
+    if (arm === null || this.config_.proxyOrigin === '') {
+      this.headerRules_.removeStubHeaders();
+      return;
+    }
+    console.log('the next stub page runs experiment arm ' + arm.name);
+    this.headerRules_.setStubHeaders(
+        this.config_.proxyOrigin,
+        this.assigner_.getRequestHeaders(arm, this.getArmConfig_(arm)),
+        () => {});
+  }
 
-      // Parse the priority.
-      const priority = parseInt(prefetchInfo[1].split('=')[1].trim(), 10);
-      const targetPriority = Math.min(priority, NUM_PRIORITIES - 1);
+  /**
+   * Returns the configuration the sessions of an experiment arm run with.
+   *
+   * @param {!ExperimentArm} arm the arm.
+   *
+   * @return {!SchedulerConfig} the preset of the arm, or the current
+   * configuration if the arm has no preset or it is missing or invalid.
+   * @private
+   */
+  getArmConfig_(arm) {
+    if (arm.preset === '') {
+      return this.config_;
+    }
+    const preset = this.presets_[arm.preset] === undefined ?
+        null :
+        Object.assign({}, DEFAULT_CONFIG, this.presets_[arm.preset]);
+    if (preset === null || this.configStore_.validate(preset).length > 0) {
+      console.warn(
+          'experiment arm ' + arm.name + ' runs with the configuration, ' +
+          'its preset ' + arm.preset + ' is missing or invalid');
+      return this.config_;
+    }
+    return preset;
+  }
 
-      // Parse the type.
-      const type = prefetchInfo[2].split('=')[1].trim();
-      const prefetchResource = new PrefetchResource(url, type);
-      dependencies[targetPriority].push(prefetchResource);
+  /**
+   * addPrefetchHints populates the dependencies of the session with the
+   * hinted resources into the correct priority bucket. Connection hints do not
+   * fetch anything, so they are forwarded to the content script right away.
+   * A URL that was hinted before is merged with its earlier hint, and hints
+   * above the tier being fetched preempt the rest of that tier.
+   *
+   * @param {!SchedulerSession} session the session the hints were received
+   * in.
+   * @param {!Array<!PrefetchResource>} resources the hinted resources.
+   */
+  addPrefetchHints(session, resources) {
+    const nowMs = Date.now();
+    let preempts = false;
+    resources.forEach((resource) => {
+      if (resource.rel === HintRel.PRECONNECT ||
+          resource.rel === HintRel.DNS_PREFETCH) {
+        this.connectToOrigin_(session, resource);
+        return;
+      }
+      this.resourceTypes_.resolve(resource);
+      resource.priority =
+          Math.min(resource.priority, session.config.numPriorities - 1);
+      const url = PrefetchResource.normalizeUrl(resource.url);
+      if (session.dispatchedUrls.has(url)) {
+        console.log('URL: ' + resource.url + ' was already dispatched');
+        return;
+      }
+      // The policy may already hold the URL, e.g. in a tier being drained.
+      const taken = session.queuedPrefetches.find(
+          (queued) =>
+              PrefetchResource.normalizeUrl(queued.resource.url) === url);
+      const raised = taken !== undefined ?
+          HintQueue.merge(taken.resource, resource) :
+          session.dependencies.add(resource, nowMs);
+      if (raised) {
+        this.trace_.instant(
+            TraceEventName.ENQUEUED, TraceCategory.SCHEDULER, session.tabId,
+            {url: resource.url, tier: resource.priority});
+      }
+      if (raised && resource.priority < session.curFetchPriority) {
+        preempts = true;
+      }
     });
+    if (preempts && session.queuedPrefetches.length > 0) {
+      console.log(
+          'hints above tier ' + session.curFetchPriority + ' preempt ' +
+          session.queuedPrefetches.length + ' queued prefetches');
+      session.dependencies.requeue(session.queuedPrefetches);
+      session.queuedPrefetches = [];
+    }
   }
 
   /**
-   * handleFetchCompleted implements the logic handling when all requests have
-   * been received at a priority level. This function fetches resources from
-   * the next priority tier.
+   * Asks the content script to warm up the connection to the origin of a
+   * preconnect or dns-prefetch hint.
+   *
+   * @param {!SchedulerSession} session the session the hint was received in.
+   * @param {!PrefetchResource} resource the connection hint.
+   * @private
    */
-  handleFetchCompleted(fetchedURL) {
-    const /** @type {Message.Info} */ calledMsg = {
-      'type': MessageType.INFO,
-      'message': performance.now() +
-          ' calling handleFetchCompleted() after fetch: ' + fetchedURL
-    };
-    this.notifyContentScript_(calledMsg);
-    // Start prefetching more when we don't have any outstanding fetches.
-    if (this.outstandingPrefetchUrls_.size >= OUTSTANDING_REQUESTS_ALLOWED) {
+  connectToOrigin_(session, resource) {
+    const origin = new URL(resource.url).origin;
+    if (session.dispatchedUrls.has(origin)) {
       return;
     }
+    session.dispatchedUrls.add(origin);
+    const /** @type {Message.Preconnect} */ msg =
+        createMessage(MessageType.PRECONNECT_ORIGIN, {
+          url: origin,
+          rel: resource.rel,
+          crossorigin: resource.crossorigin
+        });
+    this.notifyContentScript_(
+        session.tabId, msg, this.getCommandFrame_(session, resource));
+  }
 
-    // Find the first non-empty dependency in the priorities. Queue them up
-    // for fetching. Do this only when the queue for prefetching is empty.
-    let nextPriority = -1;
-    for (let i = 0; i < this.dependencies_.length; i++) {
-      if (this.dependencies_[i].length > 0) {
-        nextPriority = i;
-        break;
-      }
+  /**
+   * Warms up the origins of the hints in the tiers after the one being
+   * fetched, as configured by upcomingTierConnection. Each origin is
+   * connected to once per tab.
+   *
+   * @param {!SchedulerSession} session the session.
+   * @private
+   */
+  connectToUpcomingTiers_(session) {
+    const rel = session.config.upcomingTierConnection;
+    if (rel === 'none') {
+      return;
+    }
+    const dependencies = session.dependencies;
+    for (let i = session.curFetchPriority + 1; i < dependencies.getNumTiers();
+         i++) {
+      dependencies.peekTier(i).forEach((resource) => {
+        const connection = new PrefetchResource(resource.url, '');
+        connection.rel = rel;
+        connection.crossorigin = resource.crossorigin;
+        connection.frameId = resource.frameId;
+        this.connectToOrigin_(session, connection);
+      });
+    }
+  }
+
+  /**
+   * Returns the frame whose content script executes the command for a
+   * resource. See CommandFrame.
+   *
+   * @param {!SchedulerSession} session the session of the resource.
+   * @param {!PrefetchResource} resource the hinted resource.
+   *
+   * @return {number} the id of the frame.
+   * @private
+   */
+  getCommandFrame_(session, resource) {
+    if (session.config.commandFrame === CommandFrame.HINT_SOURCE &&
+        session.frames.has(resource.frameId)) {
+      return resource.frameId;
     }
+    return TOP_FRAME_ID;
+  }
 
-    if (this.outstandingPrefetchUrls_.size == 0 && nextPriority != -1 &&
-        this.queuedPrefetches_.length == 0) {
-      // Enqueue more URLs to prefetch when there isn't any outstanding
-      // prefetches, the prefetch queue is empty, and there are more
-      // URLs left to prefetch.
-      const dependencies = this.dependencies_[nextPriority];
-      while (dependencies.length > 0) {
-        const dependency =
-            dependencies.splice(0, 1)[0];  // Remove the first dependency.
-        this.queuedPrefetches_.push(dependency);
+  /**
+   * handleFetchCompleted implements the logic handling when a request has
+   * completed. This function fills the free slots with the resources the
+   * scheduling policy of the session picks.
+   *
+   * @param {!SchedulerSession} session the session to fetch for.
+   * @param {!string} fetchedURL the URL whose fetch triggered this call.
+   */
+  handleFetchCompleted(session, fetchedURL) {
+    const nowMs = Date.now();
+    session.dependencies.age(nowMs);
+    if (!session.paused) {
+      // Deferred retries go first, then let the policy of the session pick
+      // the dependencies to fetch as long as there are free slots.
+      const deferred = session.deferredPrefetches.splice(0);
+      deferred.forEach((dependency) => this.tryFetch_(session, dependency));
+      const busy = [];
+      while (session.concurrency.hasCapacity(session.inFlight.size())) {
+        const hint = session.policy.next(session, nowMs);
+        if (hint === null) {
+          break;
+        }
+        const dependency = hint.resource;
+        if (!session.concurrency.canFetch(
+                dependency.url, session.inFlight.getUrls())) {
+          // The origin of the dependency is busy, but other origins may
+          // still have free slots.
+          busy.push(hint);
+          continue;
+        }
+        this.fetchDependency(session, dependency, dependency.priority);
+      }
+      // The policy takes back the dependencies of busy origins, so merging,
+      // preemption and aging still apply to them until a slot frees.
+      if (busy.length > 0) {
+        session.policy.giveBack(session, busy);
       }
-      this.curFetchPriority_ = nextPriority;
     }
+    this.connectToUpcomingTiers_(session);
+    this.maybeReleaseNavigation_(session);
+    this.trace_.counter(TraceEventName.QUEUE_DEPTH, session.tabId, {
+      queued: session.dependencies.getTotalSize() +
+          session.queuedPrefetches.length,
+      deferred: session.deferredPrefetches.length,
+      inFlight: session.inFlight.size()
+    });
+  }
 
-    const /** @type {Message.Info} */ msg = {
-      'type': MessageType.INFO,
-      'message': performance.now() + ' len(outstanding_prefetches): ' +
-          this.outstandingPrefetchUrls_.size + ' len(queuedPrefetches): ' +
-          this.queuedPrefetches_.length + ' ' + String(this.queuedPrefetches_)
-    };
-    this.notifyContentScript_(msg);
+  /**
+   * Fetches a dependency, e.g. a retry, if the concurrency windows allow it
+   * and the session is not paused. Otherwise the dependency is deferred until
+   * the next request completes or the session resumes.
+   *
+   * @param {!SchedulerSession} session the session to fetch for.
+   * @param {!PrefetchResource} dependency the dependency to fetch.
+   * @private
+   */
+  tryFetch_(session, dependency) {
+    if (session.paused ||
+        !session.concurrency.canFetch(
+            dependency.url, session.inFlight.getUrls())) {
+      session.deferredPrefetches.push(dependency);
+      return;
+    }
+    this.fetchDependency(session, dependency, dependency.priority);
+  }
 
-    // Fetch the dependency from the queued ones only.
-    while (this.outstandingPrefetchUrls_.size < OUTSTANDING_REQUESTS_ALLOWED &&
-           this.queuedPrefetches_.length > 0) {
-      // Get the next dependency to fetch.
-      const dependency = this.queuedPrefetches_.splice(0, 1)[0];
-      this.fetchDependency(dependency, this.curFetchPriority_);
+  /**
+   * Replaces the scheduling policy of a session. Resources the previous
+   * policy had queued go back to the front of their priority bucket.
+   *
+   * @param {!SchedulerSession} session the session.
+   * @param {!string} policyName one of SchedulingPolicyName.
+   * @private
+   */
+  setPolicy_(session, policyName) {
+    const policy =
+        createSchedulingPolicy(policyName, this.onPrefetchDropped_.bind(this));
+    if (policy === null) {
+      console.warn('undefined scheduling policy: ' + policyName);
+      return;
     }
+    console.log('session ' + session.id + ' uses policy ' + policyName);
+    session.dependencies.requeue(session.queuedPrefetches);
+    session.queuedPrefetches = [];
+    session.policy = policy;
+    session.policyName = policyName;
+  }
+
+  /**
+   * Logs a resource that the scheduling policy decided not to fetch.
+   *
+   * @param {!SchedulerSession} session the session of the resource.
+   * @param {!PrefetchResource} resource the dropped resource.
+   * @param {!string} reason why the resource was dropped.
+   * @private
+   */
+  onPrefetchDropped_(session, resource, reason) {
+    console.log('dropping prefetch of ' + resource.url + ': ' + reason);
+    this.logTiming_(session, {
+      url: resource.url,
+      tier: resource.priority,
+      isPrefetch: 'dropped'
+    });
   }
 
   /**
-   * Implements fetching of a dependency using <link rel="prefetch">.
+   * Implements fetching of a dependency with the mechanism the strategy of
+   * the session picks for it.
    *
+   * @param {!SchedulerSession} session the session to fetch for.
    * @param {PrefetchResource} resource the resource to be prefetched.
    * @param {number} priority the number representing the priority of the
    * resource.
    */
-  fetchDependency(resource, priority) {
+  fetchDependency(session, resource, priority) {
     // If this url has already been requested, don't prefetch it again.
     const url = resource.url;
-    if (this.requestedURLs_.has(url)) {
+    if (session.requestedURLs.has(url)) {
       console.log(
           'URL: ' + url +
           ' has already been requested by the browser NOT PREFETCHING');
-      const /** @type {Message.Log} */ msg = {
-        type: MessageType.LOG_TIMING,
-        url: url,
-        requestId: '',
-        fetchTime: -1,
-        requestTimestampMs: -1,
-        completeTimestampMs: -1,
-        isPrefetch: 'late'
+      session.timeTracker.registerLatePrefetch(priority);
+      this.logTiming_(session, {url: url, tier: priority, isPrefetch: 'late'});
+      return;
+    }
+    const normalizedUrl = PrefetchResource.normalizeUrl(url);
+    if (session.dispatchedUrls.has(normalizedUrl)) {
+      // Hinted more than once, e.g. by several frames. A single frame fetches
+      // it for the whole tab.
+      console.log('URL: ' + url + ' was already dispatched NOT PREFETCHING');
+      return;
+    }
+    const nowMs = Date.now();
+    const skipReason = session.budget.getSkipReason(resource, nowMs);
+    if (skipReason !== null) {
+      console.log('URL: ' + url + ' NOT PREFETCHING: ' + skipReason);
+      session.budget.skip(resource, skipReason, nowMs);
+      this.logTiming_(
+          session, {url: url, tier: priority, isPrefetch: 'over_budget'});
+      return;
+    }
+    session.dispatchedUrls.add(normalizedUrl);
+
+    const choice =
+        session.strategy.choose(resource, priority, session.navigatedToDst);
+    const preloads = choice.mechanism === PrefetchMechanism.LINK_PRELOAD ||
+        choice.mechanism === PrefetchMechanism.MODULEPRELOAD;
+    const attempt = (session.prefetchAttempts.get(url) || 0) + 1;
+    session.prefetchAttempts.set(url, attempt);
+    const /** @type {Message.Prefetch} */ msg = createMessage(
+        preloads ? MessageType.PRELOAD_RESOURCE :
+                   MessageType.PREFETCH_RESOURCE,
+        {
+          url: resource.url,
+          resourceType: resource.type,
+          rel: choice.mechanism === PrefetchMechanism.MODULEPRELOAD ?
+              HintRel.MODULEPRELOAD :
+              resource.rel,
+          as: resource.as,
+          crossorigin: resource.crossorigin,
+          mimeType: resource.mimeType,
+          attempt: attempt,
+          mechanism: choice.mechanism,
+          fetchPriority: choice.fetchPriority,
+          cache: choice.cache
+        });
+    session.timeTracker.registerDispatch(url, priority);
+    const frameId = this.getCommandFrame_(session, resource);
+    this.trace_.instant(
+        TraceEventName.DISPATCHED, TraceCategory.SCHEDULER, session.tabId, {
+          url: url,
+          tier: priority,
+          mechanism: choice.mechanism,
+          frameId: frameId,
+          attempt: attempt
+        });
+    // The request must carry the header before the content script sends it.
+    this.headerRules_.set(
+        session.tabId, url,
+        getPrefetchRequestTypes(choice.mechanism, resource.as),
+        [PREFETCH_PURPOSE_HEADER],
+        () => this.notifyContentScript_(
+            session.tabId, msg, frameId,
+            (error) => this.onPrefetchUndelivered_(session, url, error)));
+    session.inFlight.add(resource, priority, choice.mechanism, nowMs);
+    session.budget.onDispatched(resource, nowMs);
+  }
+
+  /**
+   * Frees the slot of a prefetch whose command no content script received,
+   * e.g. because the frame navigated away, and retries it later. If it is out
+   * of retries or too late by then, it is added to the failures of the
+   * session.
+   *
+   * @param {!SchedulerSession} session the session of the prefetch.
+   * @param {!string} url the URL of the prefetch.
+   * @param {!string} error why the command was not delivered.
+   * @private
+   */
+  onPrefetchUndelivered_(session, url, error) {
+    if (this.sessions_.get(session.tabId) !== session) {
+      return;
+    }
+    const prefetch = session.inFlight.releaseUrl(url, true);
+    if (prefetch === null) {
+      return;
+    }
+    console.warn(
+        'no content script received the prefetch of ' + url + ': ' + error);
+    this.markDirty_(session.tabId);
+    this.headerRules_.remove(session.tabId, url);
+    session.budget.release(prefetch.hintedUrl);
+    session.dispatchedUrls.delete(PrefetchResource.normalizeUrl(url));
+    const attempts = session.prefetchAttempts.get(url) || 1;
+    const delayMs = this.failureClassifier_.getRetryDelayMs(attempts);
+    if (delayMs >= 0 &&
+        this.isStillUseful_(session, prefetch.tier, Date.now() + delayMs)) {
+      const /** @type {!PendingRetry} */ retry = {
+        resource: prefetch.resource,
+        tier: prefetch.tier,
+        dueMs: Date.now() + delayMs
       };
-      this.notifyContentScript_(msg);
+      session.pendingRetries.push(retry);
+      this.scheduleRetry_(session, retry, Date.now());
+    } else {
+      session.failures.push({
+        url: url,
+        tier: prefetch.tier,
+        error: error,
+        category: FailureCategory.UNDELIVERED,
+        attempts: attempts,
+        timestampMs: Date.now()
+      });
+      this.logTiming_(session, {
+        url: url,
+        tier: prefetch.tier,
+        isPrefetch: 'dropped',
+        error: error,
+        mechanism: prefetch.mechanism
+      });
+    }
+    this.handleFetchCompleted(session, url);
+  }
+
+  /**
+   * Frees the slot of a prefetch that did not complete in time and fills it
+   * with the next resource.
+   *
+   * @param {!SchedulerSession} session the session of the prefetch.
+   * @param {!InFlightPrefetch} prefetch the prefetch that timed out.
+   * @private
+   */
+  onPrefetchTimedOut_(session, prefetch) {
+    console.warn(
+        'prefetch of ' + prefetch.currentUrl + ' did not complete in ' +
+        IN_FLIGHT_TIMEOUT_MS + 'ms, freeing its slot');
+    this.markDirty_(session.tabId);
+    this.headerRules_.remove(session.tabId, prefetch.resource.url);
+    session.budget.release(prefetch.hintedUrl);
+    this.logTiming_(session, {
+      url: prefetch.currentUrl,
+      requestId: prefetch.requestId,
+      tier: prefetch.tier,
+      requestTimestampMs: prefetch.dispatchTimeMs,
+      isPrefetch: 'timed_out',
+      mechanism: prefetch.mechanism
+    });
+    this.handleFetchCompleted(session, prefetch.currentUrl);
+  }
+
+  /**
+   * Holds the navigation of the stub page of a session until the hints up to
+   * the gate tier finished or the deadline passed.
+   *
+   * @param {!SchedulerSession} session the session of the stub page.
+   * @param {!string} url the landing page the stub page navigates to.
+   * @private
+   */
+  holdNavigation_(session, url) {
+    console.log(
+        'holding the navigation of tab ' + session.tabId + ' to ' + url +
+        ' until tier ' + session.navigationGate.getTier() + ' finished');
+    session.navigationGate.hold(
+        url, Date.now(),
+        () => this.releaseNavigation_(session, NavigationRelease.DEADLINE));
+    this.maybeReleaseNavigation_(session);
+  }
+
+  /**
+   * Releases the held navigation of a session if no hint up to the gate tier
+   * is waiting or in flight anymore. Hints that aged into the gate tiers
+   * count as well.
+   *
+   * @param {!SchedulerSession} session the session.
+   * @private
+   */
+  maybeReleaseNavigation_(session) {
+    const gate = session.navigationGate;
+    if (!gate.isHolding()) {
+      return;
+    }
+    if (gate.getTier() < 0) {
+      this.releaseNavigation_(session, NavigationRelease.DISABLED);
       return;
     }
+    const tiers = [
+      session.dependencies.getFirstNonEmptyTier(),
+      session.inFlight.getFirstTier()
+    ];
+    session.deferredPrefetches.forEach(
+        (resource) => tiers.push(resource.priority));
+    session.queuedPrefetches.forEach(
+        (hint) => tiers.push(hint.resource.priority));
+    const pending = tiers.filter((tier) => tier >= 0);
+    if (pending.length === 0 || Math.min(...pending) > gate.getTier()) {
+      this.releaseNavigation_(session, NavigationRelease.TIERS_DONE);
+    }
+  }
 
-    // Notify content script prefetch url.
-    let msgType = this.navigatedToDst_ ? MessageType.PRELOAD_RESOURCE :
-                                         MessageType.PREFETCH_RESOURCE;
+  /**
+   * Tells the content script of the top-level frame to carry out the
+   * navigation it held, and logs how long it was held.
+   *
+   * @param {!SchedulerSession} session the session.
+   * @param {!string} reason one of NavigationRelease.
+   * @private
+   */
+  releaseNavigation_(session, reason) {
+    const hold = session.navigationGate.release(reason, Date.now());
+    if (hold === null) {
+      return;
+    }
+    this.markDirty_(session.tabId);
+    console.log(
+        'releasing the navigation of tab ' + session.tabId + ' after ' +
+        hold.holdMs + 'ms: ' + reason);
+    const /** @type {Message.ReleaseNavigation} */ msg = createMessage(
+        MessageType.RELEASE_NAVIGATION, {url: hold.url, reason: reason});
+    this.notifyContentScript_(session.tabId, msg);
+    this.logTiming_(session, {
+      url: hold.url,
+      tier: hold.tier,
+      fetchTime: hold.holdMs,
+      requestTimestampMs: hold.startMs,
+      completeTimestampMs: hold.endMs,
+      isPrefetch: 'navigation_hold'
+    });
+  }
 
-    // Not part of the main frame, fetch it with <link rel="prefetch">
-    if (priority > MAX_MAIN_FRAME_PRIORITY) {
-      msgType = MessageType.PREFETCH_RESOURCE;
+  /**
+   * Records a redirect hop of a prefetch. The slot of the prefetch now counts
+   * towards the origin it was redirected to.
+   *
+   * @param {!Object} details Details about the redirect. See:
+   * https://developer.chrome.com/extensions/webRequest#event-onBeforeRedirect
+   * @private
+   */
+  onBeforeRedirect_(details) {
+    if (details.tabId < 0) {
+      return;
     }
-    const /** @type {Message.Prefetch} */ msg = {
-      type: msgType,
-      url: resource.url,
-      resourceType: resource.type
-    };
-    this.notifyContentScript_(msg);
-    this.outstandingPrefetchUrls_.add(url);
+    const session = this.getSession_(details.tabId);
+    const hop = session.inFlight.redirect(
+        details.requestId, details.redirectUrl, details.timeStamp);
+    if (hop === null) {
+      return;
+    }
+    console.log(
+        'prefetch redirected from ' + details.url + ' to ' +
+        details.redirectUrl);
+    this.logTiming_(session, {
+      url: details.url,
+      requestId: details.requestId,
+      tier: hop.tier,
+      fetchTime: details.timeStamp - hop.hopStartMs,
+      requestTimestampMs: hop.hopStartMs,
+      completeTimestampMs: details.timeStamp,
+      isPrefetch: 'redirect',
+      statusCode: details.statusCode || 0,
+      fromCache: !!details.fromCache,
+      redirectUrl: details.redirectUrl,
+      mechanism: hop.mechanism
+    });
   }
 
   /**
-   * Implements the logic to handle messages from the content script.
+   * Implements the logic to handle messages from the content script. Every
+   * message is validated and answered, with an ACK unless the message has a
+   * response of its own.
    *
+   * @param {*} msg the received message.
+   * @param {!Object} sender the sender of the message.
+   * @param {function(*)} sendResponse the callback for the response.
    * @private
    */
   onContentMessage_(msg, sender, sendResponse) {
+    const errors = validateMessage(msg);
+    if (errors.length > 0) {
+      console.warn(
+          'rejecting message ' + JSON.stringify(msg) + ': ' +
+          errors.join('; '));
+      sendResponse(createAck(errors));
+      return;
+    }
+    if (msg.type === MessageType.EXPORT_RESULTS) {
+      // The records cover every tab, so only the extension itself may read
+      // or clear them.
+      if (!this.isExtensionPage_(sender)) {
+        console.warn('refusing to export the results to ' + sender.url);
+        sendResponse(createMessage(
+            MessageType.EXPORT_RESULTS_RESPONSE,
+            {error: 'not sent from an extension page'}));
+        return;
+      }
+      this.handleExportResults_(msg, sendResponse);
+      return;
+    }
+    if (msg.type === MessageType.SESSION_CONTROL) {
+      if (!this.isExtensionPage_(sender)) {
+        console.warn('refusing session control from ' + sender.url);
+        sendResponse(createAck(['not sent from an extension page']));
+        return;
+      }
+      this.handleSessionControl_(msg.tabId, msg);
+      sendResponse(createAck([]));
+      return;
+    }
+    if (!sender.tab) {
+      console.warn('received a message from outside a tab: ' + msg.type);
+      sendResponse(createAck(['not sent from a tab']));
+      return;
+    }
+    const session = this.getSession_(sender.tab.id);
     switch (msg.type) {
-      case MessageType.CONTENT_SCRIPT_INIT:
-        if (!this.initializedContentScript_) {
-          this.handleFetchCompleted('INIT');
-          this.initializedContentScript_ = true;
+      case MessageType.CONTENT_SCRIPT_INIT: {
+        const extensionVersion = chrome.runtime.getManifest().version;
+        if (msg.extensionVersion !== extensionVersion) {
+          // The extension was updated or reloaded while the page was open.
+          const error = 'content script of version ' + msg.extensionVersion +
+              ' does not match the scheduler of version ' + extensionVersion;
+          console.warn(error);
+          sendResponse(createAck([error]));
+          return;
+        }
+        console.log(
+            'frame ' + sender.frameId + ' of tab ' + sender.tab.id +
+            ' registered: ' + sender.url);
+        session.frames.set(sender.frameId, sender.url || '');
+        if (sender.frameId === TOP_FRAME_ID &&
+            !session.initializedContentScript) {
+          this.handleFetchCompleted(session, 'INIT');
+          session.initializedContentScript = true;
         }
         break;
+      }
       case MessageType.COMPLETED:
+      case MessageType.FAILED:
+        this.handleLinkOutcome_(session, msg, sender.url || '');
+        break;
+      case MessageType.NETWORK_INFO:
+        console.log(
+            'network of tab ' + sender.tab.id + ': ' + JSON.stringify(msg));
+        session.budget.setNetwork({
+          saveData: msg.saveData,
+          effectiveType: msg.effectiveType,
+          downlinkMbps: msg.downlinkMbps
+        });
+        break;
+      case MessageType.NAVIGATION_HELD:
+        if (sender.frameId !== TOP_FRAME_ID) {
+          sendResponse(createAck(['only the top-level frame navigates']));
+          return;
+        }
+        this.holdNavigation_(session, msg.url);
+        break;
+      case MessageType.TRACE_EVENT:
+        if (!Object.values(TraceEventName).includes(msg.name)) {
+          sendResponse(createAck(['unknown trace event ' + msg.name]));
+          return;
+        }
+        this.trace_.instant(
+            msg.name, TraceCategory.CONTENT, sender.tab.id,
+            Object.assign({frameId: sender.frameId}, msg.args),
+            msg.timestampMs);
         break;
       default:
-        console.warn('received an undefined message of type ' + msg.type);
+        console.warn('received an unexpected message of type ' + msg.type);
+        sendResponse(createAck(['unexpected message type ' + msg.type]));
+        return;
     }
+    sendResponse(createAck([]));
   }
 
   onErrorOccurred_(details) {
-    const /** @type {Message.Info} */ completeMsg = {
-      type: MessageType.INFO,
-      message: performance.now() + 'Error: ' + details.url
-    };
-    this.notifyContentScript_(completeMsg);
-    this.onFetchCompleted_(details);
+    if (details.tabId < 0) {
+      return;
+    }
+    const session = this.getSession_(details.tabId);
+    this.onFetchCompleted_(session, details);
   }
 
   onFetchSucceed_(details) {
-    const /** @type {Message.Info} */ completeMsg = {
-      type: MessageType.INFO,
-      message: performance.now() + ' Completed: ' + details.url +
-          ' len(outstanding): ' + this.outstandingPrefetchUrls_.size +
-          ' outstanding: ' + String(Array.from(this.outstandingPrefetchUrls_)) +
-          ' details: ' + JSON.stringify(details)
-    };
-    this.notifyContentScript_(completeMsg);
-    this.onFetchCompleted_(details);
+    if (details.tabId < 0) {
+      return;
+    }
+    const session = this.getSession_(details.tabId);
+    this.onFetchCompleted_(session, details);
   }
 
   /**
    * Implements the logic when a fetch of a resource has been completed
    * regardless of whether it succeeded or not.
    *
+   * @param {!SchedulerSession} session the session of the tab that made the
+   * request.
+   * @param {!Object} details Details about the request.
    * @private
    */
-  onFetchCompleted_(details) {
-    this.outstandingPrefetchUrls_.delete(details.url);
-    this.handleFetchCompleted(details.url);
-    const /** @type {Message.Debug} */ debugMsg = {
-      type: MessageType.DEBUG,
-      data: JSON.stringify(this.timeTracker)
-
-    };
-    this.notifyContentScript_(debugMsg);
-    console.log(details);
+  onFetchCompleted_(session, details) {
+    const fetchTime = session.timeTracker.completeRequest(
+        details.requestId, details.timeStamp, details.fromCache,
+        this.getContentLength_(details.responseHeaders));
+    const failed = !!details.error || details.statusCode >= 400;
+    this.flagDisagreement_(
+        session,
+        session.completions.onWebRequestOutcome(
+            details.requestId,
+            failed ? PrefetchOutcome.FAILED : PrefetchOutcome.COMPLETED));
+    const prefetch = session.inFlight.release(details.requestId);
+    if (prefetch !== null) {
+      session.budget.release(prefetch.hintedUrl);
+    }
+    if (prefetch !== null && details.error) {
+      this.handlePrefetchFailure_(session, prefetch, details);
+    } else if (prefetch !== null) {
+      session.concurrency.onPrefetchCompleted(
+          prefetch.currentUrl, fetchTime,
+          this.getContentLength_(details.responseHeaders), !!details.fromCache,
+          details.timeStamp, details.statusLine);
+    }
+    this.handleFetchCompleted(session, details.url);
     console.log(
-        'fetch completed for ' + details.url +
-        ' requestId: ' + details.requestId);
-    console.log(this.timeTracker);
-    const fetchTime =
-        this.timeTracker.completeRequest(details.requestId, details.timeStamp);
-    console.log('fetchTime: ' + fetchTime);
-    const /** @type {Message.Log} */ logMsg = {
-      type: MessageType.LOG_TIMING,
+        'fetch completed for ' + details.url + ' requestId: ' +
+        details.requestId + ' fetchTime: ' + fetchTime);
+    this.logTiming_(session, {
       url: details.url,
       requestId: details.requestId,
+      tier: session.timeTracker.getPrefetchTier(details.requestId),
       fetchTime: fetchTime,
-      requestTimestampMs: this.timeTracker.getRequestTime(details.requestId),
-      completeTimestampMs: this.timeTracker.getCompleteTime(details.requestId),
-      isPrefetch: this.timeTracker.isPrefetchRequest(details.requestId)
+      requestTimestampMs:
+          session.timeTracker.getRequestTime(details.requestId),
+      completeTimestampMs:
+          session.timeTracker.getCompleteTime(details.requestId),
+      isPrefetch: session.timeTracker.isPrefetchRequest(details.requestId),
+      statusCode: details.statusCode || 0,
+      fromCache: !!details.fromCache,
+      bytes: this.getContentLength_(details.responseHeaders),
+      error: details.error || '',
+      mechanism: prefetch !== null ? prefetch.mechanism : ''
+    });
+  }
+
+  /**
+   * Handles the load or error event of a <link> injected by the content
+   * script. A loaded link frees the slot of its prefetch if webRequest has
+   * not reported the request yet. A failed link only does so if its request
+   * never reached webRequest, since webRequest handles the failures of the
+   * requests it saw.
+   *
+   * @param {!SchedulerSession} session the session of the tab.
+   * @param {!Message.LinkOutcome} msg the COMPLETED or FAILED message.
+   * @param {!string} frameUrl the URL of the document of the frame that
+   * sent the message, '' if unknown.
+   * @private
+   */
+  handleLinkOutcome_(session, msg, frameUrl) {
+    const outcome = msg.type === MessageType.COMPLETED ?
+        PrefetchOutcome.COMPLETED :
+        PrefetchOutcome.FAILED;
+    console.log('link of ' + msg.url + ' ' + outcome + ' at ' + msg.timestamp);
+    this.flagDisagreement_(
+        session,
+        session.completions.onLinkOutcome(msg.url, outcome, msg.timing));
+    const prefetch = session.inFlight.releaseUrl(
+        msg.url, outcome === PrefetchOutcome.FAILED);
+    if (prefetch === null) {
+      return;
+    }
+    this.headerRules_.remove(session.tabId, prefetch.resource.url);
+    session.budget.release(prefetch.hintedUrl);
+    if (outcome === PrefetchOutcome.COMPLETED) {
+      const timing = msg.timing;
+      // A response from the cache transferred nothing. A cross-origin
+      // response without Timing-Allow-Origin reports no sizes and no
+      // responseStart at all though, so it is taken as fetched with the size
+      // webRequest saw.
+      const sameOrigin = frameUrl !== '' &&
+          new URL(frameUrl).origin === new URL(prefetch.currentUrl).origin;
+      const detailed =
+          timing !== null && (timing.responseStart > 0 || sameOrigin);
+      session.concurrency.onPrefetchCompleted(
+          prefetch.currentUrl, timing ? timing.duration : -1,
+          detailed ? timing.encodedBodySize :
+                     Math.max(0, prefetch.contentLength),
+          detailed && timing.transferSize === 0, Date.now(), undefined);
+    }
+    this.handleFetchCompleted(session, msg.url);
+  }
+
+  /**
+   * Logs a disagreement between the webRequest and the <link> signal of a
+   * prefetch.
+   *
+   * @param {!SchedulerSession} session the session of the prefetch.
+   * @param {?OutcomeDisagreement} disagreement the disagreement, if any.
+   * @private
+   */
+  flagDisagreement_(session, disagreement) {
+    if (disagreement === null) {
+      return;
+    }
+    console.warn(
+        'prefetch of ' + disagreement.url + ' ' +
+        disagreement.webRequestOutcome + ' according to webRequest but ' +
+        disagreement.linkOutcome + ' according to its link');
+  }
+
+  /**
+   * Retries a failed prefetch if its error is transient and it can still
+   * complete before it is needed. Otherwise the prefetch is added to the
+   * failures of the session. Prefetches aborted by the browser, e.g. because
+   * the tab navigated, are neither retried nor failures.
+   *
+   * @param {!SchedulerSession} session the session of the prefetch.
+   * @param {!InFlightPrefetch} prefetch the failed prefetch.
+   * @param {!Object} details Details about the failed request.
+   * @private
+   */
+  handlePrefetchFailure_(session, prefetch, details) {
+    const failureClass = this.failureClassifier_.classify(details.error);
+    const url = prefetch.resource.url;
+    const attempts = session.prefetchAttempts.get(url) || 1;
+    console.log(
+        'prefetch of ' + url + ' failed with ' + details.error + ' (' +
+        failureClass.category + ') after ' + attempts + ' attempt(s)');
+    if (failureClass.category === FailureCategory.ABORTED) {
+      return;
+    }
+    const delayMs = this.failureClassifier_.getRetryDelayMs(attempts);
+    if (failureClass.transient && delayMs >= 0 &&
+        this.isStillUseful_(session, prefetch.tier, Date.now() + delayMs)) {
+      console.log('retrying prefetch of ' + url + ' in ' + delayMs + 'ms');
+      // The failed request must not make the retry look late.
+      session.requestedURLs.delete(url);
+      session.requestedURLs.delete(details.url);
+      session.dispatchedUrls.delete(PrefetchResource.normalizeUrl(url));
+      const /** @type {!PendingRetry} */ retry = {
+        resource: prefetch.resource,
+        tier: prefetch.tier,
+        dueMs: Date.now() + delayMs
+      };
+      session.pendingRetries.push(retry);
+      this.scheduleRetry_(session, retry, Date.now());
+      return;
+    }
+    session.failures.push({
+      url: url,
+      tier: prefetch.tier,
+      error: details.error,
+      category: failureClass.category,
+      attempts: attempts,
+      timestampMs: details.timeStamp
+    });
+  }
+
+  /**
+   * Starts the timer of a pending retry.
+   *
+   * @param {!SchedulerSession} session the session of the prefetch.
+   * @param {!PendingRetry} retry the retry.
+   * @param {number} nowMs the current time in milliseconds since epoch.
+   * @private
+   */
+  scheduleRetry_(session, retry, nowMs) {
+    setTimeout(
+        () => this.retryPrefetch_(session, retry),
+        Math.max(0, retry.dueMs - nowMs));
+  }
+
+  /**
+   * Requests a failed prefetch again, unless its session ended or the browser
+   * requested the URL in the meantime.
+   *
+   * @param {!SchedulerSession} session the session of the prefetch.
+   * @param {!PendingRetry} retry the retry that is due.
+   * @private
+   */
+  retryPrefetch_(session, retry) {
+    if (this.sessions_.get(session.tabId) !== session) {
+      return;
+    }
+    this.markDirty_(session.tabId);
+    session.pendingRetries.splice(session.pendingRetries.indexOf(retry), 1);
+    const resource = retry.resource;
+    if (!session.requestedURLs.has(resource.url)) {
+      session.timeTracker.registerRetry(resource.url);
+    }
+    resource.priority = retry.tier;
+    this.tryFetch_(session, resource);
+  }
+
+  /**
+   * Returns whether a prefetch that completes at the given time is still
+   * worth fetching. Before the navigation to the landing page it has to
+   * complete by the navigation deadline of the session. Afterwards only the
+   * main frame tiers are, since those are preloaded for the page itself.
+   *
+   * @param {!SchedulerSession} session the session of the prefetch.
+   * @param {number} tier the priority tier of the prefetch.
+   * @param {number} startMs when the prefetch would be requested.
+   *
+   * @return {boolean} whether the prefetch is still useful.
+   * @private
+   */
+  isStillUseful_(session, tier, startMs) {
+    if (session.navigatedToDst) {
+      return tier <= session.config.maxMainFramePriority;
+    }
+    return startMs < session.navigationDeadlineMs;
+  }
+
+  /**
+   * Sends a timing log message to the content script and keeps it as a
+   * structured record in the result log.
+   *
+   * @param {!SchedulerSession} session the session the request belongs to.
+   * @param {!Object} fields the fields of the Message.Log to set. The other
+   * fields get their "unknown" value.
+   * @private
+   */
+  logTiming_(session, fields) {
+    const defaults = {
+      sessionId: session.id,
+      tabId: session.tabId,
+      lpUrl: session.lpUrl,
+      url: '',
+      requestId: '',
+      tier: -1,
+      fetchTime: -1,
+      requestTimestampMs: -1,
+      completeTimestampMs: -1,
+      isPrefetch: PrefetchStatus.UNKNOWN,
+      statusCode: 0,
+      fromCache: false,
+      bytes: 0,
+      windowSize: session.concurrency.getGlobalWindow(),
+      error: '',
+      redirectUrl: '',
+      mechanism: '',
+      arm: session.arm
     };
+    const /** @type {Message.Log} */ logMsg = createMessage(
+        MessageType.LOG_TIMING, Object.assign(defaults, fields));
     console.log('sending log message: ' + JSON.stringify(logMsg));
-    this.notifyContentScript_(logMsg);
+    this.notifyContentScript_(session.tabId, logMsg);
+    this.resultLog_.addRequest(logMsg);
+    this.resultsDirty_ = true;
+    this.scheduleFlush_();
+  }
+
+  /**
+   * Handles a request of the experiment harness to start, end or reset the
+   * session of a tab.
+   *
+   * @param {number} tabId the id of the tab.
+   * @param {!Message.SessionControl} msg the control message.
+   * @private
+   */
+  handleSessionControl_(tabId, msg) {
+    console.log('session control for tab ' + tabId + ': ' + msg.action);
+    const previous = this.sessions_.get(tabId);
+    switch (msg.action) {
+      case SessionAction.START:
+        this.startSession_(tabId);
+        break;
+      case SessionAction.END:
+        this.endSession_(tabId);
+        break;
+      case SessionAction.RESET:
+        this.resetSession_(tabId);
+        break;
+      default:
+        console.warn('undefined session action: ' + msg.action);
+        return;
+    }
+    if (previous !== undefined) {
+      const /** @type {Message.SessionSummary} */ summaryMsg =
+          createMessage(MessageType.SESSION_SUMMARY, {
+            sessionId: previous.id,
+            tiers: previous.timeTracker.getTierSummaries()
+          });
+      this.notifyContentScript_(tabId, summaryMsg);
+    }
+    const /** @type {Message.SessionReset} */ resetMsg =
+        createMessage(MessageType.SESSION_RESET, {});
+    // Every frame forgets the prefetches of the previous session.
+    this.notifyContentScript_(tabId, resetMsg, ALL_FRAMES);
+  }
+
+  /**
+   * Exports the result log or the trace. The exported data is sent back in
+   * the response and, if asked for, saved as a file through chrome.downloads.
+   *
+   * @param {!Message.ExportResults} msg the export request.
+   * @param {function(*)} sendResponse the callback for the response.
+   * @private
+   */
+  handleExportResults_(msg, sendResponse) {
+    const format = msg.format || ExportFormat.JSON_LINES;
+    const data = format === ExportFormat.TRACE ?
+        JSON.stringify(this.trace_.export()) :
+        this.resultLog_.export(format);
+    if (data === null) {
+      console.warn('undefined export format: ' + format);
+      sendResponse(createMessage(
+          MessageType.EXPORT_RESULTS_RESPONSE, {error: 'bad format'}));
+      return;
+    }
+    if (msg.download) {
+      chrome.downloads.download({
+        url: 'data:application/json;charset=utf-8,' + encodeURIComponent(data),
+        // chrome://tracing and Perfetto open traces saved as JSON.
+        filename: 'prefetch-results-' + Date.now() + '.' +
+            (format === ExportFormat.TRACE ? 'json' : format),
+        saveAs: false
+      });
+    }
+    if (msg.clear) {
+      this.resultLog_.clear();
+      this.trace_.clear();
+      this.resultsDirty_ = true;
+      this.scheduleFlush_();
+    }
+    const /** @type {Message.ExportResultsResponse} */ response =
+        createMessage(
+            MessageType.EXPORT_RESULTS_RESPONSE, {format: format, data: data});
+    sendResponse(response);
+  }
+
+  /**
+   * Returns whether a message or port comes from a page of the extension,
+   * e.g. the DevTools panel or the options page, rather than from a content
+   * script running in a page.
+   *
+   * @param {!Object} sender the sender, see chrome.runtime.MessageSender.
+   *
+   * @return {boolean} whether the sender is an extension page.
+   * @private
+   */
+  isExtensionPage_(sender) {
+    return !sender.tab && sender.id === chrome.runtime.id;
+  }
+
+  /**
+   * Accepts the port of a DevTools panel. Ports of content scripts are
+   * refused, since pages must not control the scheduler.
+   *
+   * @param {!Port} port the port that connected.
+   * @private
+   */
+  onPanelConnect_(port) {
+    if (port.name !== PANEL_PORT_NAME) {
+      return;
+    }
+    if (!port.sender || !this.isExtensionPage_(port.sender)) {
+      console.warn(
+          'refusing a panel port from ' +
+          (port.sender && port.sender.tab ? 'tab ' + port.sender.tab.id :
+                                            'outside the extension'));
+      port.disconnect();
+      return;
+    }
+    port.onMessage.addListener(
+        this.whenRestored_((msg) => this.onPanelMessage_(port, msg)));
+    port.onDisconnect.addListener(() => this.panels_.remove(port));
+  }
+
+  /**
+   * Handles a message of a DevTools panel. A subscription is answered with
+   * the current state of the tab, a command with an ACK.
+   *
+   * @param {!Port} port the port of the panel.
+   * @param {*} msg the received message.
+   * @private
+   */
+  onPanelMessage_(port, msg) {
+    const errors = validateMessage(msg);
+    if (errors.length > 0) {
+      console.warn(
+          'rejecting panel message ' + JSON.stringify(msg) + ': ' +
+          errors.join('; '));
+      port.postMessage(createAck(errors));
+      return;
+    }
+    switch (msg.type) {
+      case MessageType.PANEL_SUBSCRIBE:
+        this.panels_.subscribe(port, msg.tabId);
+        this.panels_.publish(msg.tabId, this.getPanelState_(msg.tabId));
+        break;
+      case MessageType.PANEL_COMMAND:
+        port.postMessage(createAck(this.handlePanelCommand_(msg)));
+        break;
+      default:
+        port.postMessage(
+            createAck(['unexpected message type ' + msg.type]));
+    }
+  }
+
+  /**
+   * Carries out a command of a DevTools panel.
+   *
+   * @param {!Message.PanelCommand} msg the command.
+   *
+   * @return {!Array<!string>} why the command was rejected, empty if it was
+   * carried out.
+   * @private
+   */
+  handlePanelCommand_(msg) {
+    console.log('panel command for tab ' + msg.tabId + ': ' + msg.command);
+    if (msg.command === PanelCommand.RERUN) {
+      // The reload starts a fresh session once its main frame request is
+      // sent, even when the tab already shows the landing page.
+      this.endSession_(msg.tabId);
+      chrome.tabs.reload(msg.tabId, {bypassCache: true});
+      return [];
+    }
+    const session = this.sessions_.get(msg.tabId);
+    if (session === undefined) {
+      return ['tab ' + msg.tabId + ' has no session'];
+    }
+    switch (msg.command) {
+      case PanelCommand.PAUSE:
+        session.paused = true;
+        break;
+      case PanelCommand.RESUME:
+        session.paused = false;
+        this.handleFetchCompleted(session, 'RESUME');
+        break;
+      case PanelCommand.FLUSH:
+        this.flushPrefetches_(session);
+        break;
+      default:
+        return ['unknown panel command ' + msg.command];
+    }
+    this.markDirty_(msg.tabId);
+    return [];
+  }
+
+  /**
+   * Dispatches every prefetch waiting in a session at once, in priority
+   * order. This bypasses the scheduling policy, the concurrency windows and
+   * a pause, but not the budget.
+   *
+   * @param {!SchedulerSession} session the session.
+   * @private
+   */
+  flushPrefetches_(session) {
+    const taken = session.queuedPrefetches.splice(0);
+    for (let tier = 0; tier < session.dependencies.getNumTiers(); tier++) {
+      taken.push(...session.dependencies.takeTier(tier));
+    }
+    const resources = session.deferredPrefetches.splice(0).concat(
+        taken.map((hint) => hint.resource));
+    resources.forEach(
+        (resource) =>
+            this.fetchDependency(session, resource, resource.priority));
+    this.maybeReleaseNavigation_(session);
+  }
+
+  /**
+   * Returns the state of the session of a tab for the DevTools panel.
+   *
+   * @param {number} tabId the id of the tab.
+   *
+   * @return {?PanelState} the state, null if the tab has no session.
+   * @private
+   */
+  getPanelState_(tabId) {
+    const session = this.sessions_.get(tabId);
+    if (session === undefined) {
+      return null;
+    }
+    const toEntry = (resource) => {
+      return {url: resource.url, tier: resource.priority};
+    };
+    const tiers = [];
+    for (let tier = 0; tier < session.dependencies.getNumTiers(); tier++) {
+      if (session.dependencies.getSize(tier) > 0) {
+        tiers.push({
+          tier: tier,
+          resources: session.dependencies.peekTier(tier).map(toEntry)
+        });
+      }
+    }
+    return {
+      sessionId: session.id,
+      lpUrl: session.lpUrl,
+      documentUrl: session.documentUrl,
+      policyName: session.policyName,
+      arm: session.arm,
+      paused: session.paused,
+      startTimeMs: session.startTimeMs,
+      curFetchPriority: session.curFetchPriority,
+      windowSize: session.concurrency.getGlobalWindow(),
+      tiers: tiers,
+      queued: session.queuedPrefetches.map((hint) => toEntry(hint.resource)),
+      deferred: session.deferredPrefetches.map(toEntry),
+      inFlight: session.inFlight.getPrefetches().map((prefetch) => ({
+        url: prefetch.currentUrl,
+        tier: prefetch.tier,
+        mechanism: prefetch.mechanism,
+        dispatchTimeMs: prefetch.dispatchTimeMs
+      })),
+      navigation: {
+        navigatedToDst: session.navigatedToDst,
+        navigationStartMs: session.navigationStartMs,
+        navigationDeadlineMs: session.navigationDeadlineMs,
+        holding: session.navigationGate.isHolding(),
+        hold: session.navigationGate.getSummary()
+      },
+      budget: session.budget.getSummary(),
+      requests: this.resultLog_.getRequests(session.id)
+    };
+  }
+
+  /**
+   * Returns the Content-Length of a response.
+   *
+   * @param {Array<!Object>|undefined} responseHeaders the headers of the
+   * response.
+   * @param {number=} unknownLength the value to return if the response has
+   * no valid Content-Length. 0 if undefined.
+   *
+   * @return {number} the Content-Length, or unknownLength if it is unknown.
+   * @private
+   */
+  getContentLength_(responseHeaders, unknownLength = 0) {
+    const header = (responseHeaders || []).find(
+        (element) => element.name.toLowerCase() === 'content-length');
+    const contentLength = header ? parseInt(header.value, 10) : NaN;
+    return isNaN(contentLength) ? unknownLength : contentLength;
+  }
+
+  /**
+   * Returns the session of a tab, starting one if the tab has none yet.
+   *
+   * @param {number} tabId the id of the tab.
+   *
+   * @return {!SchedulerSession} the session of the tab.
+   * @private
+   */
+  getSession_(tabId) {
+    if (!this.sessions_.has(tabId)) {
+      return this.startSession_(tabId);
+    }
+    const session = this.sessions_.get(tabId);
+    session.lastActivityMs = Date.now();
+    this.markDirty_(tabId);
+    return session;
+  }
+
+  /**
+   * Starts a new session for a tab. The previous session of the tab, if any,
+   * is ended first.
+   *
+   * @param {number} tabId the id of the tab.
+   * @param {?ExperimentArm=} arm the experiment arm of the session, whose
+   * preset the session runs with. None if null or undefined.
+   *
+   * @return {!SchedulerSession} the new session.
+   * @private
+   */
+  startSession_(tabId, arm = null) {
+    const previous = this.sessions_.get(tabId);
+    if (previous !== undefined) {
+      this.endSession_(tabId);
+    }
+    this.evictSessions_();
+    const config = arm === null ? this.config_ : this.getArmConfig_(arm);
+    const session = new SchedulerSession(tabId, config, this.trace_);
+    if (arm !== null) {
+      session.arm = arm.name;
+    }
+    if (previous !== undefined) {
+      // The connection belongs to the tab, not to the session.
+      session.budget.setNetwork(previous.budget.getNetwork());
+    }
+    this.setPolicy_(session, config.schedulingPolicy);
+    session.concurrency =
+        new ConcurrencyController(config.outstandingRequestsAllowed);
+    session.inFlight = new InFlightTracker(
+        (prefetch) => this.onPrefetchTimedOut_(session, prefetch));
+    this.sessions_.set(tabId, session);
+    this.markDirty_(tabId);
+    console.log('started session ' + session.id);
+    return session;
+  }
+
+  /**
+   * Recreates a session saved before the service worker was suspended. Its
+   * timers count from their original start, so the ones that ran out in the
+   * meantime fire right away.
+   *
+   * @param {!Object} state the state of the session.
+   * @param {number} nowMs the current time in milliseconds since epoch.
+   * @private
+   */
+  restoreSession_(state, nowMs) {
+    const session =
+        new SchedulerSession(state.tabId, state.config, this.trace_);
+    session.policy = createSchedulingPolicy(
+        state.policyName, this.onPrefetchDropped_.bind(this));
+    session.policyName = state.policyName;
+    session.concurrency =
+        new ConcurrencyController(state.config.outstandingRequestsAllowed);
+    session.inFlight = new InFlightTracker(
+        (prefetch) => this.onPrefetchTimedOut_(session, prefetch));
+    session.setState(state, nowMs);
+    session.navigationGate.setState(
+        state.navigationGate, nowMs,
+        () => this.releaseNavigation_(session, NavigationRelease.DEADLINE));
+    session.pendingRetries.forEach(
+        (retry) => this.scheduleRetry_(session, retry, nowMs));
+    this.sessions_.set(session.tabId, session);
+    console.log('restored session ' + session.id);
+  }
+
+  /**
+   * Drops the session of a tab. Requests of the tab that complete afterwards
+   * belong to a new session.
+   *
+   * @param {number} tabId the id of the tab.
+   *
+   * @return {!Array<!TierSummary>} how the prefetches of the ended session
+   * were used, empty if the tab had no session.
+   * @private
+   */
+  endSession_(tabId) {
+    const session = this.sessions_.get(tabId);
+    if (session === undefined) {
+      return [];
+    }
+    console.log('ending session ' + session.id);
+    this.sessions_.delete(tabId);
+    this.markDirty_(tabId);
+    this.headerRules_.removeTab(tabId);
+    session.inFlight.clear();
+    // The stub page would never leave otherwise.
+    this.releaseNavigation_(session, NavigationRelease.SESSION_ENDED);
+    const summaries = session.timeTracker.getTierSummaries();
+    console.log(
+        'summary of session ' + session.id + ': ' + JSON.stringify(summaries));
+    this.resultLog_.addSession({
+      sessionId: session.id,
+      tabId: session.tabId,
+      lpUrl: session.lpUrl,
+      startTimeMs: session.startTimeMs,
+      endTimeMs: Date.now(),
+      tiers: summaries,
+      failures: session.failures,
+      disagreements: session.completions.getDisagreements(),
+      budget: session.budget.getSummary(),
+      navigationHold: session.navigationGate.getSummary(),
+      arm: session.arm
+    });
+    this.resultsDirty_ = true;
+    this.uploader_.upload(
+        this.config_.collectorUrl, session.id,
+        this.resultLog_.getRequests(session.id));
+    return summaries;
+  }
+
+  /**
+   * Replaces the session of a tab by a fresh one for the same landing page.
+   * This allows measuring the same page again without navigating the tab.
+   *
+   * @param {number} tabId the id of the tab.
+   * @private
+   */
+  resetSession_(tabId) {
+    const previous = this.sessions_.get(tabId);
+    const session = this.startSession_(
+        tabId,
+        previous === undefined ?
+            null :
+            this.assigner_.findArm(this.config_, previous.arm));
+    if (previous !== undefined) {
+      session.lpUrl = previous.lpUrl;
+      session.mainFrameRequestId = previous.mainFrameRequestId;
+      session.documentUrl = previous.documentUrl;
+    }
+  }
+
+  /**
+   * Ends the sessions that have been idle for too long, then the least
+   * recently active ones until there is room for a new session.
+   *
+   * @private
+   */
+  evictSessions_() {
+    const now = Date.now();
+    this.sessions_.forEach((session, tabId) => {
+      if (now - session.lastActivityMs > SESSION_MAX_IDLE_MS) {
+        this.endSession_(tabId);
+      }
+    });
+    while (this.sessions_.size >= MAX_SESSIONS) {
+      let oldest = null;
+      this.sessions_.forEach((session) => {
+        if (oldest === null || session.lastActivityMs < oldest.lastActivityMs) {
+          oldest = session;
+        }
+      });
+      this.endSession_(oldest.tabId);
+    }
   }
 
   /**
    * Helper method for sending a message to the content script.
    *
+   * @param {number} tabId the id of the tab to send the message to.
    * @param {*} msg the message to be sent.
+   * @param {number=} frameId the id of the frame to send the message to, or
+   * ALL_FRAMES. The top-level frame if undefined.
+   * @param {function(string)=} onUndelivered called with the error if no
+   * content script received the message.
+   *
+   * @private
+   */
+  notifyContentScript_(tabId, msg, frameId = TOP_FRAME_ID, onUndelivered) {
+    const options = frameId === ALL_FRAMES ? {} : {frameId: frameId};
+    chrome.tabs.sendMessage(tabId, msg, options, (response) => {
+      if (chrome.runtime.lastError) {
+        // The tab has no content script, e.g. while its document loads.
+        if (onUndelivered) {
+          onUndelivered(chrome.runtime.lastError.message);
+        }
+        return;
+      }
+      if (response && response.type === MessageType.ACK &&
+          !response.accepted) {
+        console.warn(
+            'tab ' + tabId + ' rejected ' + msg.type + ': ' + response.error);
+      }
+    });
+  }
+
+  /**
+   * Schedules saving the session of a tab once the current event is handled.
+   * A tab without a session has its saved session removed.
+   *
+   * @param {number} tabId the id of the tab.
+   * @private
+   */
+  markDirty_(tabId) {
+    this.dirtyTabs_.add(tabId);
+    this.scheduleFlush_();
+  }
+
+  /**
+   * Schedules saving the changes once the current event is handled, so that
+   * the changes of an event are saved together.
+   *
+   * @private
+   */
+  scheduleFlush_() {
+    if (this.flushTimeoutId_ < 0) {
+      this.flushTimeoutId_ = setTimeout(() => this.flush_(), 0);
+    }
+  }
+
+  /**
+   * Saves the sessions and the result log that changed, and sends the
+   * changed sessions to the DevTools panels inspecting their tab.
+   *
+   * @private
+   */
+  flush_() {
+    this.flushTimeoutId_ = -1;
+    this.dirtyTabs_.forEach((tabId) => {
+      const session = this.sessions_.get(tabId);
+      if (session === undefined) {
+        this.sessionStore_.remove(tabId);
+      } else {
+        this.sessionStore_.save(tabId, session.getState());
+      }
+      if (this.panels_.hasSubscribers(tabId)) {
+        this.panels_.publish(tabId, this.getPanelState_(tabId));
+      }
+    });
+    this.dirtyTabs_.clear();
+    if (this.resultsDirty_) {
+      this.sessionStore_.saveResults(this.resultLog_.takeChanges());
+      this.resultsDirty_ = false;
+    }
+  }
+
+  /**
+   * Restores the configuration, the presets, the sessions and the result log
+   * saved before the service worker was suspended, then handles the events
+   * that arrived in the meantime.
    *
    * @private
    */
-  notifyContentScript_(msg) {
-    // Get the current active tab and send the message to it.
-    chrome.tabs.query({active: true, currentWindow: true}, (tabs) => {
-      chrome.tabs.sendMessage(tabs[0].id, msg);
+  restore_() {
+    this.configStore_.load((config) => {
+      this.applyConfig_(config);
+      this.configStore_.loadPresets((presets) => {
+        this.presets_ = presets;
+        this.headerRules_.load(() => {
+          this.sessionStore_.load((states, results) => {
+            const nowMs = Date.now();
+            states.forEach((state) => this.restoreSession_(state, nowMs));
+            this.resultLog_.setState(results);
+            this.restored_ = true;
+            this.resumeArm_();
+            console.log(
+                'restored ' + states.length + ' sessions, handling ' +
+                this.pendingEvents_.length + ' pending events');
+            this.pendingEvents_.splice(0).forEach((handle) => handle());
+          });
+        });
+      });
     });
   }
 
+  /**
+   * Resumes the experiment arm whose headers are set, e.g. since before the
+   * service worker was suspended, so the arms are assigned as if it never
+   * was. An arm is drawn if the headers name none of the configured arms or
+   * not the forced one.
+   *
+   * @private
+   */
+  resumeArm_() {
+    const headers = this.headerRules_.getStubHeaders();
+    const arm = headers === null ?
+        null :
+        this.assigner_.getArmOfRequest(this.config_, headers);
+    if (arm === null ||
+        (this.config_.armAssignment === ArmAssignment.FORCED &&
+         arm.name !== this.config_.forcedArm)) {
+      this.assignNextArm_();
+      return;
+    }
+    this.assigner_.setPendingArm(arm);
+    // The proxy origin or the preset of the arm may have changed meanwhile.
+    this.setArmHeaders_();
+  }
+
+  /**
+   * Wraps an event listener so that the events arriving before the saved
+   * state is restored are handled once it is.
+   *
+   * @param {!Function} listener the listener, called with this scheduler as
+   * this.
+   *
+   * @return {!Function} the wrapped listener.
+   * @private
+   */
+  whenRestored_(listener) {
+    return (...args) => {
+      if (this.restored_) {
+        listener.apply(this, args);
+        return;
+      }
+      this.pendingEvents_.push(() => listener.apply(this, args));
+    };
+  }
+
   run() {
     if (!this.didInit_) {
-      const /** @type {Message.Info} */ completeMsg = {
-        type: MessageType.INFO,
-        message: performance.now() + ' starting background script'
-      };
-      this.notifyContentScript_(completeMsg);
       const /** @type {!Array.<!string>} */ requestExtraInfoSpec =
           ['requestHeaders'];
       const /** @type {!Array.<!string>} */ responseExtraInfoSpec =
@@ -426,16 +1972,36 @@ class NumericPriorityScheduler {
         urls: ['<all_urls>'],
       };
 
-      // Add the event listeners.
+      // Add the event listeners. A service worker must add them before it
+      // returns to the event loop to receive the event that woke it up.
       chrome.webRequest.onSendHeaders.addListener(
-          this.onSendHeaders_.bind(this), filters, requestExtraInfoSpec);
+          this.whenRestored_(this.onSendHeaders_), filters,
+          requestExtraInfoSpec);
       chrome.webRequest.onHeadersReceived.addListener(
-          this.onHeadersReceived_.bind(this), filters, responseExtraInfoSpec);
+          this.whenRestored_(this.onHeadersReceived_), filters,
+          responseExtraInfoSpec);
+      chrome.webRequest.onBeforeRedirect.addListener(
+          this.whenRestored_(this.onBeforeRedirect_), filters);
       chrome.webRequest.onCompleted.addListener(
-          this.onFetchSucceed_.bind(this), filters, responseExtraInfoSpec);
+          this.whenRestored_(this.onFetchSucceed_), filters,
+          responseExtraInfoSpec);
       chrome.webRequest.onErrorOccurred.addListener(
-          this.onErrorOccurred_.bind(this), filters);
-      chrome.runtime.onMessage.addListener(this.onContentMessage_.bind(this));
+          this.whenRestored_(this.onErrorOccurred_), filters);
+      const onContentMessage = this.whenRestored_(this.onContentMessage_);
+      chrome.runtime.onMessage.addListener((msg, sender, sendResponse) => {
+        onContentMessage(msg, sender, sendResponse);
+        // A message that waits for the restore is answered asynchronously.
+        return !this.restored_;
+      });
+      chrome.tabs.onRemoved.addListener(this.whenRestored_(this.endSession_));
+      chrome.runtime.onConnect.addListener(this.onPanelConnect_.bind(this));
+      this.configStore_.watch(this.applyConfig_.bind(this));
+      this.configStore_.watchPresets(this.whenRestored_((presets) => {
+        this.presets_ = presets;
+        // The preset of the pending arm decides on the gating header.
+        this.setArmHeaders_();
+      }));
+      this.restore_();
 
       this.didInit_ = true;
       console.log('scheduler inited');
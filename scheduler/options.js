@@ -0,0 +1,308 @@
+// Copyright 2017 Google Inc.
+//
+// Licensed under the Apache License, Version 2.0 (the "License");
+// you may not use this file except in compliance with the License.
+// You may obtain a copy of the License at
+//
+//    https://www.apache.org/licenses/LICENSE-2.0
+//
+// Unless required by applicable law or agreed to in writing, software
+// distributed under the License is distributed on an "AS IS" BASIS,
+// WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+// See the License for the specific language governing permissions and
+// limitations under the License.
+
+/**
+ * @fileoverview Implements the options page. It edits the configuration and
+ * the presets kept by ConfigStore, so experiments can be reconfigured without
+ * editing and reloading the extension.
+ */
+
+// The ids of the inputs holding the numeric configuration values.
+const NUMERIC_CONFIG_FIELDS = [
+  'numPriorities', 'outstandingRequestsAllowed', 'maxMainFramePriority',
+  'maxHintsPerResponse', 'maxHintBytesPerResponse', 'hintAgingMs',
+  'prefetchByteBudget', 'prefetchTimeBudgetMs', 'slowConnectionByteBudget',
+  'navigationGateTier', 'navigationGateDeadlineMs'
+];
+
+class OptionsPage {
+  constructor() {
+    /**
+     * @private {!ConfigStore}
+     */
+    this.configStore_ = new ConfigStore();
+
+    /**
+     * The stored presets keyed by their name.
+     *
+     * @private {!Object<string, !SchedulerConfig>}
+     */
+    this.presets_ = {};
+  }
+
+  /**
+   * Fills the form with the stored configuration and presets and starts
+   * listening to the buttons.
+   */
+  start() {
+    this.addOptions_('schedulingPolicy', Object.values(SchedulingPolicyName));
+    this.addOptions_('commandFrame', Object.values(CommandFrame));
+    this.addOptions_('upcomingTierConnection', UPCOMING_TIER_CONNECTIONS);
+    this.addOptions_('armAssignment', Object.values(ArmAssignment));
+
+    this.configStore_.load((config) => this.showConfig_(config));
+    this.configStore_.loadPresets((presets) => this.showPresets_(presets));
+
+    this.onClick_('save', () => this.save_());
+    this.onClick_('resetDefaults', () => this.showConfig_(DEFAULT_CONFIG));
+    this.onClick_('savePreset', () => this.savePreset_());
+    this.onClick_('loadPreset', () => this.loadPreset_());
+    this.onClick_('deletePreset', () => this.deletePreset_());
+    this.onClick_('exportPresets', () => this.exportPresets_());
+    this.onClick_('importPresets', () => this.importPresets_());
+  }
+
+  /**
+   * Stores the configuration shown in the form.
+   *
+   * @private
+   */
+  save_() {
+    this.configStore_.save(this.readConfig_(), (errors) => {
+      this.showStatus_(errors, 'Saved.');
+    });
+  }
+
+  /**
+   * Stores the configuration shown in the form as a preset under the entered
+   * name, replacing a preset of the same name.
+   *
+   * @private
+   */
+  savePreset_() {
+    const name = this.getElement_('presetName').value.trim();
+    if (name === '') {
+      this.showStatus_(['A preset needs a name'], '');
+      return;
+    }
+    const presets = Object.assign({}, this.presets_);
+    presets[name] = this.readConfig_();
+    this.storePresets_(presets, 'Saved preset ' + name + '.');
+  }
+
+  /**
+   * Shows the selected preset in the form. It is not stored as the
+   * configuration until saved.
+   *
+   * @private
+   */
+  loadPreset_() {
+    const name = this.getElement_('presetList').value;
+    if (!this.presets_[name]) {
+      return;
+    }
+    this.showConfig_(this.presets_[name]);
+    this.getElement_('presetName').value = name;
+    this.showStatus_([], 'Loaded preset ' + name + '. Save to apply it.');
+  }
+
+  /**
+   * Deletes the selected preset.
+   *
+   * @private
+   */
+  deletePreset_() {
+    const name = this.getElement_('presetList').value;
+    if (!this.presets_[name]) {
+      return;
+    }
+    const presets = Object.assign({}, this.presets_);
+    delete presets[name];
+    this.storePresets_(presets, 'Deleted preset ' + name + '.');
+  }
+
+  /**
+   * Shows all presets as JSON, so they can be copied to another profile.
+   *
+   * @private
+   */
+  exportPresets_() {
+    this.getElement_('presetsJson').value =
+        JSON.stringify(this.presets_, null, 2);
+  }
+
+  /**
+   * Adds the presets entered as JSON to the stored ones. Imported presets
+   * replace the stored presets of the same name.
+   *
+   * @private
+   */
+  importPresets_() {
+    let imported;
+    try {
+      imported = JSON.parse(this.getElement_('presetsJson').value);
+    } catch (e) {
+      this.showStatus_(['Invalid JSON: ' + e.message], '');
+      return;
+    }
+    if (imported === null || typeof imported !== 'object' ||
+        Array.isArray(imported)) {
+      this.showStatus_(['Presets must be an object keyed by name'], '');
+      return;
+    }
+    const presets = Object.assign({}, this.presets_, imported);
+    this.storePresets_(
+        presets,
+        'Imported ' + Object.keys(imported).length + ' preset(s).');
+  }
+
+  /**
+   * Stores the presets and shows them once stored.
+   *
+   * @param {!Object<string, !Object>} presets the presets keyed by their
+   * name.
+   * @param {!string} successMessage the status to show once stored.
+   * @private
+   */
+  storePresets_(presets, successMessage) {
+    this.configStore_.savePresets(presets, (errors) => {
+      this.showStatus_(errors, successMessage);
+      if (errors.length === 0) {
+        this.configStore_.loadPresets((stored) => this.showPresets_(stored));
+      }
+    });
+  }
+
+  /**
+   * Reads the configuration shown in the form.
+   *
+   * @return {!SchedulerConfig} the configuration. It may be invalid.
+   * @private
+   */
+  readConfig_() {
+    const config = {};
+    NUMERIC_CONFIG_FIELDS.forEach((field) => {
+      config[field] = Number(this.getElement_(field).value);
+    });
+    config.delimiter = this.getElement_('delimiter').value;
+    config.schedulingPolicy = this.getElement_('schedulingPolicy').value;
+    config.commandFrame = this.getElement_('commandFrame').value;
+    config.upcomingTierConnection =
+        this.getElement_('upcomingTierConnection').value;
+    config.proxyOrigin = this.getElement_('proxyOrigin').value.trim();
+    config.armAssignment = this.getElement_('armAssignment').value;
+    config.forcedArm = this.getElement_('forcedArm').value.trim();
+    config.collectorUrl = this.getElement_('collectorUrl').value.trim();
+    ['strategyTable', 'experimentArms'].forEach((field) => {
+      try {
+        config[field] = JSON.parse(this.getElement_(field).value || '[]');
+      } catch (e) {
+        // Left for validation to report.
+        config[field] = null;
+      }
+    });
+    config.hintOrigins = this.getElement_('hintOrigins')
+                             .value.split('\n')
+                             .map((origin) => origin.trim())
+                             .filter((origin) => origin !== '');
+    return /** @type {!SchedulerConfig} */ (config);
+  }
+
+  /**
+   * Shows a configuration in the form.
+   *
+   * @param {!SchedulerConfig} config the configuration to show.
+   * @private
+   */
+  showConfig_(config) {
+    NUMERIC_CONFIG_FIELDS.forEach((field) => {
+      this.getElement_(field).value = String(config[field]);
+    });
+    this.getElement_('delimiter').value = config.delimiter;
+    this.getElement_('schedulingPolicy').value = config.schedulingPolicy;
+    this.getElement_('commandFrame').value = config.commandFrame;
+    this.getElement_('upcomingTierConnection').value =
+        config.upcomingTierConnection;
+    this.getElement_('strategyTable').value =
+        JSON.stringify(config.strategyTable, null, 2);
+    this.getElement_('proxyOrigin').value = config.proxyOrigin;
+    this.getElement_('armAssignment').value = config.armAssignment;
+    this.getElement_('forcedArm').value = config.forcedArm;
+    this.getElement_('collectorUrl').value = config.collectorUrl;
+    this.getElement_('experimentArms').value =
+        JSON.stringify(config.experimentArms, null, 2);
+    this.getElement_('hintOrigins').value = config.hintOrigins.join('\n');
+  }
+
+  /**
+   * Lists the presets in the preset selector.
+   *
+   * @param {!Object<string, !SchedulerConfig>} presets the presets keyed by
+   * their name.
+   * @private
+   */
+  showPresets_(presets) {
+    this.presets_ = presets;
+    const presetList = this.getElement_('presetList');
+    while (presetList.firstChild) {
+      presetList.removeChild(presetList.firstChild);
+    }
+    Object.keys(presets).sort().forEach((name) => {
+      const option = document.createElement('option');
+      option.value = name;
+      option.textContent = name;
+      presetList.appendChild(option);
+    });
+  }
+
+  /**
+   * Shows the outcome of an action.
+   *
+   * @param {!Array<!string>} errors the problems that made the action fail.
+   * @param {!string} successMessage the status to show if there are none.
+   * @private
+   */
+  showStatus_(errors, successMessage) {
+    this.getElement_('status').textContent =
+        errors.length > 0 ? errors.join('\n') : successMessage;
+  }
+
+  /**
+   * Adds an option for every value to a selector.
+   *
+   * @param {!string} id the id of the selector.
+   * @param {!Array<!string>} values the values to choose from.
+   * @private
+   */
+  addOptions_(id, values) {
+    const select = this.getElement_(id);
+    values.forEach((value) => {
+      const option = document.createElement('option');
+      option.value = value;
+      option.textContent = value;
+      select.appendChild(option);
+    });
+  }
+
+  /**
+   * Calls the listener when the button is clicked.
+   *
+   * @param {!string} id the id of the button.
+   * @param {function()} listener the listener to call.
+   * @private
+   */
+  onClick_(id, listener) {
+    this.getElement_(id).addEventListener('click', listener);
+  }
+
+  /**
+   * @param {!string} id the id of the element.
+   *
+   * @return {!Element} the element of the options page.
+   * @private
+   */
+  getElement_(id) {
+    return document.getElementById(id);
+  }
+}
@@ -0,0 +1,139 @@
+// Copyright 2017 Google Inc.
+//
+// Licensed under the Apache License, Version 2.0 (the "License");
+// you may not use this file except in compliance with the License.
+// You may obtain a copy of the License at
+//
+//    https://www.apache.org/licenses/LICENSE-2.0
+//
+// Unless required by applicable law or agreed to in writing, software
+// distributed under the License is distributed on an "AS IS" BASIS,
+// WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+// See the License for the specific language governing permissions and
+// limitations under the License.
+
+/**
+ * @fileoverview Keeps the ports of the open DevTools panels and sends them
+ * the state of the session of the tab they inspect. The scheduler publishes
+ * the state whenever it saves a changed session, so a panel follows the
+ * session live without polling.
+ */
+
+/**
+ * @typedef {{url: string, tier: number}}
+ *
+ * A resource waiting to be prefetched.
+ */
+let PanelEntry;
+
+/**
+ * @typedef {{
+ *   sessionId: string,
+ *   lpUrl: string,
+ *   documentUrl: string,
+ *   policyName: string,
+ *   arm: string,
+ *   paused: boolean,
+ *   startTimeMs: number,
+ *   curFetchPriority: number,
+ *   windowSize: number,
+ *   tiers: !Array<{tier: number, resources: !Array<!PanelEntry>}>,
+ *   queued: !Array<!PanelEntry>,
+ *   deferred: !Array<!PanelEntry>,
+ *   inFlight: !Array<{
+ *     url: string,
+ *     tier: number,
+ *     mechanism: string,
+ *     dispatchTimeMs: number
+ *   }>,
+ *   navigation: {
+ *     navigatedToDst: boolean,
+ *     navigationStartMs: number,
+ *     navigationDeadlineMs: number,
+ *     holding: boolean,
+ *     hold: ?NavigationHold
+ *   },
+ *   budget: !BudgetSummary,
+ *   requests: !Array<!RequestRecord>
+ * }}
+ *
+ * The state of a session as the DevTools panel shows it.
+ * arm: the name of the experiment arm of the session, '' if it has none.
+ * tiers: the non-empty tiers of the hint queue in priority order.
+ * queued: the resources the scheduling policy took from the hint queue but
+ *     has not dispatched yet.
+ * deferred: the resources waiting for a free slot of their origin.
+ * inFlight: the dispatched prefetches that did not complete yet. url is the
+ *     URL the prefetch is currently at.
+ * windowSize: the number of prefetches that may be outstanding.
+ * requests: the records the result log keeps for the session.
+ */
+let PanelState;
+
+class PanelHub {
+  constructor() {
+    /**
+     * Maps from the port of every subscribed panel to the id of the tab it
+     * inspects.
+     *
+     * @private {!Map<!Port, number>}
+     */
+    this.ports_ = new Map();
+  }
+
+  /**
+   * Subscribes a panel to the state of a tab. A panel inspects a single tab,
+   * so a previous subscription of the port is replaced.
+   *
+   * @param {!Port} port the port of the panel.
+   * @param {number} tabId the id of the tab.
+   */
+  subscribe(port, tabId) {
+    this.ports_.set(port, tabId);
+  }
+
+  /**
+   * Forgets a panel, e.g. because DevTools was closed.
+   *
+   * @param {!Port} port the port of the panel.
+   */
+  remove(port) {
+    this.ports_.delete(port);
+  }
+
+  /**
+   * @param {number} tabId the id of the tab.
+   *
+   * @return {boolean} whether a panel inspects the tab.
+   */
+  hasSubscribers(tabId) {
+    for (const subscribedTabId of this.ports_.values()) {
+      if (subscribedTabId === tabId) {
+        return true;
+      }
+    }
+    return false;
+  }
+
+  /**
+   * Sends the state of the session of a tab to the panels inspecting it.
+   *
+   * @param {number} tabId the id of the tab.
+   * @param {?PanelState} state the state, null if the tab has no session.
+   */
+  publish(tabId, state) {
+    const /** @type {Message.PanelState} */ msg = createMessage(
+        MessageType.PANEL_STATE, {tabId: tabId, state: state});
+    this.ports_.forEach((subscribedTabId, port) => {
+      if (subscribedTabId !== tabId) {
+        return;
+      }
+      try {
+        port.postMessage(msg);
+      } catch (e) {
+        // The panel closed before its disconnect event arrived.
+        this.ports_.delete(port);
+      }
+    });
+  }
+}
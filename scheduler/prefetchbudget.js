@@ -0,0 +1,343 @@
+// Copyright 2017 Google Inc.
+//
+// Licensed under the Apache License, Version 2.0 (the "License");
+// you may not use this file except in compliance with the License.
+// You may obtain a copy of the License at
+//
+//    https://www.apache.org/licenses/LICENSE-2.0
+//
+// Unless required by applicable law or agreed to in writing, software
+// distributed under the License is distributed on an "AS IS" BASIS,
+// WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+// See the License for the specific language governing permissions and
+// limitations under the License.
+
+/**
+ * @fileoverview Implements the byte and time budget of the prefetches of a
+ * session. A prefetch counts with its hinted size from the moment it is
+ * dispatched and with its Content-Length once the headers of its final
+ * response arrive, i.e. after any redirects.
+ * No new prefetch starts once the budget is spent, when the user asked to
+ * save data, or beyond the smaller budget of a slow connection.
+ */
+
+// The effectiveType values of the Network Information API that count as a
+// slow connection. See https://wicg.github.io/netinfo/#effectivetype-enum.
+const SLOW_EFFECTIVE_TYPES = ['slow-2g', '2g'];
+
+// The status codes of the responses the browser follows to another URL. The
+// request keeps its prefetch until the final response.
+const REDIRECT_STATUS_CODES = [301, 302, 303, 307, 308];
+
+// The bytes counted for a response without Content-Length whose hint did not
+// declare its size either. Larger than most subresources, so that such
+// responses exhaust the budget rather than slip past it.
+const UNKNOWN_RESPONSE_BYTES = 256 * 1024;
+
+/**
+ * @typedef {{
+ *   saveData: boolean,
+ *   effectiveType: string,
+ *   downlinkMbps: number
+ * }}
+ *
+ * The network information of a tab as reported by its content script.
+ * saveData: whether the user asked to reduce data usage.
+ * effectiveType: the effective connection type, '' if unknown.
+ * downlinkMbps: the estimated bandwidth, -1 if unknown.
+ */
+let NetworkInfo;
+
+/**
+ * @typedef {{
+ *   url: string,
+ *   tier: number,
+ *   declaredBytes: number,
+ *   reason: string,
+ *   timestampMs: number
+ * }}
+ *
+ * url: the hinted URL of the prefetch.
+ * tier: the priority tier of the prefetch.
+ * declaredBytes: the hinted size, -1 if the hint did not declare it.
+ * reason: why the prefetch was not started.
+ * timestampMs: when the prefetch was skipped.
+ */
+let SkippedPrefetch;
+
+/**
+ * @typedef {{
+ *   byteBudget: number,
+ *   timeBudgetMs: number,
+ *   bytesSpent: number,
+ *   estimatedResponses: number,
+ *   timeSpentMs: number,
+ *   network: !NetworkInfo,
+ *   skipped: !Array<!SkippedPrefetch>
+ * }}
+ *
+ * byteBudget: the bytes the session could prefetch under its last network
+ *     information, 0 if unlimited.
+ * timeBudgetMs: how long after its start the session could start
+ *     prefetches, 0 if unlimited.
+ * bytesSpent: the bytes of the prefetch responses, counted from their
+ *     Content-Length or hinted size.
+ * estimatedResponses: the prefetch responses of unknown size, each counted
+ *     in bytesSpent as UNKNOWN_RESPONSE_BYTES.
+ * timeSpentMs: the time from the start of the session to its last
+ *     prefetch.
+ * network: the last network information of the tab.
+ * skipped: the prefetches that were not started, in the order they were
+ *     skipped.
+ */
+let BudgetSummary;
+
+class PrefetchBudget {
+  /**
+   * Constructs a PrefetchBudget.
+   *
+   * @param {!SchedulerConfig} config the configuration holding the budgets.
+   * @param {number} startMs when the session started in milliseconds since
+   * epoch.
+   */
+  constructor(config, startMs) {
+    /**
+     * @private {!SchedulerConfig}
+     */
+    this.config_ = config;
+
+    /**
+     * @private {number}
+     */
+    this.startMs_ = startMs;
+
+    /**
+     * @private {!NetworkInfo}
+     */
+    this.network_ = {saveData: false, effectiveType: '', downlinkMbps: -1};
+
+    /**
+     * The bytes of the prefetches whose response headers arrived.
+     *
+     * @private {number}
+     */
+    this.bytesSpent_ = 0;
+
+    /**
+     * The number of responses counted as UNKNOWN_RESPONSE_BYTES.
+     *
+     * @private {number}
+     */
+    this.estimatedResponses_ = 0;
+
+    /**
+     * Maps from the normalized URL of a dispatched prefetch whose final
+     * response headers did not arrive yet to its hinted size, -1 if the hint
+     * did not declare it.
+     *
+     * @private {!Map<string, number>}
+     */
+    this.pendingBytes_ = new Map();
+
+    /**
+     * When the last prefetch was started, -1 if none was.
+     *
+     * @private {number}
+     */
+    this.lastPrefetchMs_ = -1;
+
+    /**
+     * @private {!Array<!SkippedPrefetch>}
+     */
+    this.skipped_ = [];
+  }
+
+  /**
+   * Updates the network information of the tab.
+   *
+   * @param {!NetworkInfo} network the network information.
+   */
+  setNetwork(network) {
+    this.network_ = network;
+  }
+
+  /**
+   * @return {!NetworkInfo} the last network information of the tab.
+   */
+  getNetwork() {
+    return this.network_;
+  }
+
+  /**
+   * Returns the byte budget under the current network information.
+   *
+   * @return {number} the budget in bytes, 0 if unlimited.
+   */
+  getByteBudget() {
+    if (!SLOW_EFFECTIVE_TYPES.includes(this.network_.effectiveType)) {
+      return this.config_.prefetchByteBudget;
+    }
+    const slowBudget = this.config_.slowConnectionByteBudget;
+    return this.config_.prefetchByteBudget === 0 ?
+        slowBudget :
+        Math.min(slowBudget, this.config_.prefetchByteBudget);
+  }
+
+  /**
+   * Returns why a prefetch must not start.
+   *
+   * @param {!PrefetchResource} resource the resource to prefetch.
+   * @param {number} nowMs the current time in milliseconds since epoch.
+   *
+   * @return {?string} the reason, or null if the prefetch fits the budget.
+   */
+  getSkipReason(resource, nowMs) {
+    if (this.network_.saveData) {
+      return 'the user asked to save data';
+    }
+    const timeBudgetMs = this.config_.prefetchTimeBudgetMs;
+    if (timeBudgetMs > 0 && nowMs - this.startMs_ > timeBudgetMs) {
+      return 'the time budget of ' + timeBudgetMs + 'ms is spent';
+    }
+    const byteBudget = this.getByteBudget();
+    if (byteBudget > 0 &&
+        this.getCommittedBytes_() + Math.max(0, resource.declaredBytes) >
+            byteBudget) {
+      return 'the byte budget of ' + byteBudget + ' bytes would be exceeded';
+    }
+    return null;
+  }
+
+  /**
+   * Records a prefetch that was started. Its hinted size counts until its
+   * final response headers arrive.
+   *
+   * @param {!PrefetchResource} resource the prefetched resource.
+   * @param {number} nowMs the current time in milliseconds since epoch.
+   */
+  onDispatched(resource, nowMs) {
+    this.pendingBytes_.set(
+        PrefetchResource.normalizeUrl(resource.url), resource.declaredBytes);
+    this.lastPrefetchMs_ = nowMs;
+  }
+
+  /**
+   * Records the response headers of a prefetch. The headers of a redirect
+   * are ignored, so the hinted size waits for the final response.
+   *
+   * @param {!string} hintedUrl the URL the prefetch was hinted with.
+   * @param {number} statusCode the HTTP status code of the response.
+   * @param {number} contentLength the Content-Length of the response, -1 if
+   * it has none. The hinted size is counted instead then, or
+   * UNKNOWN_RESPONSE_BYTES if the hint did not declare it.
+   */
+  onResponseStarted(hintedUrl, statusCode, contentLength) {
+    if (REDIRECT_STATUS_CODES.includes(statusCode)) {
+      return;
+    }
+    const url = PrefetchResource.normalizeUrl(hintedUrl);
+    const declaredBytes = this.pendingBytes_.has(url) ?
+        this.pendingBytes_.get(url) :
+        -1;
+    this.pendingBytes_.delete(url);
+    if (contentLength >= 0) {
+      this.bytesSpent_ += contentLength;
+    } else if (declaredBytes >= 0) {
+      this.bytesSpent_ += declaredBytes;
+    } else {
+      this.bytesSpent_ += UNKNOWN_RESPONSE_BYTES;
+      this.estimatedResponses_++;
+    }
+  }
+
+  /**
+   * Stops counting the hinted size of a prefetch that ended without a
+   * response, e.g. because it failed or timed out.
+   *
+   * @param {!string} hintedUrl the URL the prefetch was hinted with.
+   */
+  release(hintedUrl) {
+    this.pendingBytes_.delete(PrefetchResource.normalizeUrl(hintedUrl));
+  }
+
+  /**
+   * Records a prefetch that was not started.
+   *
+   * @param {!PrefetchResource} resource the skipped resource.
+   * @param {!string} reason why it was skipped.
+   * @param {number} nowMs the current time in milliseconds since epoch.
+   */
+  skip(resource, reason, nowMs) {
+    this.skipped_.push({
+      url: resource.url,
+      tier: resource.priority,
+      declaredBytes: resource.declaredBytes,
+      reason: reason,
+      timestampMs: nowMs
+    });
+  }
+
+  /**
+   * Returns how much of the budget the session used.
+   *
+   * @return {!BudgetSummary} the summary.
+   */
+  getSummary() {
+    return {
+      byteBudget: this.getByteBudget(),
+      timeBudgetMs: this.config_.prefetchTimeBudgetMs,
+      bytesSpent: this.bytesSpent_,
+      estimatedResponses: this.estimatedResponses_,
+      timeSpentMs:
+          this.lastPrefetchMs_ < 0 ? 0 : this.lastPrefetchMs_ - this.startMs_,
+      network: this.network_,
+      skipped: this.skipped_
+    };
+  }
+
+  /**
+   * Returns the spent budget in a form chrome.storage can save.
+   *
+   * @return {!Object} the state, see setState.
+   */
+  getState() {
+    return {
+      startMs: this.startMs_,
+      network: this.network_,
+      bytesSpent: this.bytesSpent_,
+      estimatedResponses: this.estimatedResponses_,
+      pendingBytes: Array.from(this.pendingBytes_.entries()),
+      lastPrefetchMs: this.lastPrefetchMs_,
+      skipped: this.skipped_
+    };
+  }
+
+  /**
+   * Replaces the spent budget by a saved one.
+   *
+   * @param {!Object} state the state returned by getState.
+   */
+  setState(state) {
+    this.startMs_ = state.startMs;
+    this.network_ = state.network;
+    this.bytesSpent_ = state.bytesSpent;
+    this.estimatedResponses_ = state.estimatedResponses;
+    this.pendingBytes_ = new Map(state.pendingBytes);
+    this.lastPrefetchMs_ = state.lastPrefetchMs;
+    this.skipped_ = state.skipped;
+  }
+
+  /**
+   * Returns the bytes spent plus the hinted sizes of the prefetches whose
+   * response did not start yet.
+   *
+   * @return {number} the bytes.
+   * @private
+   */
+  getCommittedBytes_() {
+    let bytes = this.bytesSpent_;
+    this.pendingBytes_.forEach(
+        (declaredBytes) => bytes += Math.max(0, declaredBytes));
+    return bytes;
+  }
+}
@@ -22,7 +22,8 @@ class PrefetchResource {
    * Constructs a PrefetchResource object.
    *
    * @param {!string} url the URL of the resource.
-   * @param {!string} type the type of the resource.
+   * @param {!string} type the type of the resource. Either a numeric code sent
+   * by the proxy or a name. See ResourceTypeRegistry.
    */
   constructor(url, type) {
     /**
@@ -38,9 +39,121 @@ class PrefetchResource {
      * @public
      */
     this.type = type;
+
+    /**
+     * {!string} the link relation the resource was hinted with. See HintRel.
+     *
+     * @public
+     */
+    this.rel = 'prefetch';
+
+    /**
+     * {number} the priority the resource was hinted with. The lower the
+     * number the higher the priority.
+     *
+     * @public
+     */
+    this.priority = 0;
+
+    /**
+     * {?string} the CORS mode of the resource, i.e. 'anonymous' or
+     * 'use-credentials'. null when the resource is fetched without CORS.
+     *
+     * @public
+     */
+    this.crossorigin = null;
+
+    /**
+     * {?string} the "as" attribute for preloading the resource. null when the
+     * type is unknown, in which case the resource can only be prefetched. See
+     * ResourceTypeRegistry.resolve().
+     *
+     * @public
+     */
+    this.as = null;
+
+    /**
+     * {?string} the MIME type for the "type" attribute when preloading.
+     *
+     * @public
+     */
+    this.mimeType = null;
+
+    /**
+     * {number} the size of the resource in bytes declared by the hint, -1 if
+     * the hint did not declare it.
+     *
+     * @public
+     */
+    this.declaredBytes = -1;
+
+    /**
+     * {number} the id of the frame whose response carried the hint. 0 is the
+     * top-level frame.
+     *
+     * @public
+     */
+    this.frameId = 0;
+
+    /**
+     * {!string} the mechanism the hint asked to be fetched with, one of
+     * PrefetchMechanism. '' to let the strategy of the session decide.
+     *
+     * @public
+     */
+    this.mechanism = '';
+
+    /**
+     * {!string} the fetch priority the hint asked for, one of
+     * FETCH_PRIORITIES. '' to let the strategy of the session decide.
+     *
+     * @public
+     */
+    this.fetchPriority = '';
+  }
+
+  /**
+   * Returns whether the resource can be fetched with <link rel="preload">.
+   *
+   * @return {boolean} whether the resource has a known preload type.
+   */
+  canPreload() {
+    return this.as !== null;
   }
 
   toString() {
-    return 'PF(' + this.url + ', ' + this.type + ')';
+    return 'PF(' + this.url + ', ' + this.type + ', ' + this.rel + ')';
+  }
+
+  /**
+   * Normalizes a URL so that the same resource maps to the same string
+   * regardless of how it was hinted or requested. The fragment is dropped
+   * since it is never sent to the server.
+   *
+   * @param {!string} url the URL to normalize.
+   *
+   * @return {!string} the normalized URL, or the URL as is if it is invalid.
+   */
+  static normalizeUrl(url) {
+    try {
+      const parsed = new URL(url);
+      parsed.hash = '';
+      return parsed.href;
+    } catch (e) {
+      return url;
+    }
+  }
+
+  /**
+   * Rebuilds a resource from its saved fields, e.g. after the scheduler was
+   * restarted.
+   *
+   * @param {!Object} state the fields of the resource as saved by
+   * JSON serialization.
+   *
+   * @return {!PrefetchResource} the resource.
+   */
+  static fromState(state) {
+    return Object.assign(new PrefetchResource(state.url, state.type), state);
   }
 }
@@ -0,0 +1,238 @@
+// Copyright 2017 Google Inc.
+//
+// Licensed under the Apache License, Version 2.0 (the "License");
+// you may not use this file except in compliance with the License.
+// You may obtain a copy of the License at
+//
+//    https://www.apache.org/licenses/LICENSE-2.0
+//
+// Unless required by applicable law or agreed to in writing, software
+// distributed under the License is distributed on an "AS IS" BASIS,
+// WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+// See the License for the specific language governing permissions and
+// limitations under the License.
+
+/**
+ * @fileoverview Implements the choice of the mechanism a content script
+ * fetches a hinted resource with. A hint may name its mechanism with the
+ * "mechanism" parameter. Otherwise the first matching rule of the configured
+ * strategy table decides, and without a matching rule the resource is
+ * preloaded for the main frame tiers once the tab navigated to the landing
+ * page and prefetched in every other case.
+ */
+
+// The ways a content script can fetch a resource ahead of its use.
+const PrefetchMechanism = {
+  LINK_PREFETCH: 'link-prefetch',
+  LINK_PRELOAD: 'link-preload',
+  MODULEPRELOAD: 'modulepreload',
+  FETCH: 'fetch',
+  SPECULATION_PREFETCH: 'speculation-prefetch',
+  SPECULATION_PRERENDER: 'speculation-prerender'
+};
+
+// The webRequest resource types of the requests of <link rel=preload> by
+// its "as" attribute. Chrome reports the other types as 'other'. See
+// chrome.webRequest.ResourceType.
+const PRELOAD_REQUEST_TYPES = {
+  'script': 'script',
+  'style': 'stylesheet',
+  'image': 'image',
+  'font': 'font',
+  'fetch': 'xmlhttprequest',
+  'track': 'media'
+};
+
+// The phases of a session a strategy rule applies to.
+const NavigationPhase = {
+  ANY: 'any',
+  BEFORE: 'before-navigation',
+  AFTER: 'after-navigation'
+};
+
+// The values of the fetchpriority hint parameter. See
+// https://wicg.github.io/priority-hints/.
+const FETCH_PRIORITIES = ['high', 'low', 'auto'];
+
+// The cache modes fetch() may use. only-if-cached is left out since it only
+// works for same-origin requests. See
+// https://fetch.spec.whatwg.org/#concept-request-cache-mode.
+const FETCH_CACHE_MODES =
+    ['default', 'no-store', 'reload', 'no-cache', 'force-cache'];
+
+/**
+ * @typedef {{
+ *   as: string,
+ *   minTier: number,
+ *   maxTier: number,
+ *   phase: string,
+ *   mechanism: string,
+ *   fetchPriority: (string|undefined),
+ *   cache: (string|undefined)
+ * }}
+ *
+ * as: the preload type of the resources the rule applies to, '*' for all
+ *     resources and '' for the resources of unknown type.
+ * minTier: the highest priority tier the rule applies to.
+ * maxTier: the lowest priority tier the rule applies to.
+ * phase: one of NavigationPhase.
+ * mechanism: one of PrefetchMechanism.
+ * fetchPriority: one of FETCH_PRIORITIES, 'auto' if undefined.
+ * cache: the cache mode of fetch(), one of FETCH_CACHE_MODES. 'default' if
+ *     undefined.
+ */
+let StrategyRule;
+
+/**
+ * @typedef {{
+ *   mechanism: string,
+ *   fetchPriority: string,
+ *   cache: string
+ * }}
+ *
+ * mechanism: one of PrefetchMechanism.
+ * fetchPriority: one of FETCH_PRIORITIES.
+ * cache: one of FETCH_CACHE_MODES. Only fetch() uses it.
+ */
+let MechanismChoice;
+
+class PrefetchStrategy {
+  /**
+   * Constructs a PrefetchStrategy.
+   *
+   * @param {!Array<!StrategyRule>} table the rules in the order they are
+   * tried.
+   * @param {number} maxMainFramePriority the lowest priority tier that is
+   * preloaded when no rule matches.
+   */
+  constructor(table, maxMainFramePriority) {
+    /**
+     * @private {!Array<!StrategyRule>}
+     */
+    this.table_ = table;
+
+    /**
+     * @private {number}
+     */
+    this.maxMainFramePriority_ = maxMainFramePriority;
+  }
+
+  /**
+   * Chooses how to fetch a resource.
+   *
+   * @param {!PrefetchResource} resource the resolved resource to fetch.
+   * @param {number} tier the priority tier the resource is fetched from.
+   * @param {boolean} navigated whether the tab navigated to the landing page.
+   *
+   * @return {!MechanismChoice} the mechanism and its parameters.
+   */
+  choose(resource, tier, navigated) {
+    const rule = this.findRule_(resource, tier, navigated);
+    let mechanism = PrefetchMechanism.LINK_PREFETCH;
+    if (resource.mechanism !== '') {
+      mechanism = resource.mechanism;
+    } else if (rule !== null) {
+      mechanism = rule.mechanism;
+    } else if (navigated && tier <= this.maxMainFramePriority_) {
+      mechanism = PrefetchMechanism.LINK_PRELOAD;
+    }
+    let fetchPriority = 'auto';
+    if (resource.fetchPriority !== '') {
+      fetchPriority = resource.fetchPriority;
+    } else if (rule !== null && rule.fetchPriority !== undefined) {
+      fetchPriority = rule.fetchPriority;
+    }
+    return {
+      mechanism: this.getSupportedMechanism_(resource, mechanism),
+      fetchPriority: fetchPriority,
+      cache: rule !== null && rule.cache !== undefined ? rule.cache : 'default'
+    };
+  }
+
+  /**
+   * Returns the first rule of the table that applies to a resource.
+   *
+   * @param {!PrefetchResource} resource the resource.
+   * @param {number} tier the priority tier of the resource.
+   * @param {boolean} navigated whether the tab navigated to the landing page.
+   *
+   * @return {?StrategyRule} the rule, or null if none applies.
+   * @private
+   */
+  findRule_(resource, tier, navigated) {
+    const phase = navigated ? NavigationPhase.AFTER : NavigationPhase.BEFORE;
+    const as = resource.as === null ? '' : resource.as;
+    for (let i = 0; i < this.table_.length; i++) {
+      const rule = this.table_[i];
+      if ((rule.as === '*' || rule.as === as) && tier >= rule.minTier &&
+          tier <= rule.maxTier &&
+          (rule.phase === NavigationPhase.ANY || rule.phase === phase)) {
+        return rule;
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Returns the mechanism to use instead of one that cannot fetch the
+   * resource, e.g. preloading a resource of unknown type or prerendering
+   * something else than a document.
+   *
+   * @param {!PrefetchResource} resource the resource.
+   * @param {!string} mechanism the chosen mechanism.
+   *
+   * @return {!string} the mechanism, or LINK_PREFETCH if it does not fit.
+   * @private
+   */
+  getSupportedMechanism_(resource, mechanism) {
+    let fits = true;
+    switch (mechanism) {
+      case PrefetchMechanism.LINK_PRELOAD:
+        fits = resource.canPreload();
+        break;
+      case PrefetchMechanism.MODULEPRELOAD:
+        fits = resource.as === null || resource.as === 'script';
+        break;
+      case PrefetchMechanism.SPECULATION_PREFETCH:
+      case PrefetchMechanism.SPECULATION_PRERENDER:
+        fits = resource.as === 'document';
+        break;
+    }
+    if (!fits) {
+      console.log(
+          mechanism + ' cannot fetch ' + resource.url + ' of type ' +
+          resource.as + ', prefetching it instead');
+      return PrefetchMechanism.LINK_PREFETCH;
+    }
+    return mechanism;
+  }
+}
+
+/**
+ * Returns the webRequest resource types the request of a prefetch can have,
+ * so that it can be told apart from a request of the page for the same URL.
+ * The content script prefetches a resource it cannot preload or fetch with
+ * speculation rules with <link rel=prefetch> instead, so those mechanisms may
+ * also lead to the type of a prefetch.
+ *
+ * @param {!string} mechanism one of PrefetchMechanism.
+ * @param {?string} as the preload type of the resource, null if unknown.
+ *
+ * @return {!Array<string>} the resource types, the most likely one first.
+ */
+function getPrefetchRequestTypes(mechanism, as) {
+  switch (mechanism) {
+    case PrefetchMechanism.FETCH:
+      return ['xmlhttprequest'];
+    case PrefetchMechanism.LINK_PRELOAD:
+    case PrefetchMechanism.MODULEPRELOAD: {
+      const type = PRELOAD_REQUEST_TYPES[as];
+      return type === undefined ? ['other'] : [type, 'other'];
+    }
+    case PrefetchMechanism.SPECULATION_PREFETCH:
+    case PrefetchMechanism.SPECULATION_PRERENDER:
+      return ['main_frame', 'other'];
+    default:
+      return ['other'];
+  }
+}
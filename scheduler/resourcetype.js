@@ -0,0 +1,210 @@
+// Copyright 2017 Google Inc.
+//
+// Licensed under the Apache License, Version 2.0 (the "License");
+// you may not use this file except in compliance with the License.
+// You may obtain a copy of the License at
+//
+//    https://www.apache.org/licenses/LICENSE-2.0
+//
+// Unless required by applicable law or agreed to in writing, software
+// distributed under the License is distributed on an "AS IS" BASIS,
+// WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+// See the License for the specific language governing permissions and
+// limitations under the License.
+
+/**
+ * @fileoverview Maps the resource types carried by hints to the attributes of
+ * <link rel="preload">. The proxy sends numeric codes (type=N) while Link
+ * headers carry as= names, so both are accepted.
+ */
+
+// The numeric resource type codes sent by the proxy. These follow Chromium's
+// content::ResourceType enum, which is what the recorded prefetch URLs use.
+const ResourceTypeCode = {
+  MAIN_FRAME: 0,
+  SUB_FRAME: 1,
+  STYLESHEET: 2,
+  SCRIPT: 3,
+  IMAGE: 4,
+  FONT_RESOURCE: 5,
+  SUB_RESOURCE: 6,
+  OBJECT: 7,
+  MEDIA: 8,
+  WORKER: 9,
+  SHARED_WORKER: 10,
+  PREFETCH: 11,
+  FAVICON: 12,
+  XHR: 13,
+  PING: 14,
+  SERVICE_WORKER: 15,
+  CSP_REPORT: 16,
+  PLUGIN_RESOURCE: 17
+};
+
+// Maps a font file extension to the MIME type set on <link type>.
+const FONT_MIME_TYPES = {
+  'woff2': 'font/woff2',
+  'woff': 'font/woff',
+  'ttf': 'font/ttf',
+  'otf': 'font/otf'
+};
+
+/**
+ * @typedef {{
+ *   names: !Array<!string>,
+ *   codes: !Array<number>,
+ *   as: ?string,
+ *   crossorigin: ?string,
+ *   mimeType: ?string,
+ *   rel: ?string
+ * }}
+ *
+ * names: the type names accepted for this entry, lower cased.
+ * codes: the numeric codes accepted for this entry.
+ * as: the value of the "as" attribute, or null if the type cannot be
+ *     preloaded and has to fall back to a plain prefetch.
+ * crossorigin: the CORS mode the type must be fetched with, if any.
+ * mimeType: the value of the "type" attribute, if any.
+ * rel: the link relation to use instead of "preload", if any.
+ */
+let ResourceTypeInfo;
+
+class ResourceTypeRegistry {
+  constructor() {
+    /**
+     * Maps from a lower cased type name to its entry.
+     *
+     * @private {!Map<!string, !ResourceTypeInfo>}
+     */
+    this.byName_ = new Map();
+
+    /**
+     * Maps from a numeric type code to its entry.
+     *
+     * @private {!Map<number, !ResourceTypeInfo>}
+     */
+    this.byCode_ = new Map();
+
+    this.registerDefaults_();
+  }
+
+  /**
+   * Registers a resource type. A later registration of the same name or code
+   * replaces the earlier one.
+   *
+   * @param {!ResourceTypeInfo} info the resource type to register.
+   */
+  register(info) {
+    info.names.forEach((name) => this.byName_.set(name.toLowerCase(), info));
+    info.codes.forEach((code) => this.byCode_.set(code, info));
+  }
+
+  /**
+   * Looks up a resource type by its numeric code or by its name.
+   *
+   * @param {number|string|undefined} type the code, e.g. 3 or '3', or the
+   * name, e.g. 'script'.
+   *
+   * @return {?ResourceTypeInfo} the entry, or null if the type is unknown.
+   */
+  lookup(type) {
+    if (type === undefined || type === null) {
+      return null;
+    }
+    const typeStr = String(type).trim().toLowerCase();
+    if (/^\d+$/.test(typeStr)) {
+      return this.byCode_.get(parseInt(typeStr, 10)) || null;
+    }
+    return this.byName_.get(typeStr) || null;
+  }
+
+  /**
+   * Fills in the preload attributes of a resource from its type. Attributes
+   * that were set explicitly by the hint, e.g. crossorigin, are kept. A
+   * resource of an unknown type is left with a null "as" so that it is
+   * fetched with a plain prefetch.
+   *
+   * @param {!PrefetchResource} resource the resource to resolve.
+   */
+  resolve(resource) {
+    let info = this.lookup(resource.type);
+    if (info === null && resource.rel === HintRel.MODULEPRELOAD) {
+      // rel=modulepreload implies the type.
+      info = this.lookup('module');
+    }
+    if (info === null) {
+      resource.as = null;
+      return;
+    }
+    resource.as = info.as;
+    if (resource.crossorigin === null) {
+      resource.crossorigin = info.crossorigin;
+    }
+    if (info.rel !== null) {
+      resource.rel = info.rel;
+    }
+    resource.mimeType = info.mimeType;
+    if (info.as === 'font') {
+      resource.mimeType = this.getFontMimeType_(resource.url);
+    }
+  }
+
+  /**
+   * Returns the MIME type of a font based on the extension of its URL.
+   *
+   * @param {!string} url the URL of the font.
+   *
+   * @return {?string} the MIME type, or null if the extension is unknown.
+   * @private
+   */
+  getFontMimeType_(url) {
+    let path = url;
+    try {
+      path = new URL(url).pathname;
+    } catch (e) {
+      // Use the URL as is.
+    }
+    const extension = path.substring(path.lastIndexOf('.') + 1).toLowerCase();
+    return FONT_MIME_TYPES[extension] || null;
+  }
+
+  /**
+   * Registers the types known to Chrome.
+   *
+   * @private
+   */
+  registerDefaults_() {
+    const entry = (names, codes, as, crossorigin, mimeType, rel) =>
+        ({names, codes, as, crossorigin, mimeType, rel});
+    this.register(entry(
+        ['document', 'main_frame', 'sub_frame', 'iframe'],
+        [ResourceTypeCode.MAIN_FRAME, ResourceTypeCode.SUB_FRAME], 'document',
+        null, null, null));
+    this.register(entry(
+        ['style', 'stylesheet', 'css'], [ResourceTypeCode.STYLESHEET], 'style',
+        null, null, null));
+    this.register(entry(
+        ['script', 'js'], [ResourceTypeCode.SCRIPT], 'script', null, null,
+        null));
+    this.register(entry(
+        ['module', 'modulepreload'], [], 'script', 'anonymous',
+        'text/javascript', HintRel.MODULEPRELOAD));
+    this.register(entry(
+        ['image', 'img', 'favicon'],
+        [ResourceTypeCode.IMAGE, ResourceTypeCode.FAVICON], 'image', null,
+        null, null));
+    this.register(entry(
+        ['font', 'font_resource'], [ResourceTypeCode.FONT_RESOURCE], 'font',
+        'anonymous', null, null));
+    this.register(entry(
+        ['fetch', 'xhr', 'xmlhttprequest'], [ResourceTypeCode.XHR], 'fetch',
+        'anonymous', null, null));
+    this.register(entry(
+        ['worker'], [ResourceTypeCode.WORKER], 'worker', null, null, null));
+    this.register(entry(
+        ['sharedworker', 'shared_worker'], [ResourceTypeCode.SHARED_WORKER],
+        'sharedworker', null, null, null));
+    this.register(entry(
+        ['track'], [], 'track', null, null, null));
+  }
+}
@@ -0,0 +1,438 @@
+// Copyright 2017 Google Inc.
+//
+// Licensed under the Apache License, Version 2.0 (the "License");
+// you may not use this file except in compliance with the License.
+// You may obtain a copy of the License at
+//
+//    https://www.apache.org/licenses/LICENSE-2.0
+//
+// Unless required by applicable law or agreed to in writing, software
+// distributed under the License is distributed on an "AS IS" BASIS,
+// WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+// See the License for the specific language governing permissions and
+// limitations under the License.
+
+/**
+ * @fileoverview Keeps a structured record of every request the scheduler saw
+ * and of every session summary, so an experiment harness can collect the
+ * results without scraping the console. The records are exported as JSON
+ * Lines or as a HAR 1.2 file.
+ */
+
+// The formats the results can be exported in.
+const ExportFormat = {
+  JSON_LINES: 'jsonl',
+  HAR: 'har',
+  // The trace events in the Chrome Trace Event format. See TraceBuffer.
+  TRACE: 'trace'
+};
+
+// The size of the records kept, as JSON. The oldest records are dropped
+// first. The records are saved to chrome.storage.session, whose quota of
+// 10 MB they share with the saved sessions.
+const RESULT_LOG_MAX_BYTES = 6 * 1024 * 1024;
+
+// The size of the records of a chunk, as JSON. A chunk is saved under a key
+// of its own, so saving a new record only rewrites the last chunk, and the
+// records are dropped a chunk at a time.
+const RESULT_CHUNK_MAX_BYTES = 256 * 1024;
+
+/**
+ * @typedef {{
+ *   kind: string,
+ *   sessionId: string,
+ *   tabId: number,
+ *   lpUrl: string,
+ *   url: string,
+ *   requestId: string,
+ *   tier: number,
+ *   isPrefetch: string,
+ *   requestTimestampMs: number,
+ *   completeTimestampMs: number,
+ *   fetchTime: number,
+ *   statusCode: number,
+ *   fromCache: boolean,
+ *   bytes: number,
+ *   windowSize: number,
+ *   error: string,
+ *   redirectUrl: string,
+ *   mechanism: string,
+ *   arm: string
+ * }}
+ *
+ * The fields are the ones of the LOG_TIMING message.
+ * kind: always 'request'.
+ * tier: the priority tier of a prefetch, -1 otherwise.
+ * isPrefetch: one of PrefetchStatus, 'late' or 'dropped' for hints that
+ *     were never requested, 'timed_out' for prefetches whose slot was freed
+ *     before they completed, 'redirect' for a redirect hop of a prefetch,
+ *     'over_budget' for hints skipped by the budget of the session, or
+ *     'navigation_hold' for the time a stub page was held before it navigated
+ *     to url.
+ * fetchTime: how long the request took in milliseconds, -1 if unknown. For
+ *     a navigation hold, how long the navigation was held.
+ * statusCode: the HTTP status code, 0 if the request failed.
+ * error: the net error of a failed request, '' otherwise.
+ * redirectUrl: the URL a redirect hop leads to, '' otherwise.
+ * mechanism: the PrefetchMechanism a prefetch was dispatched with, ''
+ *     otherwise.
+ * arm: the name of the experiment arm of the session, '' if it has none.
+ */
+let RequestRecord;
+
+/**
+ * @typedef {{
+ *   kind: string,
+ *   sessionId: string,
+ *   tabId: number,
+ *   lpUrl: string,
+ *   startTimeMs: number,
+ *   endTimeMs: number,
+ *   tiers: !Array<!TierSummary>,
+ *   failures: !Array<!PrefetchFailure>,
+ *   disagreements: !Array<!OutcomeDisagreement>,
+ *   budget: !BudgetSummary,
+ *   navigationHold: ?NavigationHold,
+ *   arm: string
+ * }}
+ *
+ * kind: always 'session'.
+ * failures: the prefetches of the session that failed for good.
+ * disagreements: the prefetches whose <link> signalled another outcome than
+ *     webRequest.
+ * budget: the budget the session used and the prefetches it skipped.
+ * navigationHold: how long and why the navigation of the stub page was held,
+ *     null if it was not.
+ * arm: the name of the experiment arm of the session, '' if it has none.
+ */
+let SessionRecord;
+
+/**
+ * @typedef {{
+ *   id: number,
+ *   bytes: number,
+ *   records: !Array<!RequestRecord|!SessionRecord>
+ * }}
+ *
+ * Records saved together, in the order they were added.
+ * id: grows with every new chunk, so the chunks sort in the order of their
+ *     records.
+ * bytes: the size of the records as JSON.
+ */
+let ResultChunk;
+
+/**
+ * @typedef {{chunks: !Array<!ResultChunk>, removedIds: !Array<number>}}
+ *
+ * The changes of the result log since it was last saved.
+ * chunks: the chunks that are new or got records.
+ * removedIds: the ids of the chunks that were dropped.
+ */
+let ResultChanges;
+
+class ResultLog {
+  constructor() {
+    /**
+     * The request records in the order they were added.
+     *
+     * @private {!Array<!RequestRecord>}
+     */
+    this.requests_ = [];
+
+    /**
+     * The records of the ended sessions in the order they ended.
+     *
+     * @private {!Array<!SessionRecord>}
+     */
+    this.sessions_ = [];
+
+    /**
+     * All records in the order they were added, in chunks. The last chunk
+     * takes the new records.
+     *
+     * @private {!Array<!ResultChunk>}
+     */
+    this.chunks_ = [];
+
+    /**
+     * The size of the records of all chunks.
+     *
+     * @private {number}
+     */
+    this.bytes_ = 0;
+
+    /**
+     * The id of the next chunk.
+     *
+     * @private {number}
+     */
+    this.nextChunkId_ = 0;
+
+    /**
+     * The ids of the chunks changed or dropped since the last save.
+     *
+     * @private {!Set<number>}
+     */
+    this.changedChunkIds_ = new Set();
+  }
+
+  /**
+   * Adds the record of a request.
+   *
+   * @param {!Message.Log} logMsg the LOG_TIMING message of the request.
+   */
+  addRequest(logMsg) {
+    const record = /** @type {!RequestRecord} */ (Object.assign({}, logMsg));
+    delete record.type;
+    delete record.version;
+    record.kind = 'request';
+    this.requests_.push(record);
+    this.addToChunk_(record);
+  }
+
+  /**
+   * Adds the record of an ended session.
+   *
+   * @param {!SessionRecord} record the record to add.
+   */
+  addSession(record) {
+    record.kind = 'session';
+    this.sessions_.push(record);
+    this.addToChunk_(record);
+  }
+
+  /**
+   * Adds a record to the last chunk, or to a new one if it is full, and
+   * drops the oldest chunks while the records exceed RESULT_LOG_MAX_BYTES.
+   *
+   * @param {!RequestRecord|!SessionRecord} record the record.
+   * @private
+   */
+  addToChunk_(record) {
+    const bytes = JSON.stringify(record).length;
+    let chunk = this.chunks_[this.chunks_.length - 1];
+    if (chunk === undefined ||
+        (chunk.records.length > 0 &&
+         chunk.bytes + bytes > RESULT_CHUNK_MAX_BYTES)) {
+      chunk = {id: this.nextChunkId_++, bytes: 0, records: []};
+      this.chunks_.push(chunk);
+    }
+    chunk.records.push(record);
+    chunk.bytes += bytes;
+    this.bytes_ += bytes;
+    this.changedChunkIds_.add(chunk.id);
+    while (this.bytes_ > RESULT_LOG_MAX_BYTES && this.chunks_.length > 1) {
+      const oldest = this.chunks_.shift();
+      this.bytes_ -= oldest.bytes;
+      this.changedChunkIds_.add(oldest.id);
+      // The records of the oldest chunk are the oldest of each list.
+      const requests =
+          oldest.records.filter((old) => old.kind === 'request').length;
+      this.requests_.splice(0, requests);
+      this.sessions_.splice(0, oldest.records.length - requests);
+    }
+  }
+
+  /**
+   * Returns the request records of a session.
+   *
+   * @param {!string} sessionId the id of the session.
+   *
+   * @return {!Array<!RequestRecord>} the records in the order they were
+   * added.
+   */
+  getRequests(sessionId) {
+    return this.requests_.filter((record) => record.sessionId === sessionId);
+  }
+
+  /**
+   * Forgets all records.
+   */
+  clear() {
+    this.chunks_.forEach((chunk) => this.changedChunkIds_.add(chunk.id));
+    this.requests_ = [];
+    this.sessions_ = [];
+    this.chunks_ = [];
+    this.bytes_ = 0;
+  }
+
+  /**
+   * Returns the changes since the last call, so only they are saved.
+   *
+   * @return {!ResultChanges} the changes.
+   */
+  takeChanges() {
+    const changes = {chunks: [], removedIds: []};
+    this.changedChunkIds_.forEach((id) => {
+      const chunk = this.chunks_.find((kept) => kept.id === id);
+      if (chunk === undefined) {
+        changes.removedIds.push(id);
+      } else {
+        changes.chunks.push(chunk);
+      }
+    });
+    this.changedChunkIds_.clear();
+    return changes;
+  }
+
+  /**
+   * Replaces the records by saved ones.
+   *
+   * @param {!Array<!ResultChunk>} chunks the saved chunks in the order of
+   * their ids.
+   */
+  setState(chunks) {
+    this.chunks_ = chunks;
+    this.requests_ = [];
+    this.sessions_ = [];
+    this.bytes_ = 0;
+    chunks.forEach((chunk) => {
+      chunk.records.forEach((record) => {
+        (record.kind === 'session' ? this.sessions_ : this.requests_)
+            .push(record);
+      });
+      this.bytes_ += chunk.bytes;
+      this.nextChunkId_ = Math.max(this.nextChunkId_, chunk.id + 1);
+    });
+    this.changedChunkIds_.clear();
+  }
+
+  /**
+   * Exports the records in the given format.
+   *
+   * @param {!string} format one of ExportFormat.
+   *
+   * @return {?string} the exported records, or null if the format is unknown.
+   */
+  export(format) {
+    switch (format) {
+      case ExportFormat.JSON_LINES:
+        return this.toJsonLines();
+      case ExportFormat.HAR:
+        return JSON.stringify(this.toHar());
+      default:
+        return null;
+    }
+  }
+
+  /**
+   * Returns all records as JSON Lines, the request records first.
+   *
+   * @return {!string} one JSON object per line.
+   */
+  toJsonLines() {
+    return this.requests_.concat(this.sessions_)
+        .map((record) => JSON.stringify(record) + '\n')
+        .join('');
+  }
+
+  /**
+   * Returns the request records as a HAR 1.2 log. Each session is a page.
+   * The prefetch information goes to the custom _prefetch field of an entry
+   * and the failed prefetches and the budget of a session to the _failures
+   * and _budget fields of its page. The navigation hold of a session is no
+   * request, so it goes to the _navigationHold field of its page.
+   *
+   * @return {!Object} the HAR object.
+   */
+  toHar() {
+    // Hints that were never requested have no timing to show.
+    const requested = this.requests_.filter(
+        (record) => record.requestTimestampMs >= 0 &&
+            record.isPrefetch !== 'navigation_hold');
+    const pages = new Map();
+    requested.forEach((record) => {
+      if (!pages.has(record.sessionId)) {
+        pages.set(record.sessionId, {
+          startedDateTime: this.toIsoString_(record.requestTimestampMs),
+          id: record.sessionId,
+          title: record.lpUrl,
+          pageTimings: {}
+        });
+      }
+    });
+    this.sessions_.forEach((session) => {
+      if (!pages.has(session.sessionId)) {
+        return;
+      }
+      const page = pages.get(session.sessionId);
+      if (session.failures.length > 0) {
+        page._failures = session.failures;
+      }
+      page._budget = session.budget;
+      if (session.navigationHold) {
+        page._navigationHold = session.navigationHold;
+      }
+    });
+    return {
+      log: {
+        version: '1.2',
+        creator: {name: 'Prefetch Scheduler', version: '1.0'},
+        pages: Array.from(pages.values()),
+        entries: requested.map((record) => this.toHarEntry_(record))
+      }
+    };
+  }
+
+  /**
+   * Converts a request record into a HAR entry.
+   *
+   * @param {!RequestRecord} record the record to convert.
+   *
+   * @return {!Object} the HAR entry.
+   * @private
+   */
+  toHarEntry_(record) {
+    const time = Math.max(0, record.fetchTime);
+    return {
+      pageref: record.sessionId,
+      startedDateTime: this.toIsoString_(record.requestTimestampMs),
+      time: time,
+      request: {
+        method: 'GET',
+        url: record.url,
+        httpVersion: '',
+        cookies: [],
+        headers: [],
+        queryString: [],
+        headersSize: -1,
+        bodySize: -1
+      },
+      response: {
+        status: record.statusCode,
+        statusText: '',
+        httpVersion: '',
+        cookies: [],
+        headers: [],
+        content: {size: record.bytes, mimeType: ''},
+        redirectURL: record.redirectUrl || '',
+        headersSize: -1,
+        bodySize: record.fromCache ? 0 : record.bytes,
+        _error: record.error || undefined
+      },
+      cache: {},
+      timings: {send: 0, wait: time, receive: 0},
+      _prefetch: {
+        requestId: record.requestId,
+        status: record.isPrefetch,
+        tier: record.tier,
+        fromCache: record.fromCache,
+        windowSize: record.windowSize,
+        mechanism: record.mechanism,
+        arm: record.arm
+      }
+    };
+  }
+
+  /**
+   * Formats a timestamp for HAR.
+   *
+   * @param {number} timestampMs milliseconds since epoch.
+   *
+   * @return {!string} the ISO 8601 date.
+   * @private
+   */
+  toIsoString_(timestampMs) {
+    return new Date(Math.max(0, timestampMs)).toISOString();
+  }
+}
@@ -0,0 +1,59 @@
+// Copyright 2017 Google Inc.
+//
+// Licensed under the Apache License, Version 2.0 (the "License");
+// you may not use this file except in compliance with the License.
+// You may obtain a copy of the License at
+//
+//    https://www.apache.org/licenses/LICENSE-2.0
+//
+// Unless required by applicable law or agreed to in writing, software
+// distributed under the License is distributed on an "AS IS" BASIS,
+// WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+// See the License for the specific language governing permissions and
+// limitations under the License.
+
+/**
+ * @fileoverview Sends the request records of every ended session to the
+ * results collector (see collector/collect.js), which aggregates the runs of
+ * an experiment. The records are POSTed as JSON Lines, the same lines the
+ * EXPORT_RESULTS message exports. A failed upload is not retried, the records
+ * stay in the result log for exporting.
+ */
+
+// The media type of the uploaded records.
+const UPLOAD_CONTENT_TYPE = 'application/x-ndjson';
+
+class ResultUploader {
+  /**
+   * Posts the request records of an ended session to the collector.
+   *
+   * @param {string} collectorUrl the URL the collector takes records at, ''
+   * to upload nothing.
+   * @param {string} sessionId the id of the session.
+   * @param {!Array<!RequestRecord>} records the request records of the
+   * session.
+   */
+  upload(collectorUrl, sessionId, records) {
+    if (collectorUrl === '' || records.length === 0) {
+      return;
+    }
+    fetch(collectorUrl, {
+      method: 'POST',
+      headers: {'Content-Type': UPLOAD_CONTENT_TYPE},
+      body: records.map((record) => JSON.stringify(record) + '\n').join('')
+    })
+        .then((response) => {
+          if (!response.ok) {
+            throw new Error('status ' + response.status);
+          }
+          console.log(
+              'uploaded ' + records.length + ' records of session ' +
+              sessionId);
+        })
+        .catch((e) => {
+          console.warn(
+              'could not upload the records of session ' + sessionId +
+              ' to ' + collectorUrl + ': ' + e.message);
+        });
+  }
+}
@@ -0,0 +1,490 @@
+// Copyright 2017 Google Inc.
+//
+// Licensed under the Apache License, Version 2.0 (the "License");
+// you may not use this file except in compliance with the License.
+// You may obtain a copy of the License at
+//
+//    https://www.apache.org/licenses/LICENSE-2.0
+//
+// Unless required by applicable law or agreed to in writing, software
+// distributed under the License is distributed on an "AS IS" BASIS,
+// WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+// See the License for the specific language governing permissions and
+// limitations under the License.
+
+/**
+ * @fileoverview Implements the storage of the scheduler configuration and of
+ * named presets of it in chrome.storage. The options page edits the stored
+ * configuration and the scheduler picks up every change without a restart.
+ */
+
+// The chrome.storage.local keys of the configuration and of the presets.
+const CONFIG_STORAGE_KEY = 'config';
+const PRESETS_STORAGE_KEY = 'presets';
+
+// The frames the prefetch commands of a tab can be sent to.
+const CommandFrame = {
+  // The top-level frame of the tab.
+  TOP: 'top',
+  // The frame whose response carried the hint, if its content script has
+  // registered. Otherwise the top-level frame.
+  HINT_SOURCE: 'hint-source'
+};
+
+// How the origins of the hints in the tiers that are not fetched yet are
+// warmed up: not at all, or with the link relation of the same name.
+const UPCOMING_TIER_CONNECTIONS = ['none', 'preconnect', 'dns-prefetch'];
+
+/**
+ * @typedef {{
+ *   numPriorities: number,
+ *   outstandingRequestsAllowed: number,
+ *   maxMainFramePriority: number,
+ *   delimiter: string,
+ *   schedulingPolicy: string,
+ *   hintOrigins: !Array<string>,
+ *   maxHintsPerResponse: number,
+ *   maxHintBytesPerResponse: number,
+ *   commandFrame: string,
+ *   strategyTable: !Array<!StrategyRule>,
+ *   upcomingTierConnection: string,
+ *   hintAgingMs: number,
+ *   prefetchByteBudget: number,
+ *   prefetchTimeBudgetMs: number,
+ *   slowConnectionByteBudget: number,
+ *   navigationGateTier: number,
+ *   navigationGateDeadlineMs: number,
+ *   proxyOrigin: string,
+ *   experimentArms: !Array<!ExperimentArm>,
+ *   armAssignment: string,
+ *   forcedArm: string,
+ *   collectorUrl: string
+ * }}
+ *
+ * numPriorities: the number of priorities that can be assigned starting from
+ *     0 ... (numPriorities - 1).
+ * outstandingRequestsAllowed: the number of outstanding requests allowed at
+ *     the start of a session. The ConcurrencyController of the session adapts
+ *     it afterwards.
+ * maxMainFramePriority: the max value of the main frame priority. Any
+ *     resource that has priority greater than this number will use
+ *     <link rel="prefetch"> for prefetching instead of <link rel="preload">.
+ * delimiter: the delimeter to split the URLs of the x-prefetch header.
+ * schedulingPolicy: the scheduling policy of a session whose hints do not ask
+ *     for another one. One of SchedulingPolicyName.
+ * hintOrigins: the origins allowed to send hints besides the top-level
+ *     document of a tab and its origin.
+ * maxHintsPerResponse: the number of hints accepted from a single response.
+ * maxHintBytesPerResponse: the total size declared by the hints accepted from
+ *     a single response.
+ * commandFrame: the frame whose content script executes the prefetch
+ *     commands. One of CommandFrame.
+ * strategyTable: the rules choosing the mechanism of the prefetches whose
+ *     hint does not name one. See PrefetchStrategy.
+ * upcomingTierConnection: one of UPCOMING_TIER_CONNECTIONS.
+ * hintAgingMs: how long a queued hint waits before it moves up a priority
+ *     tier. 0 keeps every hint in the tier it was hinted with.
+ * prefetchByteBudget: the bytes a session may prefetch, 0 for no limit.
+ * prefetchTimeBudgetMs: how long after its start a session may start
+ *     prefetches, 0 for no limit.
+ * slowConnectionByteBudget: the byte budget of a session whose page reports
+ *     a slow effective connection type. See SLOW_EFFECTIVE_TYPES.
+ * navigationGateTier: the lowest priority tier a stub page served in gating
+ *     mode waits for before it navigates to its landing page. -1 lets it
+ *     navigate right away. See NavigationGate.
+ * navigationGateDeadlineMs: how long a stub page waits for the gate tiers at
+ *     most.
+ * proxyOrigin: the origin of the proxy serving the stub pages, '' if the
+ *     scheduler does not set the headers of the stub requests.
+ * experimentArms: the arms the stub requests are assigned to. See
+ *     ExperimentAssigner.
+ * armAssignment: how the arm of a stub request is chosen. One of
+ *     ArmAssignment.
+ * forcedArm: the name of the arm of every stub request under the forced
+ *     assignment.
+ * collectorUrl: the URL of the results collector the request records of
+ *     every ended session are POSTed to, '' to upload nothing. See
+ *     ResultUploader.
+ */
+let SchedulerConfig;
+
+/**
+ * The configuration used until the stored one is loaded and for every value
+ * missing from the stored one.
+ *
+ * @const {!SchedulerConfig}
+ */
+const DEFAULT_CONFIG = {
+  numPriorities: 100,
+  outstandingRequestsAllowed: 7,
+  maxMainFramePriority: 2,
+  // |$de| contains a combination of characters that is unlikely to appear
+  // together.
+  delimiter: '|$de|',
+  schedulingPolicy: 'strict-tier',
+  hintOrigins: [],
+  maxHintsPerResponse: 200,
+  maxHintBytesPerResponse: 20 * 1024 * 1024,
+  commandFrame: 'top',
+  strategyTable: [],
+  upcomingTierConnection: 'none',
+  hintAgingMs: 5000,
+  prefetchByteBudget: 0,
+  prefetchTimeBudgetMs: 0,
+  slowConnectionByteBudget: 1024 * 1024,
+  navigationGateTier: -1,
+  navigationGateDeadlineMs: 3000,
+  proxyOrigin: '',
+  experimentArms: [],
+  armAssignment: 'random',
+  forcedArm: '',
+  collectorUrl: 'http://localhost:8090/records'
+};
+
+class ConfigStore {
+  /**
+   * Returns the problems of a configuration.
+   *
+   * @param {!Object} config the configuration to validate.
+   *
+   * @return {!Array<!string>} a description of every invalid value. Empty if
+   * the configuration is valid.
+   */
+  validate(config) {
+    const errors = [];
+    const isInteger = (value, min, max) =>
+        Number.isInteger(value) && value >= min && value <= max;
+    if (!isInteger(config.numPriorities, 1, 1000)) {
+      errors.push('numPriorities must be an integer from 1 to 1000');
+    }
+    if (!isInteger(config.outstandingRequestsAllowed, 1, MAX_GLOBAL_WINDOW)) {
+      errors.push(
+          'outstandingRequestsAllowed must be an integer from 1 to ' +
+          MAX_GLOBAL_WINDOW);
+    }
+    if (!isInteger(config.maxMainFramePriority, -1, 1000)) {
+      errors.push('maxMainFramePriority must be an integer from -1 to 1000');
+    }
+    if (typeof config.delimiter !== 'string' ||
+        config.delimiter.trim() === '' || /[<>;=]/.test(config.delimiter)) {
+      errors.push('delimiter must be non-empty and contain none of <>;=');
+    }
+    if (!Object.values(SchedulingPolicyName)
+             .includes(config.schedulingPolicy)) {
+      errors.push(
+          'schedulingPolicy must be one of ' +
+          Object.values(SchedulingPolicyName).join(', '));
+    }
+    if (!Object.values(CommandFrame).includes(config.commandFrame)) {
+      errors.push(
+          'commandFrame must be one of ' +
+          Object.values(CommandFrame).join(', '));
+    }
+    if (!Array.isArray(config.strategyTable)) {
+      errors.push('strategyTable must be a list of rules');
+    } else {
+      config.strategyTable.forEach((rule, i) => {
+        this.validateStrategyRule_(rule).forEach((error) => {
+          errors.push('strategyTable rule ' + i + ': ' + error);
+        });
+      });
+    }
+    if (!UPCOMING_TIER_CONNECTIONS.includes(config.upcomingTierConnection)) {
+      errors.push(
+          'upcomingTierConnection must be one of ' +
+          UPCOMING_TIER_CONNECTIONS.join(', '));
+    }
+    if (!isInteger(config.hintAgingMs, 0, 10 * 60 * 1000)) {
+      errors.push('hintAgingMs must be an integer from 0 to 600000');
+    }
+    ['prefetchByteBudget', 'prefetchTimeBudgetMs', 'slowConnectionByteBudget']
+        .forEach((field) => {
+          if (!isInteger(config[field], 0, Number.MAX_SAFE_INTEGER)) {
+            errors.push(field + ' must be a non-negative integer');
+          }
+        });
+    if (!isInteger(config.navigationGateTier, -1, 1000)) {
+      errors.push('navigationGateTier must be an integer from -1 to 1000');
+    }
+    if (!isInteger(config.navigationGateDeadlineMs, 0, 60 * 1000)) {
+      errors.push(
+          'navigationGateDeadlineMs must be an integer from 0 to 60000');
+    }
+    errors.push(...this.validateExperiment_(config));
+    if (config.collectorUrl !== '' &&
+        !this.isCollectorUrl_(config.collectorUrl)) {
+      errors.push(
+          'collectorUrl must be an https URL, an http URL of localhost or ' +
+          'empty');
+    }
+    if (!isInteger(config.maxHintsPerResponse, 1, 10000)) {
+      errors.push('maxHintsPerResponse must be an integer from 1 to 10000');
+    }
+    if (!isInteger(config.maxHintBytesPerResponse, 0,
+                   Number.MAX_SAFE_INTEGER)) {
+      errors.push('maxHintBytesPerResponse must be a non-negative integer');
+    }
+    if (!Array.isArray(config.hintOrigins)) {
+      errors.push('hintOrigins must be a list of origins');
+    } else {
+      config.hintOrigins.forEach((origin) => {
+        if (!this.isOrigin_(origin)) {
+          errors.push('invalid hint origin: ' + origin);
+        }
+      });
+    }
+    return errors;
+  }
+
+  /**
+   * Loads the stored configuration.
+   *
+   * @param {function(!SchedulerConfig)} callback called with the stored
+   * configuration, completed with the defaults.
+   */
+  load(callback) {
+    chrome.storage.local.get(CONFIG_STORAGE_KEY, (items) => {
+      callback(this.withDefaults_(items[CONFIG_STORAGE_KEY]));
+    });
+  }
+
+  /**
+   * Stores a configuration if it is valid.
+   *
+   * @param {!SchedulerConfig} config the configuration to store.
+   * @param {function(!Array<!string>)} callback called with the problems of
+   * the configuration once it was stored or rejected.
+   */
+  save(config, callback) {
+    const errors = this.validate(config);
+    if (errors.length > 0) {
+      callback(errors);
+      return;
+    }
+    chrome.storage.local.set({[CONFIG_STORAGE_KEY]: config}, () => {
+      callback([]);
+    });
+  }
+
+  /**
+   * Calls the listener whenever the stored configuration changes.
+   *
+   * @param {function(!SchedulerConfig)} listener called with the new
+   * configuration, completed with the defaults.
+   */
+  watch(listener) {
+    chrome.storage.onChanged.addListener((changes, areaName) => {
+      if (areaName === 'local' && changes[CONFIG_STORAGE_KEY]) {
+        listener(this.withDefaults_(changes[CONFIG_STORAGE_KEY].newValue));
+      }
+    });
+  }
+
+  /**
+   * Calls the listener whenever the stored presets change.
+   *
+   * @param {function(!Object<string, !SchedulerConfig>)} listener called with
+   * the presets keyed by their name.
+   */
+  watchPresets(listener) {
+    chrome.storage.onChanged.addListener((changes, areaName) => {
+      if (areaName === 'local' && changes[PRESETS_STORAGE_KEY]) {
+        listener(changes[PRESETS_STORAGE_KEY].newValue || {});
+      }
+    });
+  }
+
+  /**
+   * Loads the stored presets.
+   *
+   * @param {function(!Object<string, !SchedulerConfig>)} callback called with
+   * the presets keyed by their name.
+   */
+  loadPresets(callback) {
+    chrome.storage.local.get(PRESETS_STORAGE_KEY, (items) => {
+      callback(items[PRESETS_STORAGE_KEY] || {});
+    });
+  }
+
+  /**
+   * Stores the presets, replacing the stored ones. Invalid presets are
+   * rejected as a whole.
+   *
+   * @param {!Object<string, !Object>} presets the presets keyed by their
+   * name.
+   * @param {function(!Array<!string>)} callback called with the problems of
+   * the presets once they were stored or rejected.
+   */
+  savePresets(presets, callback) {
+    const errors = [];
+    const completed = {};
+    Object.keys(presets).forEach((name) => {
+      completed[name] = this.withDefaults_(presets[name]);
+      this.validate(completed[name]).forEach((error) => {
+        errors.push(name + ': ' + error);
+      });
+    });
+    if (errors.length > 0) {
+      callback(errors);
+      return;
+    }
+    chrome.storage.local.set({[PRESETS_STORAGE_KEY]: completed}, () => {
+      callback([]);
+    });
+  }
+
+  /**
+   * Completes a stored configuration with the defaults.
+   *
+   * @param {Object|undefined} stored the stored configuration, if any.
+   *
+   * @return {!SchedulerConfig} the completed configuration.
+   * @private
+   */
+  withDefaults_(stored) {
+    return Object.assign({}, DEFAULT_CONFIG, stored || {});
+  }
+
+  /**
+   * Returns the problems of the experiment arms and their assignment.
+   *
+   * @param {!Object} config the configuration to validate.
+   *
+   * @return {!Array<!string>} a description of every invalid value.
+   * @private
+   */
+  validateExperiment_(config) {
+    const errors = [];
+    if (config.proxyOrigin !== '' && !this.isOrigin_(config.proxyOrigin)) {
+      errors.push('proxyOrigin must be an origin or empty');
+    }
+    if (!Object.values(ArmAssignment).includes(config.armAssignment)) {
+      errors.push(
+          'armAssignment must be one of ' +
+          Object.values(ArmAssignment).join(', '));
+    }
+    if (!Array.isArray(config.experimentArms)) {
+      errors.push('experimentArms must be a list of arms');
+      return errors;
+    }
+    const names = new Set();
+    config.experimentArms.forEach((arm, i) => {
+      if (arm === null || typeof arm !== 'object') {
+        errors.push('experimentArms arm ' + i + ': must be an object');
+        return;
+      }
+      if (typeof arm.name !== 'string' || arm.name === '' ||
+          !/^[\x21-\x7e]+$/.test(arm.name)) {
+        // The name is sent as a header value.
+        errors.push(
+            'experimentArms arm ' + i +
+            ': name must be non-empty printable ASCII without spaces');
+      } else if (names.has(arm.name)) {
+        errors.push('experimentArms arm ' + i + ': duplicate name ' + arm.name);
+      }
+      names.add(arm.name);
+      if (typeof arm.experimentId !== 'string') {
+        errors.push(
+            'experimentArms arm ' + i +
+            ': experimentId must be a string, empty for a control arm');
+      }
+      if (!Object.values(ArmDelivery).includes(arm.delivery)) {
+        errors.push(
+            'experimentArms arm ' + i + ': delivery must be one of ' +
+            Object.values(ArmDelivery).join(', '));
+      }
+      if (typeof arm.preset !== 'string') {
+        errors.push(
+            'experimentArms arm ' + i +
+            ': preset must be a preset name, empty for the configuration');
+      }
+    });
+    if (config.experimentArms.length > 0 && config.proxyOrigin === '') {
+      errors.push('experimentArms need a proxyOrigin');
+    }
+    if (config.armAssignment === ArmAssignment.FORCED &&
+        !names.has(config.forcedArm)) {
+      errors.push('forcedArm must name an arm under the forced assignment');
+    }
+    return errors;
+  }
+
+  /**
+   * Returns the problems of a rule of the strategy table.
+   *
+   * @param {*} rule the rule to validate.
+   *
+   * @return {!Array<!string>} a description of every invalid value.
+   * @private
+   */
+  validateStrategyRule_(rule) {
+    if (rule === null || typeof rule !== 'object') {
+      return ['must be an object'];
+    }
+    const errors = [];
+    if (typeof rule.as !== 'string') {
+      errors.push('as must be a type, * or empty');
+    }
+    if (!Number.isInteger(rule.minTier) || !Number.isInteger(rule.maxTier) ||
+        rule.minTier < 0 || rule.maxTier < rule.minTier) {
+      errors.push(
+          'minTier and maxTier must be integers with 0 <= minTier <= maxTier');
+    }
+    if (!Object.values(NavigationPhase).includes(rule.phase)) {
+      errors.push(
+          'phase must be one of ' + Object.values(NavigationPhase).join(', '));
+    }
+    if (!Object.values(PrefetchMechanism).includes(rule.mechanism)) {
+      errors.push(
+          'mechanism must be one of ' +
+          Object.values(PrefetchMechanism).join(', '));
+    }
+    if (rule.fetchPriority !== undefined &&
+        !FETCH_PRIORITIES.includes(rule.fetchPriority)) {
+      errors.push(
+          'fetchPriority must be one of ' + FETCH_PRIORITIES.join(', '));
+    }
+    if (rule.cache !== undefined && !FETCH_CACHE_MODES.includes(rule.cache)) {
+      errors.push('cache must be one of ' + FETCH_CACHE_MODES.join(', '));
+    }
+    return errors;
+  }
+
+  /**
+   * Returns whether a string is a http(s) origin such as https://a.com:8080.
+   *
+   * @param {*} origin the string to check.
+   *
+   * @return {boolean} whether it is an origin.
+   * @private
+   */
+  isOrigin_(origin) {
+    try {
+      const url = new URL(origin);
+      return (url.protocol === 'http:' || url.protocol === 'https:') &&
+          url.origin === origin;
+    } catch (e) {
+      return false;
+    }
+  }
+
+  /**
+   * Returns whether the extension may POST to a URL. The content security
+   * policy of the extension allows https and http to localhost only.
+   *
+   * @param {*} url the string to check.
+   *
+   * @return {boolean} whether it is a URL the collector may have.
+   * @private
+   */
+  isCollectorUrl_(url) {
+    try {
+      const parsed = new URL(url);
+      return parsed.protocol === 'https:' ||
+          (parsed.protocol === 'http:' &&
+           ['localhost', '127.0.0.1'].includes(parsed.hostname));
+    } catch (e) {
+      return false;
+    }
+  }
+}
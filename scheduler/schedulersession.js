@@ -0,0 +1,394 @@
+// Copyright 2017 Google Inc.
+//
+// Licensed under the Apache License, Version 2.0 (the "License");
+// you may not use this file except in compliance with the License.
+// You may obtain a copy of the License at
+//
+//    https://www.apache.org/licenses/LICENSE-2.0
+//
+// Unless required by applicable law or agreed to in writing, software
+// distributed under the License is distributed on an "AS IS" BASIS,
+// WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+// See the License for the specific language governing permissions and
+// limitations under the License.
+
+/**
+ * @fileoverview SchedulerSession definition. A session holds the scheduling
+ * state of a single tab so that hints received in one tab are never fetched
+ * in another. A session lasts for a single experiment run: it starts with the
+ * first request of the tab and ends when the tab navigates away, receives a
+ * new landing page, is closed or is reset by the experiment harness.
+ */
+
+/**
+ * @typedef {{
+ *   resource: !PrefetchResource,
+ *   tier: number,
+ *   dueMs: number
+ * }}
+ *
+ * resource: the failed resource.
+ * tier: the priority tier the prefetch was dispatched from.
+ * dueMs: when the retry is due in milliseconds since epoch.
+ */
+let PendingRetry;
+
+class SchedulerSession {
+  /**
+   * Constructs a SchedulerSession object.
+   *
+   * @param {number} tabId the id of the tab this session belongs to.
+   * @param {!SchedulerConfig} config the configuration of the scheduler when
+   * the session starts.
+   * @param {!TraceBuffer} trace the buffer receiving the trace events of the
+   * session.
+   */
+  constructor(tabId, config, trace) {
+    /**
+     * {number} the id of the tab this session belongs to.
+     *
+     * @public
+     */
+    this.tabId = tabId;
+
+    /**
+     * {!SchedulerConfig} the configuration this session runs with. It does
+     * not change when the stored configuration changes.
+     *
+     * @public
+     */
+    this.config = config;
+
+    /**
+     * {!string} the id of this session. It is unique across tabs and across
+     * the sessions of the same tab.
+     *
+     * @public
+     */
+    this.id = tabId + '-' + Date.now() + '-' + SchedulerSession.nextIndex_++;
+
+    /**
+     * {number} the time this session started at in milliseconds since epoch.
+     *
+     * @public
+     */
+    this.startTimeMs = Date.now();
+
+    /**
+     * {number} the last time an event of this session was handled in
+     * milliseconds since epoch.
+     *
+     * @public
+     */
+    this.lastActivityMs = this.startTimeMs;
+
+    /**
+     * The hinted dependencies that were not picked yet, one bucket per
+     * priority. The buckets with lower priority will be dequeued first.
+     * @public {!HintQueue}
+     */
+    this.dependencies =
+        new HintQueue(config.numPriorities, config.hintAgingMs);
+
+    /**
+     * Tracks the prefetches that are in-flight. It is set by the scheduler
+     * when the session starts.
+     * @public {?InFlightTracker}
+     */
+    this.inFlight = null;
+
+    /**
+     * Dependencies picked by the scheduling policy whose origin had no free
+     * slot. They are fetched before anything else once a slot frees.
+     * @public {!Array<!PrefetchResource>}
+     */
+    this.deferredPrefetches = new Array();
+
+    /**
+     * Decides how many prefetches may be outstanding. It is set by the
+     * scheduler when the session starts.
+     * @public {?ConcurrencyController}
+     */
+    this.concurrency = null;
+
+    /**
+     * Chooses the mechanism of every prefetch of this tab.
+     * @public {!PrefetchStrategy}
+     */
+    this.strategy = new PrefetchStrategy(
+        config.strategyTable, config.maxMainFramePriority);
+
+    /**
+     * Tracks the bytes and time spent on the prefetches of this tab.
+     * @public {!PrefetchBudget}
+     */
+    this.budget = new PrefetchBudget(config, this.startTimeMs);
+
+    /**
+     * Holds the navigation of a stub page served in gating mode.
+     *
+     * @public {!NavigationGate}
+     */
+    this.navigationGate = new NavigationGate(
+        config.navigationGateTier, config.navigationGateDeadlineMs);
+
+    /**
+     * Tracks the request and completion times of the requests of this tab.
+     * @public {!TimeTracker}
+     */
+    this.timeTracker = new TimeTracker(trace, tabId);
+
+    /**
+     * Compares the webRequest and the <link> completion signals of the
+     * prefetches of this tab.
+     * @public {!CompletionReconciler}
+     */
+    this.completions = new CompletionReconciler();
+
+    /**
+     * Tracks the URLs that are already requested to prevent duplicated requests
+     * in the case where prefetch request goes out after the actual request.
+     * @public {!Set<!string>}
+     */
+    this.requestedURLs = new Set();
+
+    /**
+     * The normalized URLs of the prefetches and the origins of the
+     * preconnects handed to a content script of this tab. A URL is handed to
+     * a single frame once, so frames do not duplicate each other's requests.
+     * @public {!Set<!string>}
+     */
+    this.dispatchedUrls = new Set();
+
+    /**
+     * The number of times each hinted URL was handed to the content script.
+     * It is above 1 for the prefetches that were retried.
+     * @public {!Map<string, number>}
+     */
+    this.prefetchAttempts = new Map();
+
+    /**
+     * The prefetches that failed for good, in the order they failed.
+     * @public {!Array<!PrefetchFailure>}
+     */
+    this.failures = new Array();
+
+    /**
+     * The failed prefetches waiting for their retry, in the order they failed.
+     * @public {!Array<!PendingRetry>}
+     */
+    this.pendingRetries = new Array();
+
+    /**
+     * The landing page URL that this experiment will navigate to. This is used
+     * to detect when the navigation to the landing page has already started.
+     * @public {!string}
+     */
+    this.lpUrl = '';
+
+    /**
+     * Flag indicating whether the tab has already navigated to the landing
+     * page. The tab has navigated when the request header for lpUrl is sent.
+     *
+     * @public {boolean}
+     */
+    this.navigatedToDst = false;
+
+    /**
+     * The time the navigation to the landing page started at in milliseconds
+     * since epoch. -1 until the tab has navigated.
+     *
+     * @public {number}
+     */
+    this.navigationStartMs = -1;
+
+    /**
+     * The time the navigation to the landing page is expected at in
+     * milliseconds since epoch. Prefetches that cannot finish by then are not
+     * worth fetching under the deadline-aware policy.
+     *
+     * @public {number}
+     */
+    this.navigationDeadlineMs =
+        this.startTimeMs + DEFAULT_NAVIGATION_DEADLINE_MS;
+
+    /**
+     * The request id of the top-level navigation this session started with.
+     * Redirects keep the request id, so a main frame request with a different
+     * id is a navigation away from the session.
+     *
+     * @public {string}
+     */
+    this.mainFrameRequestId = '';
+
+    /**
+     * The URL of the top-level document of the tab, '' until the first main
+     * frame request. Responses from its origin may send hints.
+     *
+     * @public {string}
+     */
+    this.documentUrl = '';
+
+    /**
+     * Array containing URLs that are waiting to be fetched for a particular
+     * priority, as the hint queue held them.
+     *
+     * @public {!Array<!QueuedHint>}
+     */
+    this.queuedPrefetches = new Array();
+
+    /**
+     * Indicates which priority level that the scheduler is requesting right
+     * now.
+     *
+     * @public {number}
+     */
+    this.curFetchPriority = -1;
+
+    /**
+     * The policy deciding which resource this session fetches next. It is set
+     * by the scheduler when the session starts.
+     *
+     * @public {?SchedulingPolicy}
+     */
+    this.policy = null;
+
+    /**
+     * The SchedulingPolicyName of the policy, so that it can be created again
+     * when the session is restored.
+     *
+     * @public {string}
+     */
+    this.policyName = '';
+
+    /**
+     * The name of the experiment arm the stub page of this session ran, ''
+     * if the session has none.
+     *
+     * @public {string}
+     */
+    this.arm = '';
+
+    /**
+     * Whether the DevTools panel paused the dispatch of prefetches. Requests
+     * in flight still complete.
+     *
+     * @public {boolean}
+     */
+    this.paused = false;
+
+    /**
+     * Maps from the id of every frame whose content script registered itself
+     * to the URL of the frame.
+     *
+     * @public {!Map<number, string>}
+     */
+    this.frames = new Map();
+
+    /**
+     * Whether the content script of the top-level frame has already reported
+     * itself.
+     *
+     * @public {boolean}
+     */
+    this.initializedContentScript = false;
+  }
+
+  /**
+   * Returns the state of the session in a form chrome.storage can save. The
+   * scheduler must have set the policy, the concurrency controller and the
+   * in-flight tracker.
+   *
+   * @return {!Object} the state, see setState.
+   */
+  getState() {
+    return {
+      tabId: this.tabId,
+      config: this.config,
+      id: this.id,
+      startTimeMs: this.startTimeMs,
+      lastActivityMs: this.lastActivityMs,
+      dependencies: this.dependencies.getState(),
+      inFlight: this.inFlight.getState(),
+      deferredPrefetches: this.deferredPrefetches,
+      concurrency: this.concurrency.getState(),
+      budget: this.budget.getState(),
+      navigationGate: this.navigationGate.getState(),
+      timeTracker: this.timeTracker.getState(),
+      completions: this.completions.getState(),
+      requestedURLs: Array.from(this.requestedURLs),
+      dispatchedUrls: Array.from(this.dispatchedUrls),
+      prefetchAttempts: Array.from(this.prefetchAttempts.entries()),
+      failures: this.failures,
+      pendingRetries: this.pendingRetries,
+      lpUrl: this.lpUrl,
+      navigatedToDst: this.navigatedToDst,
+      navigationStartMs: this.navigationStartMs,
+      navigationDeadlineMs: this.navigationDeadlineMs,
+      mainFrameRequestId: this.mainFrameRequestId,
+      documentUrl: this.documentUrl,
+      queuedPrefetches: this.queuedPrefetches,
+      curFetchPriority: this.curFetchPriority,
+      policyName: this.policyName,
+      arm: this.arm,
+      policy: this.policy.getState(),
+      paused: this.paused,
+      frames: Array.from(this.frames.entries()),
+      initializedContentScript: this.initializedContentScript
+    };
+  }
+
+  /**
+   * Replaces the state of the session by a saved one. The session must have
+   * been constructed with the saved tab id and configuration, and the
+   * scheduler must have set the policy, the concurrency controller and the
+   * in-flight tracker. The navigation gate and the pending retries need timers
+   * of the scheduler, so the scheduler restores those.
+   *
+   * @param {!Object} state the state returned by getState.
+   * @param {number} nowMs the current time in milliseconds since epoch.
+   */
+  setState(state, nowMs) {
+    const toResource = (saved) => PrefetchResource.fromState(saved);
+    this.id = state.id;
+    this.startTimeMs = state.startTimeMs;
+    this.lastActivityMs = state.lastActivityMs;
+    this.dependencies.setState(state.dependencies);
+    this.inFlight.setState(state.inFlight, nowMs);
+    this.deferredPrefetches = state.deferredPrefetches.map(toResource);
+    this.concurrency.setState(state.concurrency);
+    this.budget.setState(state.budget);
+    this.timeTracker.setState(state.timeTracker);
+    this.completions.setState(state.completions);
+    this.requestedURLs = new Set(state.requestedURLs);
+    this.dispatchedUrls = new Set(state.dispatchedUrls);
+    this.prefetchAttempts = new Map(state.prefetchAttempts);
+    this.failures = state.failures;
+    this.pendingRetries = state.pendingRetries.map((retry) => {
+      return Object.assign({}, retry, {resource: toResource(retry.resource)});
+    });
+    this.lpUrl = state.lpUrl;
+    this.navigatedToDst = state.navigatedToDst;
+    this.navigationStartMs = state.navigationStartMs;
+    this.navigationDeadlineMs = state.navigationDeadlineMs;
+    this.mainFrameRequestId = state.mainFrameRequestId;
+    this.documentUrl = state.documentUrl;
+    this.queuedPrefetches = state.queuedPrefetches.map((hint) => {
+      return Object.assign({}, hint, {resource: toResource(hint.resource)});
+    });
+    this.curFetchPriority = state.curFetchPriority;
+    this.arm = state.arm;
+    this.policy.setState(state.policy);
+    this.paused = state.paused;
+    this.frames = new Map(state.frames);
+    this.initializedContentScript = state.initializedContentScript;
+  }
+}
+
+/**
+ * The index of the next session. It keeps session ids unique when several
+ * sessions start within the same millisecond.
+ *
+ * @private {number}
+ */
+SchedulerSession.nextIndex_ = 0;
@@ -0,0 +1,315 @@
+// Copyright 2017 Google Inc.
+//
+// Licensed under the Apache License, Version 2.0 (the "License");
+// you may not use this file except in compliance with the License.
+// You may obtain a copy of the License at
+//
+//    https://www.apache.org/licenses/LICENSE-2.0
+//
+// Unless required by applicable law or agreed to in writing, software
+// distributed under the License is distributed on an "AS IS" BASIS,
+// WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+// See the License for the specific language governing permissions and
+// limitations under the License.
+
+/**
+ * @fileoverview Implements the policies deciding which hinted resource the
+ * scheduler fetches next. Each session gets its own policy instance, so a
+ * policy may keep state across calls.
+ */
+
+// The names of the scheduling policies, as used in the configuration and in
+// the x-prefetch-policy response header.
+const SchedulingPolicyName = {
+  STRICT_TIER: 'strict-tier',
+  WEIGHTED_FAIR: 'weighted-fair',
+  SLIDING_WINDOW: 'sliding-window',
+  DEADLINE_AWARE: 'deadline-aware'
+};
+
+// The time a prefetch is assumed to take before any prefetch of the session
+// has completed.
+const DEFAULT_FETCH_TIME_ESTIMATE_MS = 100;
+
+// The time after the start of a session that the navigation to the landing
+// page is expected at, unless the x-prefetch-deadline header says otherwise.
+const DEFAULT_NAVIGATION_DEADLINE_MS = 2000;
+
+/**
+ * The base class of all scheduling policies.
+ */
+class SchedulingPolicy {
+  /**
+   * Constructs a SchedulingPolicy.
+   *
+   * @param {function(!SchedulerSession, !PrefetchResource, !string)} onDrop
+   * called with the session, the resource and the reason whenever the policy
+   * decides not to fetch a resource at all.
+   */
+  constructor(onDrop) {
+    /**
+     * @protected {function(!SchedulerSession, !PrefetchResource, !string)}
+     */
+    this.onDrop = onDrop;
+  }
+
+  /**
+   * Returns the next resource to fetch. The scheduler calls this as long as
+   * it has a free slot for an outstanding request and the policy returns a
+   * resource.
+   *
+   * @param {!SchedulerSession} session the session to pick the resource from.
+   * @param {number} nowMs the current time in milliseconds since epoch.
+   *
+   * @return {?QueuedHint} the resource to fetch as the hint queue held it,
+   * or null if nothing should be fetched right now.
+   */
+  next(session, nowMs) {
+    throw new Error('SchedulingPolicy.next() is not implemented');
+  }
+
+  /**
+   * Takes back resources that next() returned but the scheduler cannot fetch
+   * yet, e.g. since their origin is busy. The resources go back to the front
+   * of their tiers of the hint queue.
+   *
+   * @param {!SchedulerSession} session the session of the resources.
+   * @param {!Array<!QueuedHint>} hints the resources as next() returned them,
+   * in the order it did.
+   */
+  giveBack(session, hints) {
+    session.dependencies.requeue(hints);
+  }
+
+  /**
+   * Returns the state the policy keeps across calls in a form chrome.storage
+   * can save.
+   *
+   * @return {!Object} the state, see setState.
+   */
+  getState() {
+    return {};
+  }
+
+  /**
+   * Replaces the state the policy keeps across calls by a saved one.
+   *
+   * @param {!Object} state the state returned by getState.
+   */
+  setState(state) {}
+
+  /**
+   * Returns the index of the first non-empty priority bucket.
+   *
+   * @param {!SchedulerSession} session the session to look into.
+   *
+   * @return {number} the priority, or -1 if all buckets are empty.
+   * @protected
+   */
+  findFirstNonEmptyPriority(session) {
+    return session.dependencies.getFirstNonEmptyTier();
+  }
+}
+
+/**
+ * Drains a single priority tier completely before starting the next one. The
+ * next tier is only started once every request of the current one completed.
+ */
+class StrictTierPolicy extends SchedulingPolicy {
+  /** @override */
+  next(session, nowMs) {
+    if (session.inFlight.size() == 0 &&
+        session.deferredPrefetches.length == 0 &&
+        session.queuedPrefetches.length == 0) {
+      // Enqueue more URLs to prefetch when there isn't any outstanding
+      // prefetches, the prefetch queue is empty, and there are more
+      // URLs left to prefetch.
+      const nextPriority = this.findFirstNonEmptyPriority(session);
+      if (nextPriority != -1) {
+        session.queuedPrefetches.push(
+            ...session.dependencies.takeTier(nextPriority));
+        session.curFetchPriority = nextPriority;
+      }
+    }
+    if (session.queuedPrefetches.length == 0) {
+      return null;
+    }
+    return session.queuedPrefetches.shift();
+  }
+
+  /** @override */
+  giveBack(session, hints) {
+    // The tier is being drained, so the resources stay with it.
+    hints.slice().reverse().forEach(
+        (hint) => session.queuedPrefetches.unshift(hint));
+  }
+}
+
+/**
+ * Refills a slot as soon as it frees with the highest priority resource left,
+ * regardless of whether the previous tier has completed.
+ */
+class SlidingWindowPolicy extends SchedulingPolicy {
+  /** @override */
+  next(session, nowMs) {
+    const nextPriority = this.findFirstNonEmptyPriority(session);
+    if (nextPriority == -1) {
+      return null;
+    }
+    session.curFetchPriority = nextPriority;
+    return session.dependencies.shift(nextPriority);
+  }
+}
+
+/**
+ * Shares the slots across all non-empty tiers with stride scheduling. Tier i
+ * gets a weight of 1 / (i + 1), so tier 0 is served twice as often as tier 1
+ * and a slow tier never stalls the tiers below it.
+ */
+class WeightedFairPolicy extends SchedulingPolicy {
+  constructor(onDrop) {
+    super(onDrop);
+
+    /**
+     * Maps from a non-empty priority to its pass, i.e. the virtual time at
+     * which it is served next.
+     *
+     * @private {!Map<number, number>}
+     */
+    this.passes_ = new Map();
+
+    /**
+     * The pass of the last served tier. A tier that becomes non-empty starts
+     * at this virtual time so it cannot claim the slots it missed while empty.
+     *
+     * @private {number}
+     */
+    this.virtualTime_ = 0;
+
+    /**
+     * Maps from a resource next() returned to the pass its tier was served
+     * at, so giveBack can undo the charge.
+     *
+     * @private {!WeakMap<!QueuedHint, number>}
+     */
+    this.servedPasses_ = new WeakMap();
+  }
+
+  /** @override */
+  next(session, nowMs) {
+    let bestPriority = -1;
+    for (let i = 0; i < session.dependencies.getNumTiers(); i++) {
+      if (session.dependencies.getSize(i) == 0) {
+        this.passes_.delete(i);
+        continue;
+      }
+      if (!this.passes_.has(i)) {
+        this.passes_.set(i, this.virtualTime_);
+      }
+      if (bestPriority == -1 ||
+          this.passes_.get(i) < this.passes_.get(bestPriority)) {
+        bestPriority = i;
+      }
+    }
+    if (bestPriority == -1) {
+      return null;
+    }
+    this.virtualTime_ = this.passes_.get(bestPriority);
+    this.passes_.set(bestPriority, this.virtualTime_ + bestPriority + 1);
+    session.curFetchPriority = bestPriority;
+    const hint = session.dependencies.shift(bestPriority);
+    this.servedPasses_.set(hint, this.virtualTime_);
+    return hint;
+  }
+
+  /** @override */
+  giveBack(session, hints) {
+    super.giveBack(session, hints);
+    // A tier is not charged for the resources it did not get to fetch. The
+    // latest charge is undone first, so a tier that ran empty in between gets
+    // the pass it had before it.
+    hints.slice().reverse().forEach((hint) => {
+      const pass = this.servedPasses_.get(hint);
+      if (pass === undefined) {
+        return;
+      }
+      const tier = hint.tier;
+      this.passes_.set(
+          tier,
+          this.passes_.has(tier) ? this.passes_.get(tier) - tier - 1 : pass);
+      this.virtualTime_ = Math.min(this.virtualTime_, this.passes_.get(tier));
+    });
+  }
+
+  /** @override */
+  getState() {
+    return {
+      passes: Array.from(this.passes_.entries()),
+      virtualTime: this.virtualTime_
+    };
+  }
+
+  /** @override */
+  setState(state) {
+    this.passes_ = new Map(state.passes);
+    this.virtualTime_ = state.virtualTime;
+  }
+}
+
+/**
+ * Works like SlidingWindowPolicy but drops the resources that are not
+ * expected to finish before the navigation to the landing page. Once the
+ * navigation started, only the main frame tiers are still fetched since those
+ * are preloaded for the landing page itself.
+ */
+class DeadlineAwarePolicy extends SlidingWindowPolicy {
+  /** @override */
+  next(session, nowMs) {
+    const deadlineMs = session.navigatedToDst ? session.navigationStartMs :
+                                                session.navigationDeadlineMs;
+    const estimateMs = session.timeTracker.getMeanPrefetchTime();
+    const expectedFetchTimeMs =
+        estimateMs < 0 ? DEFAULT_FETCH_TIME_ESTIMATE_MS : estimateMs;
+    for (;;) {
+      const hint = super.next(session, nowMs);
+      if (hint === null) {
+        return null;
+      }
+      if (session.navigatedToDst &&
+          hint.resource.priority <= session.config.maxMainFramePriority) {
+        return hint;
+      }
+      if (nowMs + expectedFetchTimeMs <= deadlineMs) {
+        return hint;
+      }
+      this.onDrop(
+          session, hint.resource,
+          'expected to finish ' + (nowMs + expectedFetchTimeMs - deadlineMs) +
+              'ms after the navigation');
+    }
+  }
+}
+
+/**
+ * Creates a scheduling policy by its name.
+ *
+ * @param {!string} name one of SchedulingPolicyName.
+ * @param {function(!SchedulerSession, !PrefetchResource, !string)} onDrop
+ * called whenever the policy decides not to fetch a resource.
+ *
+ * @return {?SchedulingPolicy} the policy, or null if the name is unknown.
+ */
+function createSchedulingPolicy(name, onDrop) {
+  switch (name) {
+    case SchedulingPolicyName.STRICT_TIER:
+      return new StrictTierPolicy(onDrop);
+    case SchedulingPolicyName.WEIGHTED_FAIR:
+      return new WeightedFairPolicy(onDrop);
+    case SchedulingPolicyName.SLIDING_WINDOW:
+      return new SlidingWindowPolicy(onDrop);
+    case SchedulingPolicyName.DEADLINE_AWARE:
+      return new DeadlineAwarePolicy(onDrop);
+    default:
+      return null;
+  }
+}
@@ -0,0 +1,106 @@
+// Copyright 2017 Google Inc.
+//
+// Licensed under the Apache License, Version 2.0 (the "License");
+// you may not use this file except in compliance with the License.
+// You may obtain a copy of the License at
+//
+//    https://www.apache.org/licenses/LICENSE-2.0
+//
+// Unless required by applicable law or agreed to in writing, software
+// distributed under the License is distributed on an "AS IS" BASIS,
+// WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+// See the License for the specific language governing permissions and
+// limitations under the License.
+
+/**
+ * @fileoverview Implements the storage of the scheduler sessions and of the
+ * result log in chrome.storage.session. The service worker of the scheduler
+ * is suspended when it is idle, which drops everything it keeps in memory.
+ * It saves its state after every event and restores it when it starts again,
+ * so a page load survives the suspension. chrome.storage.session is cleared
+ * when the browser exits, like the sessions of the tabs.
+ */
+
+// The prefix of the chrome.storage.session keys of the sessions. The tab id
+// follows it.
+const SESSION_STORAGE_PREFIX = 'session:';
+
+// The prefix of the chrome.storage.session keys of the chunks of the result
+// log. The id of the chunk follows it.
+const RESULTS_STORAGE_PREFIX = 'results:';
+
+class SessionStore {
+  /**
+   * Loads the saved sessions and result log.
+   *
+   * @param {function(!Array<!Object>, !Array<!ResultChunk>)} callback
+   * called with the states of the saved sessions and the saved chunks of the
+   * result log in the order of their ids.
+   */
+  load(callback) {
+    chrome.storage.session.get(null, (items) => {
+      const sessions = [];
+      const chunks = [];
+      Object.keys(items).forEach((key) => {
+        if (key.startsWith(SESSION_STORAGE_PREFIX)) {
+          sessions.push(items[key]);
+        } else if (key.startsWith(RESULTS_STORAGE_PREFIX)) {
+          chunks.push(items[key]);
+        }
+      });
+      callback(sessions, chunks.sort((a, b) => a.id - b.id));
+    });
+  }
+
+  /**
+   * Saves the state of the session of a tab, replacing the saved one.
+   *
+   * @param {number} tabId the id of the tab.
+   * @param {!Object} state the state of the session.
+   */
+  save(tabId, state) {
+    this.set_(SESSION_STORAGE_PREFIX + tabId, state);
+  }
+
+  /**
+   * Forgets the saved session of a tab.
+   *
+   * @param {number} tabId the id of the tab.
+   */
+  remove(tabId) {
+    chrome.storage.session.remove(SESSION_STORAGE_PREFIX + tabId);
+  }
+
+  /**
+   * Saves the changes of the result log. Only the changed chunks are
+   * written, so the cost of a save does not grow with the log.
+   *
+   * @param {!ResultChanges} changes the changes since the last save.
+   */
+  saveResults(changes) {
+    changes.chunks.forEach((chunk) => {
+      this.set_(RESULTS_STORAGE_PREFIX + chunk.id, chunk);
+    });
+    if (changes.removedIds.length > 0) {
+      chrome.storage.session.remove(
+          changes.removedIds.map((id) => RESULTS_STORAGE_PREFIX + id));
+    }
+  }
+
+  /**
+   * Saves a value and reports when it does not fit the storage quota.
+   *
+   * @param {!string} key the key of the value.
+   * @param {!Object} value the value.
+   * @private
+   */
+  set_(key, value) {
+    chrome.storage.session.set({[key]: value}, () => {
+      if (chrome.runtime.lastError) {
+        console.warn(
+            'could not save ' + key + ': ' +
+            chrome.runtime.lastError.message);
+      }
+    });
+  }
+}
@@ -14,7 +14,9 @@
 
 /**
  * @fileoverview Implements the logic for tracking the request and finish time
- * of an object.
+ * of an object. It also links each prefetch to the later request for the same
+ * URL to account for the prefetches that were used and the ones that were
+ * wasted.
  */
 const PrefetchStatus = {
   YES: 'yes',
@@ -22,8 +24,80 @@ const PrefetchStatus = {
   UNKNOWN: 'unknown'
 };
 
+// The number of requests a TimeTracker remembers. The oldest requests are
+// forgotten first.
+const TIME_TRACKER_MAX_ENTRIES = 5000;
+
+// Requests made longer ago than this are forgotten.
+const TIME_TRACKER_MAX_AGE_MS = 10 * 60 * 1000;
+
+/**
+ * @typedef {{
+ *   priority: number,
+ *   requestId: string,
+ *   fetchTimeMs: number,
+ *   bytes: number,
+ *   usedByRequestId: string,
+ *   usedFromCache: boolean,
+ *   timeSavedMs: number
+ * }}
+ *
+ * priority: the tier the prefetch was dispatched from, -1 if unknown.
+ * requestId: the request ID of the prefetch request.
+ * fetchTimeMs: how long the prefetch took, -1 while in flight.
+ * bytes: the Content-Length of the prefetch response, 0 if unknown.
+ * usedByRequestId: the request ID of the later request for the same URL, ''
+ *     if there was none.
+ * usedFromCache: whether the later request was served from the cache.
+ * timeSavedMs: the fetch time the later request saved by hitting the cache.
+ */
+let PrefetchUsage;
+
+/**
+ * @typedef {{
+ *   tier: number,
+ *   prefetched: number,
+ *   hits: number,
+ *   misses: number,
+ *   unused: number,
+ *   late: number,
+ *   hitRate: number,
+ *   wastedBytes: number,
+ *   timeSavedMs: number
+ * }}
+ *
+ * tier: the priority tier, -1 for prefetches of unknown tier.
+ * prefetched: the number of prefetch requests made.
+ * hits: the prefetches whose later request was served from the cache.
+ * misses: the prefetches whose later request went to the network anyway.
+ * unused: the completed prefetches without a later request.
+ * late: the hints that were not prefetched because the browser had already
+ *     requested the URL.
+ * hitRate: hits / prefetched, 0 if nothing was prefetched.
+ * wastedBytes: the bytes of the missed and the unused prefetches.
+ * timeSavedMs: the fetch time saved by the hits.
+ */
+let TierSummary;
+
 class TimeTracker {
-  constructor() {
+  /**
+   * Constructs a TimeTracker.
+   *
+   * @param {!TraceBuffer} trace the buffer receiving the trace event of every
+   * request.
+   * @param {number} tabId the id of the tab whose requests are tracked.
+   */
+  constructor(trace, tabId) {
+    /**
+     * @private {!TraceBuffer}
+     */
+    this.trace_ = trace;
+
+    /**
+     * @private {number}
+     */
+    this.tabId_ = tabId;
+
     /**
      * Maps from the request ID to the time the request was made measured in
      * milliseconds.
@@ -44,6 +118,65 @@ class TimeTracker {
      * @private Map<!string, boolean>
      */
     this.prefetched_ = new Map();
+
+    /**
+     * Maps from the request ID to the normalized URL of the request.
+     * @private Map<!string, !string>
+     */
+    this.requestUrls_ = new Map();
+
+    /**
+     * Maps from the normalized URL of a hint the scheduler dispatched to the
+     * tier it was dispatched from.
+     * @private Map<!string, number>
+     */
+    this.dispatchedTiers_ = new Map();
+
+    /**
+     * Maps from the normalized URL of a prefetched resource to how the
+     * prefetch was used.
+     * @private Map<!string, !PrefetchUsage>
+     */
+    this.prefetchUsages_ = new Map();
+
+    /**
+     * Maps from a tier to the number of its hints that came too late.
+     * @private Map<number, number>
+     */
+    this.latePrefetches_ = new Map();
+  }
+
+  /**
+   * Records that the scheduler dispatched a hint for prefetching. The next
+   * request for the URL is the prefetch, even if it is a preload that does not
+   * carry the "Purpose: prefetch" header.
+   *
+   * @param {!string} url the URL of the hint.
+   * @param {number} priority the tier the hint was dispatched from.
+   */
+  registerDispatch(url, priority) {
+    this.dispatchedTiers_.set(PrefetchResource.normalizeUrl(url), priority);
+  }
+
+  /**
+   * Forgets the failed prefetch of a URL before it is retried, so the next
+   * request for the URL counts as the prefetch again.
+   *
+   * @param {!string} url the URL of the prefetch.
+   */
+  registerRetry(url) {
+    this.prefetchUsages_.delete(PrefetchResource.normalizeUrl(url));
+  }
+
+  /**
+   * Records a hint that was not prefetched because the browser had already
+   * requested its URL.
+   *
+   * @param {number} priority the tier of the hint.
+   */
+  registerLatePrefetch(priority) {
+    this.latePrefetches_.set(
+        priority, (this.latePrefetches_.get(priority) || 0) + 1);
   }
 
   /**
@@ -55,14 +188,76 @@ class TimeTracker {
    * made.
    * @param {boolean} isPrefetch whether this request is a prefetch request or
    * not.
+   * @param {string=} url the URL of the request.
    * @public
    */
-  registerRequest(requestID, requestTimestampMs, isPrefetch) {
+  registerRequest(requestID, requestTimestampMs, isPrefetch, url) {
+    if (this.completeTimes_.get(requestID) === -1) {
+      // A redirect hop of a request in flight. The request keeps its id, its
+      // start time and whether it is a prefetch.
+      return;
+    }
     this.requestTimes_.set(requestID, requestTimestampMs);
 
     // -1 indicates that this request is still not complete.
     this.completeTimes_.set(requestID, -1);
+    if (url !== undefined) {
+      const normalizedUrl = PrefetchResource.normalizeUrl(url);
+      this.requestUrls_.set(requestID, normalizedUrl);
+      if (!isPrefetch && this.dispatchedTiers_.has(normalizedUrl) &&
+          !this.prefetchUsages_.has(normalizedUrl)) {
+        // The first request after the dispatch is the prefetch.
+        isPrefetch = true;
+      }
+      if (isPrefetch && !this.prefetchUsages_.has(normalizedUrl)) {
+        const tier = this.dispatchedTiers_.has(normalizedUrl) ?
+            this.dispatchedTiers_.get(normalizedUrl) :
+            -1;
+        this.prefetchUsages_.set(normalizedUrl, {
+          priority: tier,
+          requestId: requestID,
+          fetchTimeMs: -1,
+          bytes: 0,
+          usedByRequestId: '',
+          usedFromCache: false,
+          timeSavedMs: 0
+        });
+      }
+    }
     this.prefetched_.set(requestID, isPrefetch);
+    this.trace_.begin(
+        TraceEventName.REQUEST, TraceCategory.NETWORK, this.tabId_, requestID,
+        {url: url || '', prefetch: isPrefetch}, requestTimestampMs);
+    this.evictOldRequests_(requestTimestampMs);
+  }
+
+  /**
+   * Forgets the requests that are older than TIME_TRACKER_MAX_AGE_MS or that
+   * exceed TIME_TRACKER_MAX_ENTRIES. Maps iterate in insertion order, so the
+   * oldest requests come first.
+   *
+   * @param {number} nowMs the timestamp of the latest request.
+   * @private
+   */
+  evictOldRequests_(nowMs) {
+    for (const [requestID, requestTime] of this.requestTimes_) {
+      if (this.requestTimes_.size <= TIME_TRACKER_MAX_ENTRIES &&
+          nowMs - requestTime <= TIME_TRACKER_MAX_AGE_MS) {
+        break;
+      }
+      this.requestTimes_.delete(requestID);
+      this.completeTimes_.delete(requestID);
+      this.prefetched_.delete(requestID);
+      this.requestUrls_.delete(requestID);
+    }
+    [this.dispatchedTiers_, this.prefetchUsages_].forEach((byUrl) => {
+      for (const url of byUrl.keys()) {
+        if (byUrl.size <= TIME_TRACKER_MAX_ENTRIES) {
+          break;
+        }
+        byUrl.delete(url);
+      }
+    });
   }
 
   /**
@@ -72,11 +267,13 @@ class TimeTracker {
    * @param {string} requestID the request ID of the request
    * @param {number} completeTimestampMs the timestamp when the request was
    * made.
+   * @param {boolean=} fromCache whether the response came from the cache.
+   * @param {number=} bytes the Content-Length of the response, if known.
    *
    * @return {number} The fetch time of the request ID. If the requestID has
    * never been seen before, the function returns -1.
    */
-  completeRequest(requestID, completeTimestampMs) {
+  completeRequest(requestID, completeTimestampMs, fromCache, bytes) {
     console.log(
         'completing request for ' + requestID + ' at ' + completeTimestampMs);
     if (!this.requestTimes_.has(requestID)) {
@@ -85,10 +282,144 @@ class TimeTracker {
 
     const requestTime = this.requestTimes_.get(requestID);
     const fetchTime = completeTimestampMs - requestTime;
+    this.trace_.end(
+        TraceEventName.REQUEST, TraceCategory.NETWORK, this.tabId_, requestID,
+        {fromCache: !!fromCache, bytes: bytes || 0}, completeTimestampMs);
     this.completeTimes_.set(requestID, completeTimestampMs);
+    this.updatePrefetchUsage_(requestID, fetchTime, !!fromCache, bytes || 0);
     return fetchTime;
   }
 
+  /**
+   * Returns the tracked requests and prefetches in a form chrome.storage can
+   * save.
+   *
+   * @return {!Object} the state, see setState.
+   */
+  getState() {
+    return {
+      requestTimes: Array.from(this.requestTimes_.entries()),
+      completeTimes: Array.from(this.completeTimes_.entries()),
+      prefetched: Array.from(this.prefetched_.entries()),
+      requestUrls: Array.from(this.requestUrls_.entries()),
+      dispatchedTiers: Array.from(this.dispatchedTiers_.entries()),
+      prefetchUsages: Array.from(this.prefetchUsages_.entries()),
+      latePrefetches: Array.from(this.latePrefetches_.entries())
+    };
+  }
+
+  /**
+   * Replaces the tracked requests and prefetches by saved ones.
+   *
+   * @param {!Object} state the state returned by getState.
+   */
+  setState(state) {
+    this.requestTimes_ = new Map(state.requestTimes);
+    this.completeTimes_ = new Map(state.completeTimes);
+    this.prefetched_ = new Map(state.prefetched);
+    this.requestUrls_ = new Map(state.requestUrls);
+    this.dispatchedTiers_ = new Map(state.dispatchedTiers);
+    this.prefetchUsages_ = new Map(state.prefetchUsages);
+    this.latePrefetches_ = new Map(state.latePrefetches);
+  }
+
+  /**
+   * Links a completed request to the prefetch of the same URL, if any.
+   *
+   * @param {string} requestID the request ID of the completed request.
+   * @param {number} fetchTime how long the request took.
+   * @param {boolean} fromCache whether the response came from the cache.
+   * @param {number} bytes the Content-Length of the response.
+   * @private
+   */
+  updatePrefetchUsage_(requestID, fetchTime, fromCache, bytes) {
+    const usage = this.prefetchUsages_.get(this.requestUrls_.get(requestID));
+    if (usage === undefined) {
+      return;
+    }
+    if (usage.requestId === requestID) {
+      usage.fetchTimeMs = fetchTime;
+      usage.bytes = bytes;
+      return;
+    }
+    if (usage.usedByRequestId !== '') {
+      // Only the first request after the prefetch counts.
+      return;
+    }
+    usage.usedByRequestId = requestID;
+    usage.usedFromCache = fromCache;
+    if (fromCache && usage.fetchTimeMs >= 0) {
+      usage.timeSavedMs = Math.max(0, usage.fetchTimeMs - fetchTime);
+    }
+  }
+
+  /**
+   * Summarizes per tier how the prefetches were used.
+   *
+   * @return {!Array<!TierSummary>} the summaries ordered by tier.
+   */
+  getTierSummaries() {
+    const summaries = new Map();
+    const getSummary = (tier) => {
+      if (!summaries.has(tier)) {
+        summaries.set(tier, {
+          tier: tier,
+          prefetched: 0,
+          hits: 0,
+          misses: 0,
+          unused: 0,
+          late: 0,
+          hitRate: 0,
+          wastedBytes: 0,
+          timeSavedMs: 0
+        });
+      }
+      return summaries.get(tier);
+    };
+    this.prefetchUsages_.forEach((usage) => {
+      const summary = getSummary(usage.priority);
+      summary.prefetched++;
+      if (usage.usedByRequestId === '') {
+        if (usage.fetchTimeMs >= 0) {
+          summary.unused++;
+          summary.wastedBytes += usage.bytes;
+        }
+      } else if (usage.usedFromCache) {
+        summary.hits++;
+        summary.timeSavedMs += usage.timeSavedMs;
+      } else {
+        summary.misses++;
+        summary.wastedBytes += usage.bytes;
+      }
+    });
+    this.latePrefetches_.forEach((count, tier) => {
+      getSummary(tier).late += count;
+    });
+    summaries.forEach((summary) => {
+      summary.hitRate =
+          summary.prefetched == 0 ? 0 : summary.hits / summary.prefetched;
+    });
+    return Array.from(summaries.values()).sort((a, b) => a.tier - b.tier);
+  }
+
+  /**
+   * Returns the mean fetch time of the completed prefetch requests.
+   *
+   * @return {number} the mean fetch time in milliseconds. -1, if no prefetch
+   * request has completed yet.
+   */
+  getMeanPrefetchTime() {
+    let total = 0;
+    let count = 0;
+    this.completeTimes_.forEach((completeTime, requestID) => {
+      if (completeTime !== -1 && this.prefetched_.get(requestID)) {
+        total += completeTime - this.requestTimes_.get(requestID);
+        count++;
+      }
+    });
+    return count == 0 ? -1 : total / count;
+  }
+
   /**
    * Returns whether the request was a prefetch request or not.
    *
@@ -105,6 +436,22 @@ class TimeTracker {
                                              PrefetchStatus.NO;
   }
 
+  /**
+   * Returns the tier a prefetch request was dispatched from.
+   *
+   * @param {string} requestID the id of the request.
+   *
+   * @return {number} the tier. -1, if the request is not a prefetch made by
+   * the scheduler.
+   */
+  getPrefetchTier(requestID) {
+    const usage = this.prefetchUsages_.get(this.requestUrls_.get(requestID));
+    if (usage === undefined || usage.requestId !== requestID) {
+      return -1;
+    }
+    return usage.priority;
+  }
+
   /**
    * Returns the timestamp when the request was made.
    *
@@ -0,0 +1,279 @@
+// Copyright 2017 Google Inc.
+//
+// Licensed under the Apache License, Version 2.0 (the "License");
+// you may not use this file except in compliance with the License.
+// You may obtain a copy of the License at
+//
+//    https://www.apache.org/licenses/LICENSE-2.0
+//
+// Unless required by applicable law or agreed to in writing, software
+// distributed under the License is distributed on an "AS IS" BASIS,
+// WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+// See the License for the specific language governing permissions and
+// limitations under the License.
+
+/**
+ * @fileoverview Implements the ring buffer of the trace events of the
+ * scheduler, the content scripts and the time trackers, and its export in the
+ * Chrome Trace Event format so that a run opens in chrome://tracing or
+ * Perfetto. Every tab is a process of the trace and every category a thread
+ * of it. Timestamps are wall-clock times, since webRequest reports those.
+ */
+
+// The number of events kept. The oldest events are overwritten first.
+const TRACE_BUFFER_CAPACITY = 50000;
+
+// The events of a run.
+const TraceEventName = {
+  // A response carried hints.
+  HINT_RECEIVED: 'hint_received',
+  // A hint was queued in a tier or raised to a higher one.
+  ENQUEUED: 'enqueued',
+  // A prefetch was handed to a content script.
+  DISPATCHED: 'dispatched',
+  // A content script inserted the element or started the fetch() of a
+  // prefetch.
+  LINK_INSERTED: 'link_inserted',
+  // A request from sending its headers to its completion, as an async slice.
+  REQUEST: 'request',
+  NAVIGATION_START: 'navigation_start',
+  // The counter of the queued, deferred and in flight prefetches.
+  QUEUE_DEPTH: 'queue_depth'
+};
+
+// The categories of the events. Each one is a thread of the trace.
+const TraceCategory = {
+  SCHEDULER: 'scheduler',
+  CONTENT: 'content',
+  NETWORK: 'network'
+};
+
+// The thread ids of the categories.
+const TRACE_THREAD_IDS = {
+  [TraceCategory.SCHEDULER]: 1,
+  [TraceCategory.CONTENT]: 2,
+  [TraceCategory.NETWORK]: 3
+};
+
+/**
+ * @typedef {{
+ *   name: string,
+ *   cat: string,
+ *   ph: string,
+ *   ts: number,
+ *   pid: number,
+ *   tid: number,
+ *   id: (string|undefined),
+ *   s: (string|undefined),
+ *   args: !Object
+ * }}
+ *
+ * An event of the Chrome Trace Event format.
+ * name: one of TraceEventName, or the name of a metadata event.
+ * cat: one of TraceCategory.
+ * ph: the phase, e.g. 'i' for an instant event or 'C' for a counter.
+ * ts: the timestamp in microseconds since epoch.
+ * pid: the id of the tab.
+ * tid: the thread id of the category.
+ * id: the id pairing the begin and end of an async slice.
+ * s: the scope of an instant event.
+ * args: the details of the event.
+ */
+let TraceEvent;
+
+class TraceBuffer {
+  /**
+   * Constructs a TraceBuffer.
+   *
+   * @param {number} capacity the number of events kept.
+   */
+  constructor(capacity) {
+    /**
+     * @private {number}
+     */
+    this.capacity_ = capacity;
+
+    /**
+     * The events, oldest first once the buffer wrapped around at start_.
+     *
+     * @private {!Array<!TraceEvent>}
+     */
+    this.events_ = [];
+
+    /**
+     * The index of the oldest event once the buffer is full.
+     *
+     * @private {number}
+     */
+    this.start_ = 0;
+
+    /**
+     * The number of events overwritten since the last clear.
+     *
+     * @private {number}
+     */
+    this.dropped_ = 0;
+
+    /**
+     * The ids of the tabs that have events, named in the export.
+     *
+     * @private {!Set<number>}
+     */
+    this.pids_ = new Set();
+  }
+
+  /**
+   * Returns the current wall-clock time with sub-millisecond precision.
+   *
+   * @return {number} the time in milliseconds since epoch.
+   */
+  static nowMs() {
+    return performance.timeOrigin + performance.now();
+  }
+
+  /**
+   * Records an instant event.
+   *
+   * @param {!string} name one of TraceEventName.
+   * @param {!string} category one of TraceCategory.
+   * @param {number} pid the id of the tab.
+   * @param {!Object} args the details of the event.
+   * @param {number=} timestampMs when the event happened in milliseconds since
+   * epoch. Now if undefined.
+   */
+  instant(name, category, pid, args, timestampMs = TraceBuffer.nowMs()) {
+    this.add_(name, category, 'i', pid, args, timestampMs, {s: 't'});
+  }
+
+  /**
+   * Records the begin of an async slice, e.g. of a request.
+   *
+   * @param {!string} name one of TraceEventName.
+   * @param {!string} category one of TraceCategory.
+   * @param {number} pid the id of the tab.
+   * @param {!string} id the id shared by the begin and the end of the slice.
+   * @param {!Object} args the details of the slice.
+   * @param {number} timestampMs when the slice began in milliseconds since
+   * epoch.
+   */
+  begin(name, category, pid, id, args, timestampMs) {
+    this.add_(name, category, 'b', pid, args, timestampMs, {id: id});
+  }
+
+  /**
+   * Records the end of an async slice.
+   *
+   * @param {!string} name the name the slice began with.
+   * @param {!string} category the category the slice began with.
+   * @param {number} pid the id of the tab.
+   * @param {!string} id the id the slice began with.
+   * @param {!Object} args more details of the slice.
+   * @param {number} timestampMs when the slice ended in milliseconds since
+   * epoch.
+   */
+  end(name, category, pid, id, args, timestampMs) {
+    this.add_(name, category, 'e', pid, args, timestampMs, {id: id});
+  }
+
+  /**
+   * Records the values of a counter.
+   *
+   * @param {!string} name one of TraceEventName.
+   * @param {number} pid the id of the tab.
+   * @param {!Object<string, number>} values the value of every series of the
+   * counter.
+   * @param {number=} timestampMs when the values were taken in milliseconds
+   * since epoch. Now if undefined.
+   */
+  counter(name, pid, values, timestampMs = TraceBuffer.nowMs()) {
+    this.add_(name, TraceCategory.SCHEDULER, 'C', pid, values, timestampMs, {});
+  }
+
+  /**
+   * Returns the events in the order they were recorded.
+   *
+   * @return {!Array<!TraceEvent>} the events.
+   */
+  getEvents() {
+    return this.events_.slice(this.start_).concat(
+        this.events_.slice(0, this.start_));
+  }
+
+  /**
+   * Forgets all events.
+   */
+  clear() {
+    this.events_ = [];
+    this.start_ = 0;
+    this.dropped_ = 0;
+    this.pids_.clear();
+  }
+
+  /**
+   * Returns the events in the JSON Object Format of the Chrome Trace Event
+   * format, with the names of the tabs and of the categories.
+   *
+   * @return {!Object} the trace.
+   */
+  export() {
+    const metadata = [];
+    this.pids_.forEach((pid) => {
+      metadata.push({
+        name: 'process_name',
+        ph: 'M',
+        pid: pid,
+        tid: 0,
+        args: {name: 'Tab ' + pid}
+      });
+      Object.keys(TRACE_THREAD_IDS).forEach((category) => {
+        metadata.push({
+          name: 'thread_name',
+          ph: 'M',
+          pid: pid,
+          tid: TRACE_THREAD_IDS[category],
+          args: {name: category}
+        });
+      });
+    });
+    return {
+      traceEvents: metadata.concat(this.getEvents()),
+      displayTimeUnit: 'ms',
+      otherData: {droppedEvents: String(this.dropped_)}
+    };
+  }
+
+  /**
+   * Records an event, overwriting the oldest one if the buffer is full.
+   *
+   * @param {!string} name the name of the event.
+   * @param {!string} category one of TraceCategory.
+   * @param {!string} phase the phase of the event.
+   * @param {number} pid the id of the tab.
+   * @param {!Object} args the details of the event.
+   * @param {number} timestampMs when the event happened in milliseconds since
+   * epoch.
+   * @param {!Object} extra the fields of the event that depend on its phase.
+   * @private
+   */
+  add_(name, category, phase, pid, args, timestampMs, extra) {
+    const event = /** @type {!TraceEvent} */ (Object.assign(
+        {
+          name: name,
+          cat: category,
+          ph: phase,
+          ts: Math.round(timestampMs * 1000),
+          pid: pid,
+          tid: TRACE_THREAD_IDS[category],
+          args: args
+        },
+        extra));
+    this.pids_.add(pid);
+    if (this.events_.length < this.capacity_) {
+      this.events_.push(event);
+      return;
+    }
+    this.events_[this.start_] = event;
+    this.start_ = (this.start_ + 1) % this.capacity_;
+    this.dropped_++;
+  }
+}
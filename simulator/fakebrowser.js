@@ -0,0 +1,646 @@
+// Copyright 2017 Google Inc.
+//
+// Licensed under the Apache License, Version 2.0 (the "License");
+// you may not use this file except in compliance with the License.
+// You may obtain a copy of the License at
+//
+//    https://www.apache.org/licenses/LICENSE-2.0
+//
+// Unless required by applicable law or agreed to in writing, software
+// distributed under the License is distributed on an "AS IS" BASIS,
+// WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+// See the License for the specific language governing permissions and
+// limitations under the License.
+
+/**
+ * @fileoverview Implements the browser tab of the simulator. It sends the
+ * requests of a recorded trace at their recorded times, fires the webRequest
+ * events the scheduler listens to, and plays the content scripts of its
+ * frames: they register with the scheduler when their document commits and
+ * request what the scheduler tells them to prefetch. Completed responses go
+ * to a cache, so a later request for a prefetched URL is a cache hit. A
+ * request for a URL whose prefetch is in flight waits for the prefetch.
+ *
+ * The cache only knows the recorded responses, so a response served from it
+ * fires no onHeadersReceived, like in Chrome. The hints of a prefetched
+ * response were already seen when it was prefetched.
+ */
+
+const {EXTENSION_ID} = require('./fakechrome.js');
+
+/**
+ * @typedef {{
+ *   url: string,
+ *   type: string,
+ *   frameId: (number|undefined),
+ *   requestMs: number,
+ *   statusCode: (number|undefined),
+ *   statusLine: (string|undefined),
+ *   bytes: (number|undefined),
+ *   serverMs: (number|undefined),
+ *   responseHeaders: (!Array<{name: string, value: string}>|undefined),
+ *   redirectUrl: (string|undefined),
+ *   error: (string|undefined)
+ * }}
+ *
+ * A request of a recorded trace and its response.
+ * type: the webRequest resource type, e.g. 'main_frame' or 'script'.
+ * frameId: the frame making the request, 0 for the top-level frame if
+ *     undefined. The response of a 'sub_frame' request loads the frame of
+ *     this id.
+ * requestMs: when the browser sent the request, in milliseconds since the
+ *     start of the trace.
+ * statusCode: the HTTP status code, 200 if undefined.
+ * statusLine: the status line, 'HTTP/1.1 <statusCode>' if undefined.
+ *     'HTTP/2 200' tells the scheduler that the origin multiplexes.
+ * bytes: the size of the response body. The default response size of the
+ *     simulation if undefined.
+ * serverMs: how long the server took to respond, 0 if undefined.
+ * responseHeaders: the response headers, e.g. x-prefetch or Link hints. A
+ *     Content-Length header is added if there is none.
+ * redirectUrl: the URL the response redirects to, if it is a redirect.
+ * error: the net error the request failed with, e.g.
+ *     'net::ERR_CONNECTION_RESET', if it failed.
+ */
+let TraceRequest;
+
+/**
+ * @typedef {{
+ *   tabId: (number|undefined),
+ *   requests: !Array<!TraceRequest>
+ * }}
+ *
+ * A recorded trace of the requests of a page load in one tab.
+ * tabId: the id of the tab, 1 if undefined.
+ */
+let Trace;
+
+/**
+ * @typedef {{
+ *   requestId: string,
+ *   url: string,
+ *   kind: string,
+ *   type: string,
+ *   frameId: number,
+ *   mechanism: string,
+ *   startMs: number,
+ *   headersMs: number,
+ *   endMs: number,
+ *   statusCode: number,
+ *   fromCache: boolean,
+ *   bytes: number,
+ *   redirectUrl: string,
+ *   error: string
+ * }}
+ *
+ * What happened to a request in the simulation. The times are in
+ * milliseconds since epoch.
+ * kind: 'browser' for a request of the trace, 'prefetch' for one that a
+ *     content script made for the scheduler.
+ * mechanism: the PrefetchMechanism of a prefetch, '' otherwise.
+ * headersMs: when the response headers arrived, -1 if they did not, e.g.
+ *     for a cache hit.
+ * endMs: when the request completed or failed, -1 if it did not.
+ * redirectUrl: the URL the request was redirected to, '' if it was not.
+ */
+let RequestTimeline;
+
+/**
+ * @typedef {{
+ *   url: string,
+ *   fetchedUrls: !Set<string>
+ * }}
+ *
+ * A frame whose content script runs.
+ * fetchedUrls: the URLs the script prefetched, which it does not prefetch
+ *     again unless the scheduler retries them.
+ */
+let Frame;
+
+// The id of the top-level frame of a tab.
+const TOP_FRAME_ID = 0;
+
+class FakeBrowser {
+  /**
+   * Constructs a FakeBrowser object.
+   *
+   * @param {!VirtualClock} clock the clock of the simulation.
+   * @param {!FakeChrome} fakeChrome the extension APIs of the scheduler.
+   * @param {!NetworkModel} network the network the requests go through.
+   * @param {!NetworkConditions} conditions the conditions of the network,
+   * which the content scripts report like navigator.connection does.
+   * @param {!Object} protocol the createMessage, createAck and
+   * getPrefetchRequestTypes functions and the MessageType and
+   * PrefetchMechanism enums of the scheduler.
+   * @param {number} defaultBytes the size of a response missing from the
+   * trace.
+   */
+  constructor(clock, fakeChrome, network, conditions, protocol, defaultBytes) {
+    /**
+     * @private {!VirtualClock}
+     */
+    this.clock_ = clock;
+
+    /**
+     * @private {!FakeChrome}
+     */
+    this.fakeChrome_ = fakeChrome;
+
+    /**
+     * @private {!NetworkModel}
+     */
+    this.network_ = network;
+
+    /**
+     * @private {!NetworkConditions}
+     */
+    this.conditions_ = conditions;
+
+    /**
+     * @private {!Object}
+     */
+    this.protocol_ = protocol;
+
+    /**
+     * @private {number}
+     */
+    this.defaultBytes_ = defaultBytes;
+
+    /**
+     * @private {number}
+     */
+    this.tabId_ = 1;
+
+    /**
+     * Maps from a URL to its first recorded response.
+     *
+     * @private {!Map<string, !TraceRequest>}
+     */
+    this.responses_ = new Map();
+
+    /**
+     * Maps from a frame id to the frame, for the frames whose content script
+     * runs.
+     *
+     * @private {!Map<number, !Frame>}
+     */
+    this.frames_ = new Map();
+
+    /**
+     * Maps from a URL to the responses completed for it.
+     *
+     * @private {!Map<string, !TraceRequest>}
+     */
+    this.cache_ = new Map();
+
+    /**
+     * Maps from the URL of a prefetch in flight to the requests waiting for
+     * it.
+     *
+     * @private {!Map<string, !Array<function()>>}
+     */
+    this.waiting_ = new Map();
+
+    /**
+     * What happened to every request, in the order they were sent.
+     *
+     * @private {!Array<!RequestTimeline>}
+     */
+    this.timelines_ = [];
+
+    /**
+     * The id of the next request.
+     *
+     * @private {number}
+     */
+    this.nextRequestId_ = 1;
+
+    fakeChrome.setFrameReceiver(this.onFrameMessage_.bind(this));
+  }
+
+  /**
+   * Returns the id of the tab.
+   *
+   * @return {number} the id of the tab.
+   */
+  getTabId() {
+    return this.tabId_;
+  }
+
+  /**
+   * Returns what happened to every request so far.
+   *
+   * @return {!Array<!RequestTimeline>} the timelines in the order the
+   * requests were sent.
+   */
+  getTimelines() {
+    return this.timelines_;
+  }
+
+  /**
+   * Schedules the requests of a trace at their recorded times from now.
+   *
+   * @param {!Trace} trace the trace.
+   */
+  replay(trace) {
+    if (trace.tabId !== undefined) {
+      this.tabId_ = trace.tabId;
+    }
+    trace.requests.forEach((request) => {
+      if (!this.responses_.has(request.url)) {
+        this.responses_.set(request.url, request);
+      }
+    });
+    trace.requests.forEach((request) => {
+      this.clock_.setTimeout(() => {
+        this.startRequest_(
+            request.url, request.type, request.frameId || TOP_FRAME_ID,
+            'browser', '');
+      }, request.requestMs);
+    });
+  }
+
+  /**
+   * Sends a request.
+   *
+   * @param {!string} url the URL of the request.
+   * @param {!string} type the webRequest resource type.
+   * @param {number} frameId the frame making the request.
+   * @param {!string} kind 'browser' or 'prefetch'.
+   * @param {!string} mechanism the PrefetchMechanism of a prefetch, ''
+   * otherwise.
+   * @private
+   */
+  startRequest_(url, type, frameId, kind, mechanism) {
+    const /** @type {!RequestTimeline} */ timeline = {
+      requestId: String(this.nextRequestId_++),
+      url: url,
+      kind: kind,
+      type: type,
+      frameId: frameId,
+      mechanism: mechanism,
+      startMs: this.clock_.now(),
+      headersMs: -1,
+      endMs: -1,
+      statusCode: 0,
+      fromCache: false,
+      bytes: 0,
+      redirectUrl: '',
+      error: ''
+    };
+    this.timelines_.push(timeline);
+    if (kind === 'prefetch' && !this.waiting_.has(url)) {
+      this.waiting_.set(url, []);
+    }
+    this.sendHeaders_(timeline, url);
+  }
+
+  /**
+   * Sends the headers of a request, or of its redirect, and gets the
+   * response from the cache, from a prefetch in flight or from the network.
+   *
+   * @param {!RequestTimeline} timeline the request.
+   * @param {!string} url the URL requested.
+   * @private
+   */
+  sendHeaders_(timeline, url) {
+    const details = this.getDetails_(timeline, url);
+    details.requestHeaders = [{name: 'Accept', value: '*/*'}].concat(
+        this.fakeChrome_.getRuleHeaders(this.tabId_, url, details.type));
+    this.fakeChrome_.api.webRequest.onSendHeaders.dispatch(details);
+    if (this.cache_.has(url)) {
+      this.clock_.setTimeout(() => this.serveFromCache_(timeline, url), 0);
+    } else if (timeline.kind === 'browser' && this.waiting_.has(url)) {
+      this.waiting_.get(url).push(() => this.serveFromCache_(timeline, url));
+    } else {
+      this.fetch_(timeline, url);
+    }
+  }
+
+  /**
+   * Gets a response from the network.
+   *
+   * @param {!RequestTimeline} timeline the request.
+   * @param {!string} url the URL requested.
+   * @private
+   */
+  fetch_(timeline, url) {
+    const response = this.getResponse_(url);
+    this.network_.request(url, response.serverMs || 0, () => {
+      timeline.headersMs = this.clock_.now();
+      const details = this.getDetails_(timeline, url);
+      if (response.error) {
+        details.error = response.error;
+        details.fromCache = false;
+        this.complete_(timeline, url, null, details);
+        return;
+      }
+      Object.assign(details, this.getResponseDetails_(response));
+      details.fromCache = false;
+      if (response.redirectUrl) {
+        details.redirectUrl = response.redirectUrl;
+        timeline.redirectUrl = response.redirectUrl;
+        this.fakeChrome_.api.webRequest.onBeforeRedirect.dispatch(details);
+        this.sendHeaders_(timeline, response.redirectUrl);
+        return;
+      }
+      this.fakeChrome_.api.webRequest.onHeadersReceived.dispatch(details);
+      this.maybeCommit_(timeline, url);
+      this.network_.transfer(
+          response.bytes === undefined ? this.defaultBytes_ : response.bytes,
+          () => {
+            const completed = this.getDetails_(timeline, url);
+            Object.assign(completed, this.getResponseDetails_(response));
+            completed.fromCache = false;
+            this.complete_(timeline, url, response, completed);
+          });
+    });
+  }
+
+  /**
+   * Completes a request with the cached response of its URL.
+   *
+   * @param {!RequestTimeline} timeline the request.
+   * @param {!string} url the URL requested.
+   * @private
+   */
+  serveFromCache_(timeline, url) {
+    const response = this.cache_.get(url);
+    const details = this.getDetails_(timeline, url);
+    if (response === undefined) {
+      // The prefetch it waited for failed.
+      this.fetch_(timeline, url);
+      return;
+    }
+    Object.assign(details, this.getResponseDetails_(response));
+    details.fromCache = true;
+    this.maybeCommit_(timeline, url);
+    this.complete_(timeline, url, response, details);
+  }
+
+  /**
+   * Fires the event of a completed or failed request, caches its response
+   * and lets the requests waiting for it go on.
+   *
+   * @param {!RequestTimeline} timeline the request.
+   * @param {!string} url the URL requested.
+   * @param {?TraceRequest} response the response, null if the request
+   * failed.
+   * @param {!Object} details the details of the event.
+   * @private
+   */
+  complete_(timeline, url, response, details) {
+    timeline.endMs = this.clock_.now();
+    timeline.fromCache = details.fromCache;
+    timeline.statusCode = details.statusCode || 0;
+    timeline.error = details.error || '';
+    const succeeded = response !== null && timeline.statusCode < 400;
+    if (response !== null) {
+      timeline.bytes = response.bytes === undefined ?
+          this.defaultBytes_ :
+          response.bytes;
+      this.fakeChrome_.api.webRequest.onCompleted.dispatch(details);
+    } else {
+      this.fakeChrome_.api.webRequest.onErrorOccurred.dispatch(details);
+    }
+    if (succeeded && !this.cache_.has(url)) {
+      this.cache_.set(url, response);
+    }
+    if (timeline.kind === 'prefetch') {
+      const waiting = this.waiting_.get(timeline.url) || [];
+      this.waiting_.delete(timeline.url);
+      waiting.forEach((resume) => resume());
+      this.reportLinkOutcome_(timeline, succeeded);
+    }
+  }
+
+  /**
+   * Starts the content script of the frame a navigation request loads.
+   * A navigation of the top-level frame replaces all frames.
+   *
+   * @param {!RequestTimeline} timeline the request.
+   * @param {!string} url the URL the frame loads.
+   * @private
+   */
+  maybeCommit_(timeline, url) {
+    if (timeline.type !== 'main_frame' && timeline.type !== 'sub_frame') {
+      return;
+    }
+    if (timeline.type === 'main_frame') {
+      this.frames_.clear();
+    }
+    this.frames_.set(timeline.frameId, {url: url, fetchedUrls: new Set()});
+    const sender = this.getSender_(timeline.frameId);
+    if (timeline.frameId === TOP_FRAME_ID) {
+      // The content script reports the connection before it registers.
+      this.fakeChrome_.sendToScheduler(
+          this.protocol_.createMessage(
+              this.protocol_.MessageType.NETWORK_INFO, {
+                saveData: false,
+                effectiveType: this.getEffectiveType_(),
+                downlinkMbps: this.conditions_.bandwidthMbps
+              }),
+          sender);
+    }
+    this.fakeChrome_.sendToScheduler(
+        this.protocol_.createMessage(
+            this.protocol_.MessageType.CONTENT_SCRIPT_INIT,
+            {extensionVersion: this.fakeChrome_.api.runtime.getManifest()
+                                   .version}),
+        sender);
+  }
+
+  /**
+   * Tells the scheduler that the link of a prefetch loaded or failed, like
+   * the content script does. Speculation rules fire no events.
+   *
+   * @param {!RequestTimeline} timeline the prefetch.
+   * @param {boolean} succeeded whether the prefetch loaded.
+   * @private
+   */
+  reportLinkOutcome_(timeline, succeeded) {
+    const mechanisms = this.protocol_.PrefetchMechanism;
+    if (timeline.mechanism === mechanisms.SPECULATION_PREFETCH ||
+        timeline.mechanism === mechanisms.SPECULATION_PRERENDER ||
+        !this.frames_.has(timeline.frameId)) {
+      return;
+    }
+    const types = this.protocol_.MessageType;
+    this.fakeChrome_.sendToScheduler(
+        this.protocol_.createMessage(
+            succeeded ? types.COMPLETED : types.FAILED,
+            {url: timeline.url, timestamp: this.clock_.now(), timing: null}),
+        this.getSender_(timeline.frameId));
+  }
+
+  /**
+   * Handles a message the scheduler sent to the frames of a tab, like the
+   * content scripts do.
+   *
+   * @param {number} tabId the id of the tab.
+   * @param {number|undefined} frameId the id of the frame, undefined for all
+   * frames.
+   * @param {*} msg the message.
+   *
+   * @return {*} the ACK of the frame, or of the top-level frame if the
+   * message went to all frames. Undefined if no content script received it.
+   * @private
+   */
+  onFrameMessage_(tabId, frameId, msg) {
+    if (tabId !== this.tabId_) {
+      return undefined;
+    }
+    if (frameId === undefined) {
+      let response = undefined;
+      Array.from(this.frames_.keys()).forEach((id) => {
+        const ack = this.handleFrameMessage_(id, msg);
+        if (response === undefined || id === TOP_FRAME_ID) {
+          response = ack;
+        }
+      });
+      return response;
+    }
+    if (!this.frames_.has(frameId)) {
+      return undefined;
+    }
+    return this.handleFrameMessage_(frameId, msg);
+  }
+
+  /**
+   * Handles a message in the content script of a frame.
+   *
+   * @param {number} frameId the id of the frame.
+   * @param {*} msg the message.
+   *
+   * @return {!Object} the ACK.
+   * @private
+   */
+  handleFrameMessage_(frameId, msg) {
+    const frame = this.frames_.get(frameId);
+    const types = this.protocol_.MessageType;
+    switch (msg.type) {
+      case types.PREFETCH_RESOURCE:
+      case types.PRELOAD_RESOURCE:
+        if (frame.fetchedUrls.has(msg.url) && !(msg.attempt > 1)) {
+          break;
+        }
+        frame.fetchedUrls.add(msg.url);
+        this.startRequest_(
+            msg.url,
+            this.protocol_.getPrefetchRequestTypes(msg.mechanism, msg.as)[0],
+            frameId, 'prefetch', msg.mechanism);
+        break;
+      case types.PRECONNECT_ORIGIN:
+        this.network_.connect(msg.url);
+        break;
+      case types.SESSION_RESET:
+        frame.fetchedUrls.clear();
+        break;
+    }
+    return this.protocol_.createAck([]);
+  }
+
+  /**
+   * Returns the response of a URL, a default one if the trace has none.
+   *
+   * @param {!string} url the URL.
+   *
+   * @return {!TraceRequest} the response.
+   * @private
+   */
+  getResponse_(url) {
+    return this.responses_.get(url) ||
+        {url: url, type: 'other', requestMs: 0, bytes: this.defaultBytes_};
+  }
+
+  /**
+   * Returns the details all webRequest events of a request share.
+   *
+   * @param {!RequestTimeline} timeline the request.
+   * @param {!string} url the URL requested.
+   *
+   * @return {!Object} the details.
+   * @private
+   */
+  getDetails_(timeline, url) {
+    return {
+      requestId: timeline.requestId,
+      url: url,
+      method: 'GET',
+      tabId: this.tabId_,
+      frameId: timeline.frameId,
+      parentFrameId: timeline.frameId === TOP_FRAME_ID ? -1 : TOP_FRAME_ID,
+      type: timeline.type,
+      timeStamp: this.clock_.now()
+    };
+  }
+
+  /**
+   * Returns the details of the response of a request.
+   *
+   * @param {!TraceRequest} response the response.
+   *
+   * @return {!Object} the status code, status line and response headers.
+   * @private
+   */
+  getResponseDetails_(response) {
+    const statusCode = response.statusCode || 200;
+    const headers = (response.responseHeaders || []).slice();
+    if (!headers.some(
+            (header) => header.name.toLowerCase() === 'content-length')) {
+      headers.push({
+        name: 'Content-Length',
+        value: String(
+            response.bytes === undefined ? this.defaultBytes_ :
+                                           response.bytes)
+      });
+    }
+    return {
+      statusCode: statusCode,
+      statusLine: response.statusLine || 'HTTP/1.1 ' + statusCode,
+      responseHeaders: headers
+    };
+  }
+
+  /**
+   * Returns the sender of the messages of a content script.
+   *
+   * @param {number} frameId the id of the frame of the script.
+   *
+   * @return {!Object} the sender, see chrome.runtime.MessageSender.
+   * @private
+   */
+  getSender_(frameId) {
+    const frame = this.frames_.get(frameId);
+    return {
+      id: EXTENSION_ID,
+      tab: {id: this.tabId_},
+      frameId: frameId,
+      url: frame ? frame.url : ''
+    };
+  }
+
+  /**
+   * Returns the effective connection type navigator.connection reports for
+   * the network conditions. See https://wicg.github.io/netinfo/.
+   *
+   * @return {!string} the effective connection type.
+   * @private
+   */
+  getEffectiveType_() {
+    const rttMs = this.conditions_.rttMs;
+    const downlinkMbps = this.conditions_.bandwidthMbps;
+    if (rttMs >= 2000 || downlinkMbps < 0.05) {
+      return 'slow-2g';
+    }
+    if (rttMs >= 1400 || downlinkMbps < 0.07) {
+      return '2g';
+    }
+    if (rttMs >= 270 || downlinkMbps < 0.7) {
+      return '3g';
+    }
+    return '4g';
+  }
+}
+
+module.exports = {FakeBrowser};
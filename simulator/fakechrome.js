@@ -0,0 +1,447 @@
+// Copyright 2017 Google Inc.
+//
+// Licensed under the Apache License, Version 2.0 (the "License");
+// you may not use this file except in compliance with the License.
+// You may obtain a copy of the License at
+//
+//    https://www.apache.org/licenses/LICENSE-2.0
+//
+// Unless required by applicable law or agreed to in writing, software
+// distributed under the License is distributed on an "AS IS" BASIS,
+// WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+// See the License for the specific language governing permissions and
+// limitations under the License.
+
+/**
+ * @fileoverview Implements the part of the extension APIs the scheduler uses:
+ * webRequest, runtime and tabs messaging, storage, declarativeNetRequest
+ * session rules and downloads. Callbacks run on the virtual clock after the
+ * current event, like in Chrome, and messages are copied through JSON like
+ * the structured clone of Chrome. The simulated browser fires the webRequest
+ * events and plays the content scripts.
+ */
+
+// The version the manifest reports. The simulated content scripts send the
+// same one, so the scheduler accepts them.
+const EXTENSION_VERSION = 'simulated';
+
+// The error of a message sent to a frame without a content script.
+const NO_RECEIVER_ERROR =
+    'Could not establish connection. Receiving end does not exist.';
+
+// The id of the simulated extension, which sends its messages with it.
+const EXTENSION_ID = 'simulator';
+
+// The error of a message whose receivers did not answer.
+const NO_RESPONSE_ERROR =
+    'The message port closed before a response was received.';
+
+/**
+ * An event that extension code adds listeners to, e.g.
+ * chrome.webRequest.onCompleted.
+ */
+class FakeEvent {
+  constructor() {
+    /**
+     * @private {!Array<!Function>}
+     */
+    this.listeners_ = [];
+  }
+
+  /**
+   * @param {!Function} listener the listener to call on every event. The
+   * filters and extra info specs of webRequest are accepted and ignored.
+   */
+  addListener(listener) {
+    this.listeners_.push(listener);
+  }
+
+  /**
+   * @param {!Function} listener the listener to remove.
+   */
+  removeListener(listener) {
+    this.listeners_ = this.listeners_.filter((added) => added !== listener);
+  }
+
+  /**
+   * @return {boolean} whether the event has listeners.
+   */
+  hasListeners() {
+    return this.listeners_.length > 0;
+  }
+
+  /**
+   * Calls every listener with the given arguments.
+   *
+   * @param {...*} args the arguments of the event.
+   *
+   * @return {!Array<*>} what the listeners returned.
+   */
+  dispatch(...args) {
+    return this.listeners_.slice().map((listener) => listener(...args));
+  }
+}
+
+/**
+ * A storage area such as chrome.storage.local.
+ */
+class FakeStorageArea {
+  /**
+   * Constructs a FakeStorageArea object.
+   *
+   * @param {!string} areaName the name of the area, e.g. 'local'.
+   * @param {!FakeChrome} fakeChrome the API the area belongs to.
+   */
+  constructor(areaName, fakeChrome) {
+    /**
+     * @private {!string}
+     */
+    this.areaName_ = areaName;
+
+    /**
+     * @private {!FakeChrome}
+     */
+    this.fakeChrome_ = fakeChrome;
+
+    /**
+     * The stored items, each as JSON.
+     *
+     * @private {!Map<string, string>}
+     */
+    this.items_ = new Map();
+  }
+
+  /**
+   * @param {?string|!Array<string>|!Object} keys the keys to get, null for
+   * all of them, or an object of keys with their default values.
+   * @param {function(!Object)} callback called with the items.
+   */
+  get(keys, callback) {
+    let defaults = {};
+    if (typeof keys === 'string') {
+      keys = [keys];
+    } else if (keys !== null && !Array.isArray(keys)) {
+      defaults = keys;
+      keys = Object.keys(keys);
+    }
+    this.fakeChrome_.callLater_(() => {
+      const items = {};
+      (keys === null ? Array.from(this.items_.keys()) : keys)
+          .forEach((key) => {
+            if (this.items_.has(key)) {
+              items[key] = JSON.parse(this.items_.get(key));
+            } else if (defaults.hasOwnProperty(key)) {
+              items[key] = defaults[key];
+            }
+          });
+      callback(items);
+    });
+  }
+
+  /**
+   * @param {!Object} items the items to store.
+   * @param {function()=} callback called once the items are stored.
+   */
+  set(items, callback = () => {}) {
+    const changes = {};
+    Object.keys(items).forEach((key) => {
+      changes[key] = {newValue: JSON.parse(JSON.stringify(items[key]))};
+      if (this.items_.has(key)) {
+        changes[key].oldValue = JSON.parse(this.items_.get(key));
+      }
+      this.items_.set(key, JSON.stringify(items[key]));
+    });
+    this.fakeChrome_.callLater_(callback);
+    this.fakeChrome_.callLater_(
+        () => this.fakeChrome_.api.storage.onChanged.dispatch(
+            changes, this.areaName_));
+  }
+
+  /**
+   * Stores items without firing onChanged, as if they were stored before the
+   * extension started.
+   *
+   * @param {!Object} items the items to store.
+   */
+  seed(items) {
+    Object.keys(items).forEach((key) => {
+      this.items_.set(key, JSON.stringify(items[key]));
+    });
+  }
+
+  /**
+   * @param {!string|!Array<string>} keys the keys to remove.
+   * @param {function()=} callback called once the items are removed.
+   */
+  remove(keys, callback = () => {}) {
+    (typeof keys === 'string' ? [keys] : keys)
+        .forEach((key) => this.items_.delete(key));
+    this.fakeChrome_.callLater_(callback);
+  }
+}
+
+class FakeChrome {
+  /**
+   * Constructs a FakeChrome object.
+   *
+   * @param {!VirtualClock} clock the clock of the simulation.
+   */
+  constructor(clock) {
+    /**
+     * @private {!VirtualClock}
+     */
+    this.clock_ = clock;
+
+    /**
+     * The declarativeNetRequest session rules.
+     *
+     * @private {!Array<!Object>}
+     */
+    this.sessionRules_ = [];
+
+    /**
+     * Receives the messages the scheduler sends to a frame of a tab. Set by
+     * the simulated browser.
+     *
+     * @private {?function(number, number, *): *}
+     */
+    this.frameReceiver_ = null;
+
+    /**
+     * The files the scheduler asked to download.
+     *
+     * @public {!Array<!Object>}
+     */
+    this.downloads = [];
+
+    /**
+     * The chrome object given to the scheduler.
+     *
+     * @public {!Object}
+     */
+    this.api = {
+      runtime: {
+        id: EXTENSION_ID,
+        lastError: undefined,
+        onMessage: new FakeEvent(),
+        // No DevTools panel connects during a simulation.
+        onConnect: new FakeEvent(),
+        getManifest: () => ({version: EXTENSION_VERSION})
+      },
+      tabs: {
+        onRemoved: new FakeEvent(),
+        sendMessage: this.sendToFrame_.bind(this)
+      },
+      webRequest: {
+        onSendHeaders: new FakeEvent(),
+        onHeadersReceived: new FakeEvent(),
+        onBeforeRedirect: new FakeEvent(),
+        onCompleted: new FakeEvent(),
+        onErrorOccurred: new FakeEvent()
+      },
+      storage: {
+        local: new FakeStorageArea('local', this),
+        session: new FakeStorageArea('session', this),
+        onChanged: new FakeEvent()
+      },
+      declarativeNetRequest: {
+        getSessionRules: (callback) => this.callLater_(
+            callback, JSON.parse(JSON.stringify(this.sessionRules_))),
+        updateSessionRules: this.updateSessionRules_.bind(this)
+      },
+      downloads: {
+        download: (options) => this.downloads.push(options)
+      }
+    };
+  }
+
+  /**
+   * Sets the receiver of the messages the scheduler sends to the frames.
+   *
+   * @param {function(number, number, *): *} receiver called with the tab id,
+   * the frame id and the message. Returns the response, or undefined if the
+   * frame has no content script.
+   */
+  setFrameReceiver(receiver) {
+    this.frameReceiver_ = receiver;
+  }
+
+  /**
+   * Stores items in a storage area without firing onChanged.
+   *
+   * @param {!string} areaName 'local' or 'session'.
+   * @param {!Object} items the items to store.
+   */
+  seedStorage(areaName, items) {
+    this.api.storage[areaName].seed(items);
+  }
+
+  /**
+   * Sends a message to the scheduler like chrome.runtime.sendMessage does
+   * from a content script.
+   *
+   * @param {*} msg the message.
+   * @param {!Object} sender the sender, see chrome.runtime.MessageSender.
+   * @param {function(*)=} callback called with the response, or with
+   * undefined and runtime.lastError set if nobody answered.
+   */
+  sendToScheduler(msg, sender, callback = () => {}) {
+    const copy = JSON.parse(JSON.stringify(msg));
+    this.callLater_(() => {
+      let answered = false;
+      const sendResponse = (response) => {
+        if (answered) {
+          return;
+        }
+        answered = true;
+        this.callLater_(callback, JSON.parse(JSON.stringify(response)));
+      };
+      const results =
+          this.api.runtime.onMessage.dispatch(copy, sender, sendResponse);
+      if (!answered && !results.includes(true)) {
+        answered = true;
+        this.callWithError_(callback, NO_RESPONSE_ERROR);
+      }
+    });
+  }
+
+  /**
+   * Returns the request headers that the session rules set on a request.
+   *
+   * @param {number} tabId the id of the tab of the request.
+   * @param {!string} url the URL of the request.
+   * @param {!string} type the webRequest resource type of the request.
+   *
+   * @return {!Array<{name: string, value: string}>} the headers.
+   */
+  getRuleHeaders(tabId, url, type) {
+    const headers = [];
+    this.sessionRules_
+        .filter((rule) => rule.action.type === 'modifyHeaders')
+        .filter((rule) => this.matches_(rule.condition, tabId, url, type))
+        .sort((a, b) => (b.priority || 1) - (a.priority || 1))
+        .forEach((rule) => {
+          rule.action.requestHeaders.forEach((header) => {
+            if (header.operation === 'set') {
+              headers.push({name: header.header, value: header.value});
+            }
+          });
+        });
+    return headers;
+  }
+
+  /**
+   * Returns whether a rule condition applies to a request. Only the tabIds,
+   * the resourceTypes and the urlFilter with its '|' anchors and '*'
+   * wildcards are supported, which is what the scheduler uses.
+   *
+   * @param {!Object} condition the condition of the rule.
+   * @param {number} tabId the id of the tab of the request.
+   * @param {!string} url the URL of the request.
+   * @param {!string} type the webRequest resource type of the request.
+   *
+   * @return {boolean} whether the rule applies.
+   * @private
+   */
+  matches_(condition, tabId, url, type) {
+    if (condition.tabIds && !condition.tabIds.includes(tabId)) {
+      return false;
+    }
+    // Like Chrome, a rule without resource types skips the main frame.
+    if (condition.resourceTypes ? !condition.resourceTypes.includes(type) :
+                                  type === 'main_frame') {
+      return false;
+    }
+    let filter = condition.urlFilter || '';
+    const anchorsStart = filter.startsWith('|');
+    const anchorsEnd = filter.endsWith('|') && filter.length > 1;
+    filter = filter.slice(anchorsStart ? 1 : 0, anchorsEnd ? -1 : undefined);
+    const pattern =
+        filter.split('*')
+            .map((part) => part.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'))
+            .join('.*');
+    return new RegExp(
+               (anchorsStart ? '^' : '') + pattern + (anchorsEnd ? '$' : ''))
+        .test(url);
+  }
+
+  /**
+   * Implements chrome.declarativeNetRequest.updateSessionRules.
+   *
+   * @param {!Object} options the ids of the rules to remove and the rules to
+   * add.
+   * @param {function()=} callback called once the rules apply.
+   * @private
+   */
+  updateSessionRules_(options, callback = () => {}) {
+    const removeRuleIds = options.removeRuleIds || [];
+    const rules = this.sessionRules_.filter(
+        (rule) => !removeRuleIds.includes(rule.id));
+    const addRules = JSON.parse(JSON.stringify(options.addRules || []));
+    const duplicate = addRules.find(
+        (added) => rules.some((rule) => rule.id === added.id));
+    if (duplicate !== undefined) {
+      this.callWithError_(callback, 'Rule with id ' + duplicate.id +
+          ' does not have a unique ID.');
+      return;
+    }
+    this.sessionRules_ = rules.concat(addRules);
+    this.callLater_(callback);
+  }
+
+  /**
+   * Implements chrome.tabs.sendMessage.
+   *
+   * @param {number} tabId the id of the tab.
+   * @param {*} msg the message.
+   * @param {!Object=} options the frameId to send the message to. All frames
+   * of the tab if undefined.
+   * @param {function(*)=} callback called with the response.
+   * @private
+   */
+  sendToFrame_(tabId, msg, options = {}, callback = () => {}) {
+    const copy = JSON.parse(JSON.stringify(msg));
+    this.callLater_(() => {
+      const response = this.frameReceiver_ === null ?
+          undefined :
+          this.frameReceiver_(tabId, options.frameId, copy);
+      if (response === undefined) {
+        this.callWithError_(callback, NO_RECEIVER_ERROR);
+        return;
+      }
+      callback(JSON.parse(JSON.stringify(response)));
+    });
+  }
+
+  /**
+   * Calls a callback after the current event.
+   *
+   * @param {!Function} callback the callback.
+   * @param {...*} args the arguments of the callback.
+   * @private
+   */
+  callLater_(callback, ...args) {
+    this.clock_.setTimeout(callback, 0, ...args);
+  }
+
+  /**
+   * Calls a callback after the current event with runtime.lastError set for
+   * the duration of the call.
+   *
+   * @param {!Function} callback the callback.
+   * @param {!string} message the message of the error.
+   * @private
+   */
+  callWithError_(callback, message) {
+    this.callLater_(() => {
+      this.api.runtime.lastError = {message: message};
+      try {
+        callback();
+      } finally {
+        this.api.runtime.lastError = undefined;
+      }
+    });
+  }
+}
+
+module.exports = {FakeChrome, EXTENSION_ID, EXTENSION_VERSION};
@@ -0,0 +1,207 @@
+// Copyright 2017 Google Inc.
+//
+// Licensed under the Apache License, Version 2.0 (the "License");
+// you may not use this file except in compliance with the License.
+// You may obtain a copy of the License at
+//
+//    https://www.apache.org/licenses/LICENSE-2.0
+//
+// Unless required by applicable law or agreed to in writing, software
+// distributed under the License is distributed on an "AS IS" BASIS,
+// WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+// See the License for the specific language governing permissions and
+// limitations under the License.
+
+/**
+ * @fileoverview Implements the network of the simulator. Every origin has
+ * one connection, which takes a number of round trips to set up and is then
+ * shared by all requests to the origin, like an HTTP/2 connection. A request
+ * gets its response headers one round trip after it is sent, plus the time
+ * the server takes. The response bodies then share the bandwidth of the
+ * link equally.
+ */
+
+/**
+ * @typedef {{
+ *   bandwidthMbps: number,
+ *   rttMs: number,
+ *   connectRtts: number
+ * }}
+ *
+ * bandwidthMbps: the bandwidth of the link in megabits per second.
+ * rttMs: the round trip time to every origin in milliseconds.
+ * connectRtts: the round trips it takes to set up a connection, e.g. 2 for
+ *     TCP and TLS 1.3.
+ */
+let NetworkConditions;
+
+/**
+ * @typedef {{
+ *   remainingBytes: number,
+ *   onDone: function()
+ * }}
+ *
+ * A response body being transferred.
+ */
+let Transfer;
+
+class NetworkModel {
+  /**
+   * Constructs a NetworkModel object.
+   *
+   * @param {!VirtualClock} clock the clock of the simulation.
+   * @param {!NetworkConditions} conditions the conditions of the network.
+   */
+  constructor(clock, conditions) {
+    /**
+     * @private {!VirtualClock}
+     */
+    this.clock_ = clock;
+
+    /**
+     * @private {!NetworkConditions}
+     */
+    this.conditions_ = conditions;
+
+    /**
+     * Maps from an origin to when its connection is ready in milliseconds
+     * since epoch.
+     *
+     * @private {!Map<string, number>}
+     */
+    this.connectionReadyMs_ = new Map();
+
+    /**
+     * The response bodies being transferred.
+     *
+     * @private {!Array<!Transfer>}
+     */
+    this.transfers_ = [];
+
+    /**
+     * When the bytes left of the transfers were last updated.
+     *
+     * @private {number}
+     */
+    this.lastUpdateMs_ = clock.now();
+
+    /**
+     * The id of the timer of the next transfer to finish, 0 if none runs.
+     *
+     * @private {number}
+     */
+    this.timerId_ = 0;
+  }
+
+  /**
+   * Sets up the connection to an origin unless it already has one.
+   *
+   * @param {!string} origin the origin.
+   *
+   * @return {number} when the connection is ready in milliseconds since
+   * epoch.
+   */
+  connect(origin) {
+    if (!this.connectionReadyMs_.has(origin)) {
+      this.connectionReadyMs_.set(
+          origin,
+          this.clock_.now() +
+              this.conditions_.connectRtts * this.conditions_.rttMs);
+    }
+    return this.connectionReadyMs_.get(origin);
+  }
+
+  /**
+   * Sends a request and waits for its response headers.
+   *
+   * @param {!string} url the URL of the request.
+   * @param {number} serverMs how long the server takes to respond.
+   * @param {function()} onHeaders called when the response headers arrive.
+   */
+  request(url, serverMs, onHeaders) {
+    const readyMs = this.connect(new URL(url).origin);
+    const headersMs =
+        Math.max(this.clock_.now(), readyMs) + this.conditions_.rttMs +
+        serverMs;
+    this.clock_.setTimeout(
+        onHeaders, Math.ceil(headersMs - this.clock_.now()));
+  }
+
+  /**
+   * Transfers a response body over the shared link.
+   *
+   * @param {number} bytes the size of the body.
+   * @param {function()} onDone called when the whole body arrived.
+   */
+  transfer(bytes, onDone) {
+    this.update_();
+    this.transfers_.push({remainingBytes: Math.max(0, bytes), onDone: onDone});
+    this.schedule_();
+  }
+
+  /**
+   * Returns the bytes the link carries per millisecond.
+   *
+   * @return {number} the bytes per millisecond.
+   * @private
+   */
+  getBytesPerMs_() {
+    return this.conditions_.bandwidthMbps * 1000 * 1000 / 8 / 1000;
+  }
+
+  /**
+   * Subtracts the bytes transferred since the last update from every
+   * transfer.
+   *
+   * @private
+   */
+  update_() {
+    const nowMs = this.clock_.now();
+    if (this.transfers_.length > 0) {
+      const bytesEach = (nowMs - this.lastUpdateMs_) * this.getBytesPerMs_() /
+          this.transfers_.length;
+      this.transfers_.forEach((transfer) => {
+        transfer.remainingBytes -= bytesEach;
+      });
+    }
+    this.lastUpdateMs_ = nowMs;
+  }
+
+  /**
+   * Sets the timer of the next transfer to finish. The delay is rounded up
+   * to whole milliseconds, so the transfer is done when the timer fires.
+   *
+   * @private
+   */
+  schedule_() {
+    this.clock_.clearTimeout(this.timerId_);
+    this.timerId_ = 0;
+    if (this.transfers_.length === 0) {
+      return;
+    }
+    const minBytes = Math.min(
+        ...this.transfers_.map((transfer) => transfer.remainingBytes));
+    const delayMs = Math.ceil(
+        Math.max(0, minBytes) * this.transfers_.length / this.getBytesPerMs_());
+    this.timerId_ = this.clock_.setTimeout(() => this.finish_(), delayMs);
+  }
+
+  /**
+   * Completes the transfers that are done and waits for the next one.
+   *
+   * @private
+   */
+  finish_() {
+    this.timerId_ = 0;
+    this.update_();
+    // Rounding leaves a fraction of a byte at most.
+    const done = this.transfers_.filter(
+        (transfer) => transfer.remainingBytes < 1);
+    this.transfers_ = this.transfers_.filter(
+        (transfer) => transfer.remainingBytes >= 1);
+    this.schedule_();
+    done.forEach((transfer) => transfer.onDone());
+  }
+}
+
+module.exports = {NetworkModel};
@@ -0,0 +1,121 @@
+// Copyright 2017 Google Inc.
+//
+// Licensed under the Apache License, Version 2.0 (the "License");
+// you may not use this file except in compliance with the License.
+// You may obtain a copy of the License at
+//
+//    https://www.apache.org/licenses/LICENSE-2.0
+//
+// Unless required by applicable law or agreed to in writing, software
+// distributed under the License is distributed on an "AS IS" BASIS,
+// WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+// See the License for the specific language governing permissions and
+// limitations under the License.
+
+/**
+ * @fileoverview Replays a recorded trace against the scheduler and prints the
+ * report as JSON. This is the command line of the simulator, e.g.
+ *
+ *   node simulator/simulate.js --trace simulator/testdata/trace.json \
+ *       --bandwidth-mbps 5 --rtt-ms 150 --policy weighted-fair
+ *
+ * See FakeBrowser for the format of the trace.
+ */
+
+const fs = require('fs');
+const {parseArgs} = require('util');
+
+const {Simulator} = require('./simulator.js');
+
+const USAGE = `usage: node simulate.js --trace <file> [options]
+
+  --trace <file>          the recorded trace to replay
+  --bandwidth-mbps <n>    the bandwidth of the link (default 10)
+  --rtt-ms <n>            the round trip time to every origin (default 100)
+  --connect-rtts <n>      the round trips to set up a connection (default 2)
+  --default-bytes <n>     the size of the responses missing from the trace
+                          (default 20000)
+  --max-duration-ms <n>   how long the page load may take (default 120000)
+  --policy <name>         the scheduling policy, overriding the configuration
+  --config <file>         a JSON file with the SchedulerConfig values that
+                          differ from the defaults
+  --out <file>            write the report to a file instead of stdout
+  --verbose               print the console output of the scheduler to stderr
+`;
+
+/**
+ * Returns the value of a numeric option.
+ *
+ * @param {!Object<string, string>} values the parsed options.
+ * @param {!string} name the name of the option.
+ * @param {number} defaultValue the value if the option is not set.
+ *
+ * @return {number} the value.
+ */
+function getNumber(values, name, defaultValue) {
+  if (values[name] === undefined) {
+    return defaultValue;
+  }
+  const value = Number(values[name]);
+  if (!isFinite(value) || value < 0) {
+    throw new Error('--' + name + ' must be a non-negative number');
+  }
+  return value;
+}
+
+function main() {
+  const {values} = parseArgs({
+    options: {
+      'trace': {type: 'string'},
+      'bandwidth-mbps': {type: 'string'},
+      'rtt-ms': {type: 'string'},
+      'connect-rtts': {type: 'string'},
+      'default-bytes': {type: 'string'},
+      'max-duration-ms': {type: 'string'},
+      'policy': {type: 'string'},
+      'config': {type: 'string'},
+      'out': {type: 'string'},
+      'verbose': {type: 'boolean'},
+      'help': {type: 'boolean'}
+    }
+  });
+  if (values.help || values.trace === undefined) {
+    process.stderr.write(USAGE);
+    process.exit(values.help ? 0 : 2);
+  }
+  const config = values.config === undefined ?
+      {} :
+      JSON.parse(fs.readFileSync(values.config, 'utf8'));
+  if (values.policy !== undefined) {
+    config.schedulingPolicy = values.policy;
+  }
+  const bandwidthMbps = getNumber(values, 'bandwidth-mbps', 10);
+  if (bandwidthMbps === 0) {
+    throw new Error('--bandwidth-mbps must be positive');
+  }
+  const simulator = new Simulator({
+    conditions: {
+      bandwidthMbps: bandwidthMbps,
+      rttMs: getNumber(values, 'rtt-ms', 100),
+      connectRtts: getNumber(values, 'connect-rtts', 2)
+    },
+    config: config,
+    defaultBytes: getNumber(values, 'default-bytes', 20000),
+    maxDurationMs: getNumber(values, 'max-duration-ms', 120000),
+    log: values.verbose ? (line) => process.stderr.write(line + '\n') : null
+  });
+  const trace = JSON.parse(fs.readFileSync(values.trace, 'utf8'));
+  const report = JSON.stringify(simulator.run(trace), null, 2) + '\n';
+  if (values.out === undefined) {
+    process.stdout.write(report);
+  } else {
+    fs.writeFileSync(values.out, report);
+  }
+}
+
+try {
+  main();
+} catch (e) {
+  process.stderr.write(e.message + '\n');
+  process.exit(1);
+}
@@ -0,0 +1,323 @@
+// Copyright 2017 Google Inc.
+//
+// Licensed under the Apache License, Version 2.0 (the "License");
+// you may not use this file except in compliance with the License.
+// You may obtain a copy of the License at
+//
+//    https://www.apache.org/licenses/LICENSE-2.0
+//
+// Unless required by applicable law or agreed to in writing, software
+// distributed under the License is distributed on an "AS IS" BASIS,
+// WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+// See the License for the specific language governing permissions and
+// limitations under the License.
+
+/**
+ * @fileoverview Implements the simulator. It loads the scripts of the
+ * scheduler unchanged into a sandbox whose chrome, Date, setTimeout and
+ * performance are simulated, replays a trace against it in a simulated tab,
+ * and reports what happened to every URL and how the sessions of the
+ * scheduler did. The sandbox is a fresh one for every run.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+
+const {FakeBrowser} = require('./fakebrowser.js');
+const {FakeChrome, EXTENSION_ID} = require('./fakechrome.js');
+const {NetworkModel} = require('./networkmodel.js');
+const {VirtualClock} = require('./virtualclock.js');
+
+// The directory of the extension.
+const SCHEDULER_DIR = path.join(__dirname, '..', 'scheduler');
+
+// The script the service worker of the extension runs.
+const SERVICE_WORKER_SCRIPT = 'background.js';
+
+// The time the virtual clock starts at. Any fixed time keeps the runs
+// identical.
+const SIMULATION_START_MS = Date.UTC(2017, 0, 1);
+
+/**
+ * @typedef {{
+ *   conditions: !NetworkConditions,
+ *   config: !Object,
+ *   defaultBytes: number,
+ *   maxDurationMs: number,
+ *   log: ?function(string)
+ * }}
+ *
+ * conditions: the conditions of the simulated network.
+ * config: the values of the SchedulerConfig that differ from the defaults.
+ * defaultBytes: the size of the responses missing from the trace, e.g. of
+ *     hinted URLs the page never requested.
+ * maxDurationMs: how long the simulated page load may take. The timers
+ *     still pending afterwards are dropped.
+ * log: receives the console output of the scheduler, null to drop it.
+ */
+let SimulationOptions;
+
+/**
+ * @typedef {{
+ *   url: string,
+ *   tier: number,
+ *   status: string,
+ *   prefetch: ?Object,
+ *   request: ?Object
+ * }}
+ *
+ * What happened to a URL. The times are in milliseconds since the start of
+ * the simulation.
+ * tier: the priority tier the URL was prefetched from, -1 if it was not.
+ * status: the last isPrefetch value the scheduler logged for a hint of the
+ *     URL that was not prefetched, e.g. 'late' or 'over_budget', '' if none.
+ * prefetch: the first prefetch of the URL, null if there was none.
+ * request: the first request of the page for the URL, null if there was
+ *     none.
+ */
+let ResourceTimeline;
+
+class Simulator {
+  /**
+   * Constructs a Simulator object.
+   *
+   * @param {!SimulationOptions} options the options of the simulation.
+   */
+  constructor(options) {
+    /**
+     * @private {!SimulationOptions}
+     */
+    this.options_ = options;
+  }
+
+  /**
+   * Replays a trace and reports the outcome.
+   *
+   * @param {!Trace} trace the trace to replay.
+   *
+   * @return {!Object} the report, see buildReport_.
+   */
+  run(trace) {
+    const clock = new VirtualClock(SIMULATION_START_MS);
+    const fakeChrome = new FakeChrome(clock);
+    const context = this.loadScheduler_(clock, fakeChrome);
+    const protocol = {
+      createMessage: vm.runInContext('createMessage', context),
+      createAck: vm.runInContext('createAck', context),
+      MessageType: vm.runInContext('MessageType', context),
+      PrefetchMechanism: vm.runInContext('PrefetchMechanism', context),
+      getPrefetchRequestTypes:
+          vm.runInContext('getPrefetchRequestTypes', context)
+    };
+    const network = new NetworkModel(clock, this.options_.conditions);
+    const browser = new FakeBrowser(
+        clock, fakeChrome, network, this.options_.conditions, protocol,
+        this.options_.defaultBytes);
+    browser.replay(trace);
+    const loaded = clock.runUntil(
+        SIMULATION_START_MS + this.options_.maxDurationMs);
+    clock.clearAll();
+
+    // Closing the tab ends the session, which adds its record to the log.
+    fakeChrome.api.tabs.onRemoved.dispatch(
+        browser.getTabId(), {windowId: 1, isWindowClosing: false});
+    let exported = null;
+    fakeChrome.sendToScheduler(
+        protocol.createMessage(protocol.MessageType.EXPORT_RESULTS, {
+          format: vm.runInContext('ExportFormat.JSON_LINES', context)
+        }),
+        {id: EXTENSION_ID}, (response) => exported = response);
+    clock.runUntil(Infinity);
+    if (exported === null || exported.error) {
+      throw new Error(
+          'could not export the results of the scheduler: ' +
+          (exported ? exported.error : 'no response'));
+    }
+    const records = exported.data.split('\n')
+                        .filter((line) => line !== '')
+                        .map((line) => JSON.parse(line));
+    return this.buildReport_(browser.getTimelines(), records, loaded);
+  }
+
+  /**
+   * Creates the sandbox and runs the service worker script of the extension
+   * in it, which imports the scripts of the scheduler and starts it.
+   *
+   * @param {!VirtualClock} clock the clock of the simulation.
+   * @param {!FakeChrome} fakeChrome the extension APIs.
+   *
+   * @return {!Object} the contextified sandbox.
+   * @private
+   */
+  loadScheduler_(clock, fakeChrome) {
+    const VirtualDate = class extends Date {
+      constructor(...args) {
+        if (args.length === 0) {
+          super(clock.now());
+        } else {
+          super(...args);
+        }
+      }
+
+      static now() {
+        return clock.now();
+      }
+    };
+    const log = this.options_.log;
+    const print = (...args) => {
+      if (log !== null) {
+        log((clock.now() - SIMULATION_START_MS) + 'ms ' + args.join(' '));
+      }
+    };
+    const context = vm.createContext({
+      chrome: fakeChrome.api,
+      console: {log: print, info: print, warn: print, error: print},
+      Date: VirtualDate,
+      URL: URL,
+      setTimeout: clock.setTimeout.bind(clock),
+      clearTimeout: clock.clearTimeout.bind(clock),
+      // The simulated page loads do not reach the results collector.
+      fetch: () => Promise.reject(new Error('the simulator has no network')),
+      performance: {
+        timeOrigin: 0,
+        now: () => clock.now()
+      },
+      importScripts: (...names) => {
+        names.forEach((name) => this.runScript_(name, context));
+      }
+    });
+    this.runScript_(SERVICE_WORKER_SCRIPT, context);
+    // The scheduler ignores an invalid configuration, so it is checked here.
+    // The scheduler reads it once the script returned. A simulation uploads
+    // no results unless its configuration names a collector.
+    const config = Object.assign(
+        {}, vm.runInContext('DEFAULT_CONFIG', context), {collectorUrl: ''},
+        this.options_.config);
+    const errors =
+        vm.runInContext('new ConfigStore()', context).validate(config);
+    if (errors.length > 0) {
+      throw new Error('invalid scheduler configuration: ' + errors.join('; '));
+    }
+    fakeChrome.seedStorage('local', {config: config});
+    return context;
+  }
+
+  /**
+   * Runs a script of the extension in a sandbox.
+   *
+   * @param {!string} name the file name of the script.
+   * @param {!Object} context the contextified sandbox.
+   * @private
+   */
+  runScript_(name, context) {
+    const filename = path.join(SCHEDULER_DIR, name);
+    vm.runInContext(
+        fs.readFileSync(filename, 'utf8'), context, {filename: filename});
+  }
+
+  /**
+   * Builds the report of a simulation.
+   *
+   * @param {!Array<!RequestTimeline>} timelines the requests of the
+   * simulation.
+   * @param {!Array<!Object>} records the records of the result log of the
+   * scheduler.
+   * @param {boolean} loaded whether the page load ended before the maximum
+   * duration.
+   *
+   * @return {{
+   *   options: !Object,
+   *   metrics: !Object,
+   *   sessions: !Array<!Object>,
+   *   resources: !Array<!ResourceTimeline>
+   * }} the options of the simulation, the metrics of the page load, the
+   * session records of the scheduler and the timeline of every URL.
+   * @private
+   */
+  buildReport_(timelines, records, loaded) {
+    const toRelative = (timeMs) =>
+        timeMs < 0 ? -1 : timeMs - SIMULATION_START_MS;
+    const requestRecords =
+        records.filter((record) => record.kind === 'request');
+    const tiers = new Map();
+    requestRecords.forEach((record) => {
+      if (record.requestId !== '' && record.tier >= 0) {
+        tiers.set(record.requestId, record.tier);
+      }
+    });
+
+    const resources = new Map();
+    const getResource = (url) => {
+      if (!resources.has(url)) {
+        resources.set(
+            url,
+            {url: url, tier: -1, status: '', prefetch: null, request: null});
+      }
+      return resources.get(url);
+    };
+    timelines.forEach((timeline) => {
+      const resource = getResource(timeline.url);
+      const field = timeline.kind === 'prefetch' ? 'prefetch' : 'request';
+      if (resource[field] !== null) {
+        return;
+      }
+      resource[field] = {
+        requestId: timeline.requestId,
+        type: timeline.type,
+        mechanism: timeline.mechanism,
+        startMs: toRelative(timeline.startMs),
+        headersMs: toRelative(timeline.headersMs),
+        endMs: toRelative(timeline.endMs),
+        statusCode: timeline.statusCode,
+        fromCache: timeline.fromCache,
+        bytes: timeline.bytes,
+        redirectUrl: timeline.redirectUrl,
+        error: timeline.error
+      };
+      if (timeline.kind === 'prefetch' && tiers.has(timeline.requestId)) {
+        resource.tier = tiers.get(timeline.requestId);
+      }
+    });
+    // The hints the scheduler decided not to prefetch.
+    requestRecords
+        .filter((record) => record.requestId === '' && record.url !== '' &&
+                    record.isPrefetch !== 'navigation_hold')
+        .forEach(
+            (record) => getResource(record.url).status = record.isPrefetch);
+
+    const pageRequests =
+        timelines.filter((timeline) => timeline.kind === 'browser');
+    const prefetches =
+        timelines.filter((timeline) => timeline.kind === 'prefetch');
+    const requestedUrls = new Set(pageRequests.map((timeline) => timeline.url));
+    const unused = prefetches.filter(
+        (timeline) => timeline.endMs >= 0 && !requestedUrls.has(timeline.url));
+    const sum = (list, field) =>
+        list.reduce((total, item) => total + item[field], 0);
+    const metrics = {
+      loaded: loaded,
+      pageLoadMs: toRelative(Math.max(
+          -1, ...pageRequests.map((timeline) => timeline.endMs))),
+      pageRequests: pageRequests.length,
+      cacheHits:
+          pageRequests.filter((timeline) => timeline.fromCache).length,
+      pageBytes: sum(
+          pageRequests.filter((timeline) => !timeline.fromCache), 'bytes'),
+      prefetches: prefetches.length,
+      prefetchedBytes: sum(prefetches, 'bytes'),
+      unusedPrefetches: unused.length,
+      unusedPrefetchBytes: sum(unused, 'bytes'),
+      failedPrefetches:
+          prefetches.filter((timeline) => timeline.error !== '').length
+    };
+    return {
+      options: this.options_.conditions,
+      metrics: metrics,
+      sessions: records.filter((record) => record.kind === 'session'),
+      resources: Array.from(resources.values())
+    };
+  }
+}
+
+module.exports = {Simulator};
@@ -0,0 +1,156 @@
+// Copyright 2017 Google Inc.
+//
+// Licensed under the Apache License, Version 2.0 (the "License");
+// you may not use this file except in compliance with the License.
+// You may obtain a copy of the License at
+//
+//    https://www.apache.org/licenses/LICENSE-2.0
+//
+// Unless required by applicable law or agreed to in writing, software
+// distributed under the License is distributed on an "AS IS" BASIS,
+// WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+// See the License for the specific language governing permissions and
+// limitations under the License.
+
+/**
+ * @fileoverview Implements the virtual clock of the simulator. Time only
+ * moves when the clock runs the next timer, so a simulation takes as long as
+ * its callbacks do and gives the same result on every run. Timers due at the
+ * same time fire in the order they were set.
+ */
+
+/**
+ * @typedef {{
+ *   id: number,
+ *   dueMs: number,
+ *   callback: function()
+ * }}
+ *
+ * id: the id returned by setTimeout, which also orders the timers due at the
+ *     same time.
+ * dueMs: when the timer fires in milliseconds since epoch.
+ */
+let Timer;
+
+class VirtualClock {
+  /**
+   * Constructs a VirtualClock object.
+   *
+   * @param {number} startMs the time the clock starts at in milliseconds
+   * since epoch.
+   */
+  constructor(startMs) {
+    /**
+     * The current time in milliseconds since epoch.
+     *
+     * @private {number}
+     */
+    this.nowMs_ = startMs;
+
+    /**
+     * The pending timers sorted by due time, then by id.
+     *
+     * @private {!Array<!Timer>}
+     */
+    this.timers_ = [];
+
+    /**
+     * The id of the next timer. 0 is never used, so that a timer id is
+     * always truthy.
+     *
+     * @private {number}
+     */
+    this.nextId_ = 1;
+  }
+
+  /**
+   * Returns the current time.
+   *
+   * @return {number} the current time in milliseconds since epoch.
+   */
+  now() {
+    return this.nowMs_;
+  }
+
+  /**
+   * Calls a function once the clock advanced by a delay, like the
+   * setTimeout of a browser.
+   *
+   * @param {function(...*)} callback the function to call.
+   * @param {number=} delayMs the delay in milliseconds. Negative and missing
+   * delays count as 0.
+   * @param {...*} args the arguments of the function.
+   *
+   * @return {number} the id of the timer.
+   */
+  setTimeout(callback, delayMs = 0, ...args) {
+    const timer = {
+      id: this.nextId_++,
+      dueMs: this.nowMs_ + Math.max(0, delayMs || 0),
+      callback: () => callback(...args)
+    };
+    // Binary search for the first timer due later, so that the timers due at
+    // the same time stay in the order they were set.
+    let low = 0;
+    let high = this.timers_.length;
+    while (low < high) {
+      const middle = (low + high) >> 1;
+      if (this.timers_[middle].dueMs <= timer.dueMs) {
+        low = middle + 1;
+      } else {
+        high = middle;
+      }
+    }
+    this.timers_.splice(low, 0, timer);
+    return timer.id;
+  }
+
+  /**
+   * Cancels a timer. Unknown ids are ignored, like by the clearTimeout of a
+   * browser.
+   *
+   * @param {number|undefined} id the id of the timer.
+   */
+  clearTimeout(id) {
+    const index = this.timers_.findIndex((timer) => timer.id === id);
+    if (index >= 0) {
+      this.timers_.splice(index, 1);
+    }
+  }
+
+  /**
+   * Returns the number of pending timers.
+   *
+   * @return {number} the number of timers.
+   */
+  getPendingCount() {
+    return this.timers_.length;
+  }
+
+  /**
+   * Cancels all pending timers.
+   */
+  clearAll() {
+    this.timers_ = [];
+  }
+
+  /**
+   * Fires the timers in order until none is left or the next one is due
+   * after a given time.
+   *
+   * @param {number} untilMs the time to stop at in milliseconds since epoch.
+   * The clock does not move past it.
+   *
+   * @return {boolean} whether no timer is left.
+   */
+  runUntil(untilMs) {
+    while (this.timers_.length > 0 && this.timers_[0].dueMs <= untilMs) {
+      const timer = this.timers_.shift();
+      this.nowMs_ = timer.dueMs;
+      timer.callback();
+    }
+    return this.timers_.length === 0;
+  }
+}
+
+module.exports = {VirtualClock};